@@ -1,4 +1,5 @@
 // Backend/controllers/admin.controller.js - COMPLETE VERSION
+import crypto from 'crypto';
 import admin from 'firebase-admin';
 import {
   getCAList,
@@ -11,6 +12,77 @@ import {
   updateAppointment,
 } from '../services/firebase.service.js';
 import { uploadImage, deleteImage, updateProfilePicture } from '../services/imageUpload.service.js';
+import { issueRefund } from '../services/refund.service.js';
+import { cancelAppointment } from '../services/cancellation.service.js';
+import { assignReservationCA, moveReservation } from '../services/slotReservation.service.js';
+import { runRescheduleSideEffects } from '../services/bookingConfirmation.service.js';
+import { isCAAvailable } from '../services/caAvailability.service.js';
+import {
+  issueInvoice,
+  issuePackageInvoice,
+  generateInvoicePDF,
+  getInvoiceFileName,
+} from '../services/invoice.service.js';
+import { getSchedulingRules } from '../services/schedulingRules.service.js';
+import {
+  reconcilePayments,
+  getReconciliationRuns,
+  getReconciliationRun,
+  getRunSummary,
+} from '../services/reconciliation.service.js';
+import {
+  OFFLINE_PAYMENT_METHODS,
+  getPaymentModeError,
+  getAmountPaid,
+  isPaymentSecured,
+  recordOfflinePayment,
+} from '../services/paymentPlan.service.js';
+import { ADMIN_PAYMENT_OPTIONS, createAdminBooking } from '../services/adminBooking.service.js';
+import { PAYMENT_LINK_PURPOSES, sendPaymentLink } from '../services/paymentLink.service.js';
+import {
+  getCoupons,
+  getCoupon,
+  getCouponError,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  MIN_PAYABLE_AMOUNT,
+} from '../services/coupon.service.js';
+import {
+  getPackages,
+  getPackage,
+  getPackageError,
+  createPackage,
+  updatePackage,
+  deletePackage,
+  getCustomerPurchases,
+} from '../services/package.service.js';
+import {
+  addCreditLot,
+  adjustCreditLot,
+  getCustomerCredits,
+  getCreditExpiryDate,
+} from '../services/credit.service.js';
+import {
+  getServices,
+  getService,
+  getServiceError,
+  createService,
+  updateService,
+  deleteService,
+} from '../services/serviceCatalog.service.js';
+import { isValidDate, timeToMinutes, getMinutesUntil } from '../utils/helpers.js';
+import { resolveStateCode, isValidGSTIN } from '../utils/gstStates.js';
+import {
+  getCustomerRef,
+  getNoShowPolicy,
+  evaluateRestrictions,
+} from '../services/customer.service.js';
+import {
+  APPOINTMENT_STATUSES,
+  transitionStatus,
+  getStatusHistory,
+} from '../services/appointmentStatus.service.js';
 
 // ✅ Database helper
 const getDb = () => admin.firestore();
@@ -52,14 +124,44 @@ export const getDashboard = async (req, res) => {
     let confirmedAppointments = 0;
     let completedAppointments = 0;
     let cancelledAppointments = 0;
+    let draftAppointments = 0;
+    let expiredAppointments = 0;
+    let noShowAppointments = 0;
     let totalRevenue = 0;
+    let offlineRevenue = 0;
+    let paymentLinkRevenue = 0;
+    let outstandingBalance = 0;
+    let outstandingAppointments = 0;
+    let totalDiscounts = 0;
+    const outcomesByCA = {};
+    const couponStats = {};
 
     appointmentsSnapshot.forEach(doc => {
       const data = doc.data();
       totalAppointments++;
 
-      if (data.payment_status === 'completed') {
-        totalRevenue += data.amount || 0;
+      if (isPaymentSecured(data)) {
+        // Partial refunds (e.g. a policy refund on cancellation) keep payment_status 'completed'
+        const netPaid = Math.max(0, getAmountPaid(data) - (data.refunded_amount || 0));
+        totalRevenue += netPaid;
+        offlineRevenue += data.offline_paid || 0;
+        paymentLinkRevenue += data.link_paid || 0;
+
+        // Deposit and pay-at-office bookings still owed at the office
+        if (data.balance_due > 0 && data.status !== 'cancelled') {
+          outstandingBalance += data.balance_due;
+          outstandingAppointments++;
+        }
+
+        // Revenue given away through coupons, per code
+        if (data.coupon_code) {
+          const discount = data.discount_amount || 0;
+          totalDiscounts += discount;
+          couponStats[data.coupon_code] = couponStats[data.coupon_code] || { bookings: 0, discount: 0, revenue: 0 };
+          couponStats[data.coupon_code].bookings++;
+          couponStats[data.coupon_code].discount += discount;
+          couponStats[data.coupon_code].revenue += netPaid;
+        }
       }
 
       switch (data.status) {
@@ -75,9 +177,47 @@ export const getDashboard = async (req, res) => {
         case 'cancelled':
           cancelledAppointments++;
           break;
+        case 'draft':
+          draftAppointments++;
+          break;
+        case 'expired':
+          expiredAppointments++;
+          break;
+        case 'no_show':
+          noShowAppointments++;
+          break;
+      }
+
+      // Attended vs missed per CA for no-show rates
+      if (['completed', 'no_show'].includes(data.status)) {
+        const caId = data.assigned_ca || 'unassigned';
+        outcomesByCA[caId] = outcomesByCA[caId] || { completed: 0, no_show: 0 };
+        outcomesByCA[caId][data.status]++;
       }
     });
 
+    // No-show rate = no-shows / (completed + no-shows), as a percentage
+    const getNoShowRate = ({ completed, no_show }) => {
+      const total = completed + no_show;
+      return total > 0 ? Math.round((no_show / total) * 1000) / 10 : 0;
+    };
+
+    const noShowRate = getNoShowRate({ completed: completedAppointments, no_show: noShowAppointments });
+    const noShowRateByCA = Object.fromEntries(
+      Object.entries(outcomesByCA).map(([caId, outcomes]) => [caId, { ...outcomes, rate: getNoShowRate(outcomes) }])
+    );
+
+    // Package sales (credits are booked at amount 0, so they add nothing above)
+    const purchasesSnapshot = await businessRef
+      .collection('package_purchases')
+      .where('status', '==', 'paid')
+      .get();
+
+    let packageRevenue = 0;
+    purchasesSnapshot.forEach(doc => {
+      packageRevenue += doc.data().amount || 0;
+    });
+
     // Get total CAs
     const casSnapshot = await businessRef.collection('CA').get();
     const totalCAs = casSnapshot.size;
@@ -90,7 +230,20 @@ export const getDashboard = async (req, res) => {
         confirmedAppointments,
         completedAppointments,
         cancelledAppointments,
+        draftAppointments,
+        expiredAppointments,
+        noShowAppointments,
+        noShowRate,
+        noShowRateByCA,
         totalRevenue,
+        offlineRevenue,
+        paymentLinkRevenue,
+        outstandingBalance,
+        outstandingAppointments,
+        totalDiscounts,
+        couponStats,
+        packageRevenue,
+        packagesSold: purchasesSnapshot.size,
         totalCAs,
       }
     });
@@ -193,13 +346,17 @@ export const getAppointments = async (req, res) => {
 };
 
 /**
- * PATCH /api/admin/appointments/:appointmentId/status
- * Update appointment status
+ * POST /api/admin/appointments
+ * Body: { businessId, customer_name, customer_email, customer_phone, consult_note,
+ *         customer_state, customer_gstin, service_id, ca_id, date, time_slot, duration,
+ *         payment: { option, method, reference, note, link_expiry_hours } }
+ * Book for a walk-in or phone customer. payment.option is 'offline' (paid at the
+ * office, method required), 'link' (customer is emailed a link to pay) or 'complimentary'.
  */
-export const updateStatus = async (req, res) => {
+export const createAppointmentAdmin = async (req, res) => {
   try {
-    const { appointmentId } = req.params;
-    const { businessId, status } = req.body;
+    const { businessId, customer_name, customer_email, customer_phone, date, time_slot, duration, customer_state, customer_gstin } = req.body;
+    const payment = req.body.payment || {};
 
     if (!businessId) {
       return res.status(400).json({
@@ -208,30 +365,99 @@ export const updateStatus = async (req, res) => {
       });
     }
 
-    if (!status) {
+    if (!customer_name || !customer_email || !customer_phone || !date || !time_slot || !duration) {
       return res.status(400).json({
         success: false,
-        message: 'Status is required'
+        message: 'customer_name, customer_email, customer_phone, date, time_slot and duration are required'
       });
     }
 
-    const validStatuses = ['pending', 'confirmed', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!isValidDate(date) || !TIME_PATTERN.test(time_slot)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status'
+        message: 'date must be YYYY-MM-DD and time_slot HH:MM'
+      });
+    }
+
+    if (!ADMIN_PAYMENT_OPTIONS.includes(payment.option)) {
+      return res.status(400).json({
+        success: false,
+        message: `payment.option must be one of: ${ADMIN_PAYMENT_OPTIONS.join(', ')}`
+      });
+    }
+
+    if (payment.option === 'offline' && !OFFLINE_PAYMENT_METHODS.includes(payment.method)) {
+      return res.status(400).json({
+        success: false,
+        message: `payment.method must be one of: ${OFFLINE_PAYMENT_METHODS.join(', ')}`
+      });
+    }
+
+    if (payment.link_expiry_hours !== undefined && !(Number(payment.link_expiry_hours) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'payment.link_expiry_hours must be a positive number'
       });
     }
 
-    await updateAppointment(businessId, appointmentId, { status });
+    // Billing details for the GST invoice (optional)
+    const customerStateCode = resolveStateCode(customer_state);
 
-    res.json({
+    if (customer_state && !customerStateCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid state'
+      });
+    }
+
+    if (customer_gstin && !isValidGSTIN(customer_gstin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid GSTIN'
+      });
+    }
+
+    const settings = await getSystemSettingsService(businessId).catch(() => ({}));
+
+    const result = await createAdminBooking(getBusinessRef(businessId), settings, {
+      ...req.body,
+      customer_state: customerStateCode,
+      customer_gstin: customer_gstin ? customer_gstin.trim().toUpperCase() : null,
+    }, {
+      ...payment,
+      link_expiry_hours: Number(payment.link_expiry_hours) || undefined,
+    });
+
+    if (!result.success) {
+      return res.status(result.conflict ? 409 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const { appointment } = result;
+
+    res.status(201).json({
       success: true,
-      message: 'Status updated successfully'
+      message: payment.option === 'link'
+        ? 'Slot held and payment link sent to the customer'
+        : 'Appointment booked successfully',
+      data: {
+        appointment_id: appointment.id,
+        reference_id: appointment.reference_id,
+        status: appointment.status,
+        payment_option: payment.option,
+        amount: appointment.total_amount || appointment.original_amount || appointment.amount || 0,
+        assigned_ca: appointment.assigned_ca || null,
+        meet_link: appointment.meet_link || null,
+        payment_link: result.payment_link?.short_url || null,
+        payment_link_id: result.payment_link?.id || null,
+        link_expires_at: appointment.draft_expires_at?.toDate?.() || null
+      }
     });
 
   } catch (error) {
-    console.error('❌ Error updating status:', error);
+    console.error('❌ Error creating appointment:', error);
     res.status(500).json({
       success: false,
       message: error.message
@@ -240,13 +466,13 @@ export const updateStatus = async (req, res) => {
 };
 
 /**
- * PATCH /api/admin/appointments/:appointmentId/assign
- * Assign CA to appointment
+ * PATCH /api/admin/appointments/:appointmentId/status
+ * Update appointment status
  */
-export const assignCA = async (req, res) => {
+export const updateStatus = async (req, res) => {
   try {
     const { appointmentId } = req.params;
-    const { businessId, ca_id } = req.body;
+    const { businessId, status, reason = '' } = req.body;
 
     if (!businessId) {
       return res.status(400).json({
@@ -255,33 +481,41 @@ export const assignCA = async (req, res) => {
       });
     }
 
-    if (!ca_id) {
+    if (!status) {
       return res.status(400).json({
         success: false,
-        message: 'CA ID is required'
+        message: 'Status is required'
+      });
+    }
+
+    if (!APPOINTMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status'
       });
     }
 
-    // Verify CA exists
     const businessRef = getBusinessRef(businessId);
-    const caDoc = await businessRef.collection('CA').doc(ca_id).get();
 
-    if (!caDoc.exists) {
-      return res.status(404).json({
+    // Cancelling also removes the Meet event and notifies everyone; refunds are separate
+    const result = status === 'cancelled'
+      ? await cancelAppointment(businessRef, appointmentId, { cancelled_by: 'admin', reason, refund: 'none' })
+      : await transitionStatus(businessRef, appointmentId, status, { actor: 'admin', reason });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({
         success: false,
-        message: 'CA not found'
+        message: result.error
       });
     }
 
-    await updateAppointment(businessId, appointmentId, { assigned_ca: ca_id });
-
     res.json({
       success: true,
-      message: 'CA assigned successfully'
+      message: 'Status updated successfully'
     });
 
   } catch (error) {
-    console.error('❌ Error assigning CA:', error);
+    console.error('❌ Error updating status:', error);
     res.status(500).json({
       success: false,
       message: error.message
@@ -290,13 +524,13 @@ export const assignCA = async (req, res) => {
 };
 
 /**
- * PATCH /api/admin/appointments/:appointmentId
- * Update appointment details
+ * GET /api/admin/appointments/:appointmentId/history?businessId=nab-consultancy
+ * Status transition history (oldest first)
  */
-export const updateAppointmentDetails = async (req, res) => {
+export const getAppointmentHistory = async (req, res) => {
   try {
     const { appointmentId } = req.params;
-    const { businessId, ...updateData } = req.body;
+    const { businessId } = req.query;
 
     if (!businessId) {
       return res.status(400).json({
@@ -305,15 +539,15 @@ export const updateAppointmentDetails = async (req, res) => {
       });
     }
 
-    await updateAppointment(businessId, appointmentId, updateData);
+    const history = await getStatusHistory(getBusinessRef(businessId), appointmentId);
 
     res.json({
       success: true,
-      message: 'Appointment updated successfully'
+      data: { history }
     });
 
   } catch (error) {
-    console.error('❌ Error updating appointment:', error);
+    console.error('❌ Error fetching status history:', error);
     res.status(500).json({
       success: false,
       message: error.message
@@ -321,15 +555,14 @@ export const updateAppointmentDetails = async (req, res) => {
   }
 };
 
-// ==================== CA MANAGEMENT ====================
-
 /**
- * GET /api/admin/ca/list?businessId=nab-consultancy
- * Get all CAs with profile pictures
+ * PATCH /api/admin/appointments/:appointmentId/assign
+ * Assign CA to appointment
  */
-export const getCAs = async (req, res) => {
+export const assignCA = async (req, res) => {
   try {
-    const { businessId } = req.query;
+    const { appointmentId } = req.params;
+    const { businessId, ca_id } = req.body;
 
     if (!businessId) {
       return res.status(400).json({
@@ -338,34 +571,33 @@ export const getCAs = async (req, res) => {
       });
     }
 
+    if (!ca_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'CA ID is required'
+      });
+    }
+
     const businessRef = getBusinessRef(businessId);
-    const casSnapshot = await businessRef.collection('CA').get();
+    const settings = await getSystemSettingsService(businessId).catch(() => ({}));
 
-    const cas = [];
-    casSnapshot.forEach(doc => {
-      const data = doc.data();
-      cas.push({
-        id: doc.id,
-        name: data.name || '',
-        email: data.email || '',
-        phone: data.phone || data.mobile || '',
-        specialization: data.specialization || '',
-        experience: data.experience || 0,
-        qualification: data.qualification || '',
-        intro: data.intro || '',
-        status: data.status || 'active',
-        profile_picture: data.profile_picture || null,
-        unavailable_slots: data.unavailable_slots || [],
+    // CA must exist and be free at that time (buffers, unavailable slots, daily cap)
+    const result = await assignReservationCA(businessRef, appointmentId, ca_id, getSchedulingRules(settings));
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 409).json({
+        success: false,
+        message: result.error
       });
-    });
+    }
 
     res.json({
       success: true,
-      data: { cas }
+      message: 'CA assigned successfully'
     });
 
   } catch (error) {
-    console.error('❌ Error fetching CAs:', error);
+    console.error('❌ Error assigning CA:', error);
     res.status(500).json({
       success: false,
       message: error.message
@@ -373,13 +605,18 @@ export const getCAs = async (req, res) => {
   }
 };
 
+// Descriptive fields an admin can edit directly. Status, payment, slot and CA
+// changes have their own routes so they go through the same checks as bookings.
+const EDITABLE_APPOINTMENT_FIELDS = ['customer_name', 'customer_phone', 'consult_note'];
+
 /**
- * POST /api/admin/ca/create
- * Create new CA with profile picture
+ * PATCH /api/admin/appointments/:appointmentId
+ * Update appointment details (customer name, phone, consult note)
  */
-export const createCA = async (req, res) => {
+export const updateAppointmentDetails = async (req, res) => {
   try {
-    const { businessId, name, email, phone, specialization, profile_picture, ...otherData } = req.body;
+    const { appointmentId } = req.params;
+    const { businessId, ...body } = req.body;
 
     if (!businessId) {
       return res.status(400).json({
@@ -388,47 +625,69 @@ export const createCA = async (req, res) => {
       });
     }
 
-    if (!name || !email || !phone) {
+    if (body.status !== undefined) {
       return res.status(400).json({
         success: false,
-        message: 'Name, email, and phone are required'
+        message: 'Use PATCH /appointments/:appointmentId/status to change the status'
       });
     }
 
-    let profilePictureUrl = null;
+    if (body.date !== undefined || body.time_slot !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use PATCH /appointments/:appointmentId/reschedule to change the date or time'
+      });
+    }
 
-    // ✅ Upload profile picture if provided
-    if (profile_picture && profile_picture.startsWith('data:image')) {
-      try {
-        profilePictureUrl = await uploadImage(profile_picture, 'ca-profiles', name);
-      } catch (uploadError) {
-        console.error('⚠️ Profile picture upload failed:', uploadError.message);
-      }
+    if (body.assigned_ca !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use PATCH /appointments/:appointmentId/assign to change the CA'
+      });
     }
 
-    const caData = {
-      name,
-      email,
-      phone,
-      specialization: specialization || '',
-      status: 'active',
-      profile_picture: profilePictureUrl,
-      ...otherData
-    };
+    const unknownFields = Object.keys(body).filter((field) => !EDITABLE_APPOINTMENT_FIELDS.includes(field));
 
-    const ca = await createCAService(businessId, caData);
+    if (unknownFields.length) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields can't be edited: ${unknownFields.join(', ')}. Editable fields: ${EDITABLE_APPOINTMENT_FIELDS.join(', ')}`
+      });
+    }
+
+    if (!Object.keys(body).length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update'
+      });
+    }
+
+    if ((body.customer_name !== undefined && !String(body.customer_name).trim()) ||
+        (body.customer_phone !== undefined && !String(body.customer_phone).trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'customer_name and customer_phone cannot be empty'
+      });
+    }
+
+    const appointmentDoc = await getBusinessRef(businessId).collection('appointments').doc(appointmentId).get();
+
+    if (!appointmentDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    await updateAppointment(businessId, appointmentId, body);
 
     res.json({
       success: true,
-      message: 'CA created successfully',
-      data: {
-        ...ca,
-        profile_picture: profilePictureUrl
-      }
+      message: 'Appointment updated successfully'
     });
 
   } catch (error) {
-    console.error('❌ Error creating CA:', error);
+    console.error('❌ Error updating appointment:', error);
     res.status(500).json({
       success: false,
       message: error.message
@@ -437,13 +696,15 @@ export const createCA = async (req, res) => {
 };
 
 /**
- * PATCH /api/admin/ca/:caId
- * Update CA with optional profile picture update
+ * PATCH /api/admin/appointments/:appointmentId/reschedule
+ * Body: { businessId, date, time_slot }
+ * Move a booking to a new date/time. Same slot checks as a customer reschedule
+ * (CA availability, buffers, daily cap), without the notice and cutoff limits.
  */
-export const updateCA = async (req, res) => {
+export const rescheduleAppointmentAdmin = async (req, res) => {
   try {
-    const { caId } = req.params;
-    const { businessId, profile_picture, ...updateData } = req.body;
+    const { appointmentId } = req.params;
+    const { businessId, date, time_slot } = req.body;
 
     if (!businessId) {
       return res.status(400).json({
@@ -452,65 +713,2034 @@ export const updateCA = async (req, res) => {
       });
     }
 
+    if (!isValidDate(date) || !TIME_PATTERN.test(time_slot || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be YYYY-MM-DD and time_slot HH:MM'
+      });
+    }
+
     const businessRef = getBusinessRef(businessId);
-    const caRef = businessRef.collection('CA').doc(caId);
+    const appointmentDoc = await businessRef.collection('appointments').doc(appointmentId).get();
 
-    const caDoc = await caRef.get();
-    if (!caDoc.exists) {
+    if (!appointmentDoc.exists) {
       return res.status(404).json({
         success: false,
-        message: 'CA not found'
+        message: 'Appointment not found'
       });
     }
 
-    const currentData = caDoc.data();
-    let finalUpdateData = { ...updateData };
+    const appointment = appointmentDoc.data();
 
-    const caName = updateData.name || currentData.name;
+    if (getMinutesUntil(date, time_slot) < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This time has already passed'
+      });
+    }
 
-    // ✅ Handle profile picture update
-    if (profile_picture !== undefined) {
-      if (profile_picture === null) {
-        if (currentData.profile_picture) {
-          await deleteImage(currentData.profile_picture);
-        }
-        finalUpdateData.profile_picture = null;
-      } else if (profile_picture.startsWith('data:image')) {
-        try {
-          const newImageUrl = await updateProfilePicture(
-            profile_picture,
-            currentData.profile_picture,
-            caName
-          );
-          finalUpdateData.profile_picture = newImageUrl;
-        } catch (uploadError) {
-          console.error('⚠️ Profile picture update failed:', uploadError.message);
-          delete finalUpdateData.profile_picture;
-        }
-      } else if (profile_picture.startsWith('http')) {
-        delete finalUpdateData.profile_picture;
+    const settings = await getSystemSettingsService(businessId).catch(() => ({}));
+    const rules = getSchedulingRules(settings);
+
+    if (appointment.assigned_ca) {
+      const caAvailable = await isCAAvailable(
+        businessId,
+        appointment.assigned_ca,
+        date,
+        time_slot,
+        appointment.duration || 30,
+        rules
+      );
+
+      if (!caAvailable) {
+        return res.status(409).json({
+          success: false,
+          message: 'The assigned CA is not available at this time'
+        });
       }
     }
 
-    await caRef.update({
-      ...finalUpdateData,
-      updated_at: admin.firestore.FieldValue.serverTimestamp()
-    });
-
-    const updatedDoc = await caRef.get();
-    const updatedData = updatedDoc.data();
+    const result = await moveReservation(businessRef, appointmentId, { date, time_slot }, rules);
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 409).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await runRescheduleSideEffects(businessRef, {
+      id: appointmentId,
+      reference_id: appointmentId,
+      ...appointment,
+      date,
+      time_slot,
+    }, result.previous);
+
+    res.json({
+      success: true,
+      message: 'Appointment rescheduled successfully',
+      data: { date, time_slot, previous: result.previous }
+    });
+
+  } catch (error) {
+    console.error('❌ Error rescheduling appointment:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/admin/appointments/:appointmentId/invoice?businessId=nab-consultancy
+ * Download the invoice PDF (issued now if a paid appointment doesn't have one yet)
+ */
+export const downloadInvoice = async (req, res) => {
+  try {
+    const { appointmentId } = req.params;
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const invoice = await issueInvoice(getBusinessRef(businessId), appointmentId);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'No invoice: appointment not found, not booked or free of charge'
+      });
+    }
+
+    const pdf = await generateInvoicePDF(invoice);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${getInvoiceFileName(invoice)}"`);
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('❌ Error generating invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// ==================== OFFLINE PAYMENTS ====================
+
+/**
+ * POST /api/admin/appointments/:appointmentId/payments
+ * Body: { businessId, amount, method, reference, note }
+ * Record a balance payment taken at the office (deposit and pay-at-office bookings)
+ */
+export const recordAppointmentPayment = async (req, res) => {
+  try {
+    const { appointmentId } = req.params;
+    const { businessId, amount, method, reference, note } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'amount must be a positive number'
+      });
+    }
+
+    if (!OFFLINE_PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `method must be one of: ${OFFLINE_PAYMENT_METHODS.join(', ')}`
+      });
+    }
+
+    const result = await recordOfflinePayment(getBusinessRef(businessId), appointmentId, {
+      amount,
+      method,
+      reference: reference || '',
+      note: note || '',
+    });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: {
+        payment: result.payment,
+        balance_due: result.balance_due
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error recording offline payment:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// ==================== PAYMENT LINKS ====================
+
+/**
+ * POST /api/admin/appointments/:appointmentId/payment-link
+ * Body: { businessId, purpose, amount, expiry_hours }
+ * Email the customer a Razorpay payment link
+ *   booking - pay for an admin booking held as a draft (expires with the hold)
+ *   balance - collect the balance due (amount defaults to all of it)
+ */
+export const sendAppointmentPaymentLink = async (req, res) => {
+  try {
+    const { appointmentId } = req.params;
+    const { businessId, purpose = 'balance', amount, expiry_hours } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    if (!PAYMENT_LINK_PURPOSES.includes(purpose)) {
+      return res.status(400).json({
+        success: false,
+        message: `purpose must be one of: ${PAYMENT_LINK_PURPOSES.join(', ')}`
+      });
+    }
+
+    if (amount !== undefined && !(Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'amount must be a positive number'
+      });
+    }
+
+    if (expiry_hours !== undefined && !(Number(expiry_hours) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiry_hours must be a positive number'
+      });
+    }
+
+    const result = await sendPaymentLink(getBusinessRef(businessId), appointmentId, {
+      purpose,
+      amount,
+      expiryHours: Number(expiry_hours) || undefined,
+    });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const link = result.payment_link;
+
+    res.status(201).json({
+      success: true,
+      message: link.email_sent
+        ? 'Payment link sent to the customer'
+        : 'Payment link created, but the email could not be sent',
+      data: {
+        payment_link_id: link.id,
+        purpose: link.purpose,
+        amount: link.amount,
+        short_url: link.short_url,
+        expires_at: link.expires_at.toDate(),
+        email_sent: link.email_sent
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error sending payment link:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// ==================== REFUNDS ====================
+
+/**
+ * POST /api/admin/appointments/:appointmentId/refund
+ * Manual full or partial refund (omit amount to refund the remaining balance)
+ */
+export const refundAppointment = async (req, res) => {
+  try {
+    const { appointmentId } = req.params;
+    const { businessId, amount, reason } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    if (amount !== undefined && !(Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be a positive number'
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const result = await issueRefund(businessRef, appointmentId, {
+      amount,
+      reason,
+      initiated_by: 'admin',
+    });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Refund initiated successfully',
+      data: { refund: result.refund }
+    });
+
+  } catch (error) {
+    console.error('❌ Error issuing refund:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/admin/appointments/:appointmentId/cancel
+ * Cancel with a refund: 'policy' (default), 'full' or 'none'
+ */
+export const cancelAppointmentByAdmin = async (req, res) => {
+  try {
+    const { appointmentId } = req.params;
+    const { businessId, refund = 'policy', reason } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    if (!['policy', 'full', 'none'].includes(refund)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund must be policy, full or none'
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const result = await cancelAppointment(businessRef, appointmentId, {
+      cancelled_by: 'admin',
+      reason,
+      refund,
+    });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Appointment cancelled successfully',
+      data: { refund: result.refund }
+    });
+
+  } catch (error) {
+    console.error('❌ Error cancelling appointment:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// ==================== CUSTOMERS ====================
+
+/**
+ * GET /api/admin/customers?businessId=nab-consultancy&min_no_shows=1
+ * Customers with their no-show counts and current booking restrictions
+ */
+export const getCustomers = async (req, res) => {
+  try {
+    const { businessId, min_no_shows } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const settings = await getSystemSettingsService(businessId).catch(() => ({}));
+    const policy = getNoShowPolicy(settings);
+
+    let query = businessRef.collection('customers');
+    if (min_no_shows) {
+      query = query.where('no_show_count', '>=', parseInt(min_no_shows));
+    }
+
+    const snapshot = await query.get();
+
+    const customers = snapshot.docs.map(doc => {
+      const data = doc.data();
+
+      return {
+        id: doc.id,
+        ...data,
+        ...evaluateRestrictions(data, policy),
+        last_no_show_at: data.last_no_show_at?.toDate?.() || null,
+        updated_at: data.updated_at?.toDate?.() || null,
+      };
+    });
+
+    res.json({
+      success: true,
+      data: { customers, policy }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching customers:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PATCH /api/admin/customers/:email
+ * Body: { businessId, reliability_override } - lift no-show restrictions without resetting the count
+ */
+export const updateCustomer = async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { businessId, reliability_override } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    if (typeof reliability_override !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'reliability_override must be true or false'
+      });
+    }
+
+    const customerRef = getCustomerRef(getBusinessRef(businessId), email);
+    const customerDoc = await customerRef.get();
+
+    if (!customerDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    await customerRef.update({
+      reliability_override,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    res.json({
+      success: true,
+      message: 'Customer updated successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating customer:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/admin/customers/:email/credits?businessId=nab-consultancy
+ * Credit balance, lots, ledger and package purchases of a customer
+ */
+export const getCustomerCreditsAdmin = async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const [credits, purchases] = await Promise.all([
+      getCustomerCredits(businessRef, email),
+      getCustomerPurchases(businessRef, email),
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...credits, purchases }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching customer credits:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/admin/customers/:email/credits
+ * Body: { businessId, credits, duration, service_id, validity_days, reason } - grant free credits
+ */
+export const grantCustomerCredits = async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { businessId, credits, duration, service_id, validity_days, reason } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    if (!(parseInt(credits) > 0) || !(parseInt(duration) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'credits and duration must be positive numbers'
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const customerEmail = String(email).trim().toLowerCase();
+
+    const lotId = await getDb().runTransaction(async (transaction) => {
+      return addCreditLot(transaction, businessRef, { email: customerEmail }, {
+        credits: parseInt(credits),
+        duration,
+        service_id,
+        expires_at: getCreditExpiryDate(parseInt(validity_days) || 0),
+        source: 'admin',
+      }, {
+        type: 'grant',
+        reason: reason || '',
+        actor: 'admin',
+      });
+    });
+
+    console.log(`✅ Granted ${credits} credits to ${customerEmail}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Credits granted successfully',
+      data: { lot_id: lotId }
+    });
+
+  } catch (error) {
+    console.error('❌ Error granting credits:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PATCH /api/admin/customers/:email/credits/:lotId
+ * Body: { businessId, change, expires_at, reason } - change is added to the remaining credits (may be negative)
+ */
+export const adjustCustomerCredits = async (req, res) => {
+  try {
+    const { email, lotId } = req.params;
+    const { businessId, change, expires_at, reason } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    if (change !== undefined && !Number.isInteger(change)) {
+      return res.status(400).json({
+        success: false,
+        message: 'change must be a whole number'
+      });
+    }
+
+    if (expires_at && !isValidDate(expires_at)) {
+      return res.status(400).json({
+        success: false,
+        message: 'expires_at must be a date (YYYY-MM-DD)'
+      });
+    }
+
+    if (!change && expires_at === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to change'
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for credit adjustments'
+      });
+    }
+
+    const result = await adjustCreditLot(getBusinessRef(businessId), email, lotId, {
+      change: change || 0,
+      expires_at,
+      reason,
+    });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Credits adjusted successfully',
+      data: result.lot
+    });
+
+  } catch (error) {
+    console.error('❌ Error adjusting credits:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// ==================== WAITLIST ====================
+
+/**
+ * GET /api/admin/waitlist?businessId=nab-consultancy&date=2025-01-20&status=waiting
+ * Waitlist entries, oldest first
+ */
+export const getWaitlist = async (req, res) => {
+  try {
+    const { businessId, date, status } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    let query = getBusinessRef(businessId).collection('waitlist');
+
+    if (date) {
+      query = query.where('date', '==', date);
+    }
+
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.orderBy('created_at', 'asc').get();
+
+    const entries = snapshot.docs.map(doc => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        ...data,
+        created_at: data.created_at?.toDate?.() || null,
+        updated_at: data.updated_at?.toDate?.() || null,
+        offered_at: data.offered_at?.toDate?.() || null,
+        offer_expires_at: data.offer_expires_at?.toDate?.() || null,
+      };
+    });
+
+    res.json({
+      success: true,
+      data: { entries }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/admin/waitlist/:entryId?businessId=nab-consultancy
+ * Take a waiting customer off the waitlist (entry is kept as 'removed')
+ */
+export const removeWaitlistEntry = async (req, res) => {
+  try {
+    const { entryId } = req.params;
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const entryRef = getBusinessRef(businessId).collection('waitlist').doc(entryId);
+    const entryDoc = await entryRef.get();
+
+    if (!entryDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (entryDoc.data().status !== 'waiting') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot remove an entry that is ${entryDoc.data().status}`
+      });
+    }
+
+    await entryRef.update({
+      status: 'removed',
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    res.json({
+      success: true,
+      message: 'Waitlist entry removed successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error removing waitlist entry:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// ==================== PAYMENT REVIEWS ====================
+
+/**
+ * GET /api/admin/payment-reviews?businessId=nab-consultancy&status=open
+ * List payments flagged for manual review (amount/order mismatches, slot conflicts)
+ */
+export const getPaymentReviews = async (req, res) => {
+  try {
+    const { businessId, status } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    let query = businessRef.collection('payment_reviews');
+
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.orderBy('created_at', 'desc').get();
+
+    const reviews = snapshot.docs.map(doc => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        ...data,
+        created_at: data.created_at?.toDate?.() || null,
+        resolved_at: data.resolved_at?.toDate?.() || null,
+      };
+    });
+
+    res.json({
+      success: true,
+      data: { reviews }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching payment reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PATCH /api/admin/payment-reviews/:reviewId
+ * Resolve or dismiss a flagged payment
+ */
+export const resolvePaymentReview = async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    const { businessId, status, resolution_note } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    if (!['resolved', 'dismissed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be resolved or dismissed'
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const reviewRef = businessRef.collection('payment_reviews').doc(reviewId);
+    const reviewDoc = await reviewRef.get();
+
+    if (!reviewDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await reviewRef.update({
+      status,
+      resolution_note: resolution_note || '',
+      resolved_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    const { appointment_id } = reviewDoc.data();
+    await updateAppointment(businessId, appointment_id, { requires_review: false });
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error resolving payment review:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// ==================== PAYMENT RECONCILIATION ====================
+
+// Longest range an admin can reconcile at once (Razorpay lists at most 100 payments per call)
+const MAX_RECONCILIATION_DAYS = 31;
+
+/**
+ * Whether a business can see a run: scheduled runs cover every business,
+ * admin runs only the business that started them
+ */
+const isRunVisibleTo = (run, businessId) => !run.business_id || run.business_id === businessId;
+
+/**
+ * Show a run with only the items of one business, and the summary counted from them
+ * Orphan payments belong to no business and are left out (they are in the stored run).
+ */
+const toBusinessRun = (run, businessId) => {
+  const items = run.business_id === businessId
+    ? run.items
+    : run.items.filter((item) => item.business_id === businessId);
+  const matched = run.business_id === businessId
+    ? run.summary.matched
+    : run.matched_by_business?.[businessId] || 0;
+  const { matched_by_business, ...rest } = run;
+
+  return {
+    ...rest,
+    summary: getRunSummary(items, {
+      payments_checked: matched + items.filter((item) => item.type !== 'not_captured').length,
+      matched,
+    }),
+    items,
+    started_at: run.started_at?.toDate?.() || null,
+    finished_at: run.finished_at?.toDate?.() || null,
+  };
+};
+
+/**
+ * GET /api/admin/reconciliation?businessId=nab-consultancy&limit=10
+ * Recent reconciliation runs with their findings
+ */
+export const getReconciliationReports = async (req, res) => {
+  try {
+    const { businessId, limit } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const runs = await getReconciliationRuns(Math.min(parseInt(limit) || 10, 50));
+
+    res.json({
+      success: true,
+      data: {
+        runs: runs
+          .filter(run => isRunVisibleTo(run, businessId))
+          .map(run => toBusinessRun(run, businessId))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching reconciliation reports:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/admin/reconciliation/:runId?businessId=nab-consultancy
+ */
+export const getReconciliationReport = async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const run = await getReconciliationRun(runId);
+
+    if (!run || !isRunVisibleTo(run, businessId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toBusinessRun(run, businessId)
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching reconciliation report:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/admin/reconciliation/run
+ * Body: { businessId, from: '2025-02-01', to: '2025-02-07' } - both days included (IST)
+ */
+export const runReconciliation = async (req, res) => {
+  try {
+    const { businessId, from, to } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    if (!isValidDate(from) || !isValidDate(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates (YYYY-MM-DD), from not after to'
+      });
+    }
+
+    const fromDate = new Date(`${from}T00:00:00+05:30`);
+    const toDate = new Date(Math.min(new Date(`${to}T23:59:59+05:30`).getTime(), Date.now()));
+
+    if (toDate - fromDate > MAX_RECONCILIATION_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Reconcile at most ${MAX_RECONCILIATION_DAYS} days at a time`
+      });
+    }
+
+    // Only this business's payments; other businesses and orphan payments are left to the scheduled run
+    const run = await reconcilePayments({ from: fromDate, to: toDate, trigger: 'admin', businessId });
+
+    res.json({
+      success: true,
+      message: 'Reconciliation completed',
+      data: toBusinessRun(run, businessId)
+    });
+
+  } catch (error) {
+    console.error('❌ Error running reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// ==================== CA MANAGEMENT ====================
+
+/**
+ * GET /api/admin/ca/list?businessId=nab-consultancy
+ * Get all CAs with profile pictures
+ */
+export const getCAs = async (req, res) => {
+  try {
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const casSnapshot = await businessRef.collection('CA').get();
+
+    const cas = [];
+    casSnapshot.forEach(doc => {
+      const data = doc.data();
+      cas.push({
+        id: doc.id,
+        name: data.name || '',
+        email: data.email || '',
+        phone: data.phone || data.mobile || '',
+        specialization: data.specialization || '',
+        experience: data.experience || 0,
+        qualification: data.qualification || '',
+        intro: data.intro || '',
+        status: data.status || 'active',
+        profile_picture: data.profile_picture || null,
+        unavailable_slots: data.unavailable_slots || [],
+        weekly_schedule: data.weekly_schedule || null,
+        leave: data.leave || [],
+        recurring_blocks: data.recurring_blocks || [],
+        pricing: data.pricing || null,
+      });
+    });
+
+    res.json({
+      success: true,
+      data: { cas }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching CAs:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/admin/ca/create
+ * Create new CA with profile picture
+ */
+export const createCA = async (req, res) => {
+  try {
+    const { businessId, name, email, phone, specialization, profile_picture, ...otherData } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    if (!name || !email || !phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, email, and phone are required'
+      });
+    }
+
+    let profilePictureUrl = null;
+
+    // ✅ Upload profile picture if provided
+    if (profile_picture && profile_picture.startsWith('data:image')) {
+      try {
+        profilePictureUrl = await uploadImage(profile_picture, 'ca-profiles', name);
+      } catch (uploadError) {
+        console.error('⚠️ Profile picture upload failed:', uploadError.message);
+      }
+    }
+
+    const caData = {
+      name,
+      email,
+      phone,
+      specialization: specialization || '',
+      status: 'active',
+      profile_picture: profilePictureUrl,
+      ...otherData
+    };
+
+    const ca = await createCAService(businessId, caData);
+
+    res.json({
+      success: true,
+      message: 'CA created successfully',
+      data: {
+        ...ca,
+        profile_picture: profilePictureUrl
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating CA:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PATCH /api/admin/ca/:caId
+ * Update CA with optional profile picture update
+ */
+export const updateCA = async (req, res) => {
+  try {
+    const { caId } = req.params;
+    const { businessId, profile_picture, ...updateData } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const caRef = businessRef.collection('CA').doc(caId);
+
+    const caDoc = await caRef.get();
+    if (!caDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'CA not found'
+      });
+    }
+
+    const currentData = caDoc.data();
+    let finalUpdateData = { ...updateData };
+
+    const caName = updateData.name || currentData.name;
+
+    // ✅ Handle profile picture update
+    if (profile_picture !== undefined) {
+      if (profile_picture === null) {
+        if (currentData.profile_picture) {
+          await deleteImage(currentData.profile_picture);
+        }
+        finalUpdateData.profile_picture = null;
+      } else if (profile_picture.startsWith('data:image')) {
+        try {
+          const newImageUrl = await updateProfilePicture(
+            profile_picture,
+            currentData.profile_picture,
+            caName
+          );
+          finalUpdateData.profile_picture = newImageUrl;
+        } catch (uploadError) {
+          console.error('⚠️ Profile picture update failed:', uploadError.message);
+          delete finalUpdateData.profile_picture;
+        }
+      } else if (profile_picture.startsWith('http')) {
+        delete finalUpdateData.profile_picture;
+      }
+    }
+
+    await caRef.update({
+      ...finalUpdateData,
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const updatedDoc = await caRef.get();
+    const updatedData = updatedDoc.data();
+
+    res.json({
+      success: true,
+      message: 'CA updated successfully',
+      data: {
+        id: caId,
+        ...updatedData
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating CA:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/admin/ca/:caId?businessId=nab-consultancy
+ * Delete CA and its profile picture
+ */
+export const deleteCA = async (req, res) => {
+  try {
+    const { caId } = req.params;
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const caDoc = await businessRef.collection('CA').doc(caId).get();
+
+    if (caDoc.exists) {
+      const caData = caDoc.data();
+      if (caData.profile_picture) {
+        await deleteImage(caData.profile_picture);
+      }
+    }
+
+    await deleteCAService(businessId, caId);
+
+    res.json({
+      success: true,
+      message: 'CA deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting CA:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// ==================== CA SCHEDULES & TIME OFF ====================
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+const isValidTimeRange = (start, end) => {
+  return TIME_PATTERN.test(start || '') &&
+    TIME_PATTERN.test(end || '') &&
+    timeToMinutes(start) < timeToMinutes(end);
+};
+
+/**
+ * Validate a CA weekly schedule ({ monday: { enabled, start, end }, ... })
+ * @returns {string|null} - Error message, or null if valid
+ */
+const getWeeklyScheduleError = (schedule) => {
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return 'weekly_schedule must be an object keyed by weekday';
+  }
+
+  for (const [day, hours] of Object.entries(schedule)) {
+    if (!WEEKDAYS.includes(day)) {
+      return `Invalid weekday: ${day}`;
+    }
+
+    if (hours?.enabled && !isValidTimeRange(hours.start, hours.end)) {
+      return `Invalid hours for ${day}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Load a CA document, sending a 404 if it doesn't exist
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>}
+ */
+const getCAOr404 = async (res, businessId, caId) => {
+  const caDoc = await getBusinessRef(businessId).collection('CA').doc(caId).get();
+
+  if (!caDoc.exists) {
+    res.status(404).json({
+      success: false,
+      message: 'CA not found'
+    });
+    return null;
+  }
+
+  return caDoc;
+};
+
+/**
+ * Remove an entry (by id) from an array field on a CA document
+ * @returns {Promise<boolean>} - false if the entry doesn't exist
+ */
+const removeCAEntry = async (caRef, field, entryId) => {
+  return getDb().runTransaction(async (transaction) => {
+    const caDoc = await transaction.get(caRef);
+    const entries = caDoc.data()[field] || [];
+    const remaining = entries.filter((entry) => entry.id !== entryId);
+
+    if (remaining.length === entries.length) {
+      return false;
+    }
+
+    transaction.update(caRef, {
+      [field]: remaining,
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+};
+
+/**
+ * GET /api/admin/ca/:caId/availability?businessId=nab-consultancy
+ * Weekly schedule, leave, recurring blocks and one-off unavailable slots of a CA
+ */
+export const getCAAvailability = async (req, res) => {
+  try {
+    const { caId } = req.params;
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const caDoc = await getCAOr404(res, businessId, caId);
+    if (!caDoc) return;
+
+    const data = caDoc.data();
+
+    res.json({
+      success: true,
+      data: {
+        id: caId,
+        weekly_schedule: data.weekly_schedule || null,
+        leave: data.leave || [],
+        recurring_blocks: data.recurring_blocks || [],
+        unavailable_slots: data.unavailable_slots || [],
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching CA availability:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PATCH /api/admin/ca/:caId/schedule
+ * Body: { businessId, weekly_schedule } - null clears it (CA follows the business hours)
+ */
+export const updateCASchedule = async (req, res) => {
+  try {
+    const { caId } = req.params;
+    const { businessId, weekly_schedule } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    if (weekly_schedule === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'weekly_schedule is required (null to use the business hours)'
+      });
+    }
+
+    const scheduleError = weekly_schedule === null ? null : getWeeklyScheduleError(weekly_schedule);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+
+    const caDoc = await getCAOr404(res, businessId, caId);
+    if (!caDoc) return;
+
+    await caDoc.ref.update({
+      weekly_schedule,
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({
+      success: true,
+      message: 'CA schedule updated successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating CA schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/admin/ca/:caId/leave
+ * Body: { businessId, start_date, end_date, reason } - whole days, both dates included
+ * Returns the CA's existing bookings inside the leave so they can be reassigned
+ */
+export const addCALeave = async (req, res) => {
+  try {
+    const { caId } = req.params;
+    const { businessId, start_date, end_date, reason } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    if (!isValidDate(start_date) || !isValidDate(end_date) || start_date > end_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid start_date and end_date are required'
+      });
+    }
+
+    const caDoc = await getCAOr404(res, businessId, caId);
+    if (!caDoc) return;
+
+    const leave = {
+      id: crypto.randomUUID(),
+      start_date,
+      end_date,
+      reason: reason || '',
+    };
+
+    await caDoc.ref.update({
+      leave: admin.firestore.FieldValue.arrayUnion(leave),
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Bookings the CA can no longer take
+    const snapshot = await getBusinessRef(businessId)
+      .collection('appointments')
+      .where('assigned_ca', '==', caId)
+      .where('date', '>=', start_date)
+      .where('date', '<=', end_date)
+      .get();
+
+    const conflicts = snapshot.docs
+      .filter(doc => ['draft', 'pending', 'confirmed'].includes(doc.data().status))
+      .map(doc => ({
+        id: doc.id,
+        date: doc.data().date,
+        time_slot: doc.data().time_slot,
+        status: doc.data().status,
+      }));
+
+    res.json({
+      success: true,
+      message: 'Leave added successfully',
+      data: { leave, conflicts }
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding CA leave:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/admin/ca/:caId/leave/:leaveId?businessId=nab-consultancy
+ */
+export const removeCALeave = async (req, res) => {
+  try {
+    const { caId, leaveId } = req.params;
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const caDoc = await getCAOr404(res, businessId, caId);
+    if (!caDoc) return;
+
+    if (!await removeCAEntry(caDoc.ref, 'leave', leaveId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Leave removed successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error removing CA leave:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/admin/ca/:caId/blocks
+ * Body: { businessId, day, start_time, end_time, reason } - e.g. every friday 13:00-14:00
+ */
+export const addCABlock = async (req, res) => {
+  try {
+    const { caId } = req.params;
+    const { businessId, day, start_time, end_time, reason } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    if (!WEEKDAYS.includes(day) || !isValidTimeRange(start_time, end_time)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A weekday, start_time and end_time (HH:MM) are required'
+      });
+    }
+
+    const caDoc = await getCAOr404(res, businessId, caId);
+    if (!caDoc) return;
+
+    const block = {
+      id: crypto.randomUUID(),
+      day,
+      start_time,
+      end_time,
+      reason: reason || '',
+    };
+
+    await caDoc.ref.update({
+      recurring_blocks: admin.firestore.FieldValue.arrayUnion(block),
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({
+      success: true,
+      message: 'Recurring block added successfully',
+      data: { block }
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding CA block:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/admin/ca/:caId/blocks/:blockId?businessId=nab-consultancy
+ */
+export const removeCABlock = async (req, res) => {
+  try {
+    const { caId, blockId } = req.params;
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const caDoc = await getCAOr404(res, businessId, caId);
+    if (!caDoc) return;
+
+    if (!await removeCAEntry(caDoc.ref, 'recurring_blocks', blockId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring block not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recurring block removed successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error removing CA block:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// ==================== CA PRICING ====================
+
+// Razorpay can't take a zero amount, so every price is at least MIN_PAYABLE_AMOUNT
+const isValidPriceList = (list) => {
+  return Array.isArray(list) && list.every(
+    (entry) => parseInt(entry?.duration) > 0 && Number(entry?.price) >= MIN_PAYABLE_AMOUNT
+  );
+};
+
+/**
+ * Validate CA price overrides ({ durations: [...], services: { serviceId: [...] } })
+ * @returns {string|null} - Error message, or null if valid
+ */
+const getPricingError = (pricing) => {
+  if (typeof pricing !== 'object' || Array.isArray(pricing)) {
+    return 'pricing must be an object with durations and/or services';
+  }
+
+  if (pricing.durations !== undefined && !isValidPriceList(pricing.durations)) {
+    return `pricing.durations must be a list of { duration, price } with prices of at least ₹${MIN_PAYABLE_AMOUNT}`;
+  }
+
+  if (pricing.services !== undefined) {
+    if (typeof pricing.services !== 'object' || Array.isArray(pricing.services)) {
+      return 'pricing.services must be an object keyed by service ID';
+    }
+
+    for (const [serviceId, list] of Object.entries(pricing.services)) {
+      if (!isValidPriceList(list)) {
+        return `Invalid prices for service ${serviceId} (at least ₹${MIN_PAYABLE_AMOUNT} each)`;
+      }
+    }
+  }
+
+  return null;
+};
+
+const toPriceList = (list = []) => list.map((entry) => ({
+  duration: parseInt(entry.duration),
+  price: Number(entry.price),
+}));
+
+/**
+ * PATCH /api/admin/ca/:caId/pricing
+ * Body: { businessId, pricing: { durations: [{ duration, price }], services: { serviceId: [{ duration, price }] } } }
+ * null clears it (CA is charged at the standard prices)
+ */
+export const updateCAPricing = async (req, res) => {
+  try {
+    const { caId } = req.params;
+    const { businessId, pricing } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    if (pricing === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'pricing is required (null to use the standard prices)'
+      });
+    }
+
+    const pricingError = pricing === null ? null : getPricingError(pricing);
+    if (pricingError) {
+      return res.status(400).json({
+        success: false,
+        message: pricingError
+      });
+    }
+
+    const caDoc = await getCAOr404(res, businessId, caId);
+    if (!caDoc) return;
+
+    const finalPricing = pricing === null ? null : {
+      durations: toPriceList(pricing.durations),
+      services: Object.fromEntries(
+        Object.entries(pricing.services || {}).map(([serviceId, list]) => [serviceId, toPriceList(list)])
+      ),
+    };
+
+    await caDoc.ref.update({
+      pricing: finalPricing,
+      updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({
+      success: true,
+      message: 'CA pricing updated successfully',
+      data: { pricing: finalPricing }
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating CA pricing:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// ==================== SERVICES ====================
+
+/**
+ * GET /api/admin/services?businessId=nab-consultancy
+ * Get the full service catalog, including inactive services
+ */
+export const getServicesAdmin = async (req, res) => {
+  try {
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const services = await getServices(getBusinessRef(businessId));
+
+    res.json({
+      success: true,
+      data: { services }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching services:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/admin/services
+ * Body: { businessId, name, description, durations: [{ duration, price }], required_documents, ca_ids }
+ */
+export const createServiceAdmin = async (req, res) => {
+  try {
+    const { businessId, ...serviceData } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const validationError = getServiceError(serviceData);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const service = await createService(getBusinessRef(businessId), serviceData);
+
+    console.log(`✅ Service created: ${service.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Service created successfully',
+      data: service
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating service:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PATCH /api/admin/services/:serviceId
+ * Body: { businessId, ...fields to change }
+ * Existing appointments keep the service name and documents they were booked with.
+ */
+export const updateServiceAdmin = async (req, res) => {
+  try {
+    const { serviceId } = req.params;
+    const { businessId, ...serviceData } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+
+    if (!(await getService(businessRef, serviceId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const validationError = getServiceError(serviceData, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    await updateService(businessRef, serviceId, serviceData);
+    const service = await getService(businessRef, serviceId);
+
+    res.json({
+      success: true,
+      message: 'Service updated successfully',
+      data: service
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating service:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/admin/services/:serviceId?businessId=nab-consultancy
+ * Existing appointments keep their service snapshot; set status 'inactive' to only hide it.
+ */
+export const deleteServiceAdmin = async (req, res) => {
+  try {
+    const { serviceId } = req.params;
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+
+    if (!(await getService(businessRef, serviceId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    await deleteService(businessRef, serviceId);
+
+    res.json({
+      success: true,
+      message: 'Service deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting service:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// ==================== COUPONS ====================
+
+/**
+ * GET /api/admin/coupons?businessId=nab-consultancy
+ */
+export const getCouponsAdmin = async (req, res) => {
+  try {
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const coupons = await getCoupons(getBusinessRef(businessId));
+
+    res.json({
+      success: true,
+      data: { coupons }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching coupons:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/admin/coupons
+ * Body: { businessId, code, discount_type, discount_value, max_discount, valid_from, valid_until,
+ *         max_uses, max_uses_per_customer, service_ids, durations, first_booking_only }
+ */
+export const createCouponAdmin = async (req, res) => {
+  try {
+    const { businessId, ...couponData } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const validationError = getCouponError(couponData);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const coupon = await createCoupon(getBusinessRef(businessId), couponData);
+
+    if (!coupon) {
+      return res.status(409).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    console.log(`✅ Coupon created: ${coupon.code}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PATCH /api/admin/coupons/:code
+ * Body: { businessId, ...fields to change } - the code and used_count can't be changed
+ */
+export const updateCouponAdmin = async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { businessId, ...couponData } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const existing = await getCoupon(businessRef, code);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // Validate against the merged coupon so e.g. a new value is checked with the existing type
+    const validationError = getCouponError({ ...existing, ...couponData }, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    await updateCoupon(businessRef, code, couponData);
+    const coupon = await getCoupon(businessRef, code);
 
     res.json({
       success: true,
-      message: 'CA updated successfully',
-      data: {
-        id: caId,
-        ...updatedData
-      }
+      message: 'Coupon updated successfully',
+      data: coupon
     });
 
   } catch (error) {
-    console.error('❌ Error updating CA:', error);
+    console.error('❌ Error updating coupon:', error);
     res.status(500).json({
       success: false,
       message: error.message
@@ -519,12 +2749,12 @@ export const updateCA = async (req, res) => {
 };
 
 /**
- * DELETE /api/admin/ca/:caId?businessId=nab-consultancy
- * Delete CA and its profile picture
+ * DELETE /api/admin/coupons/:code?businessId=nab-consultancy
+ * Appointments keep their coupon_code and discount; set status 'inactive' to keep the usage history.
  */
-export const deleteCA = async (req, res) => {
+export const deleteCouponAdmin = async (req, res) => {
   try {
-    const { caId } = req.params;
+    const { code } = req.params;
     const { businessId } = req.query;
 
     if (!businessId) {
@@ -535,24 +2765,247 @@ export const deleteCA = async (req, res) => {
     }
 
     const businessRef = getBusinessRef(businessId);
-    const caDoc = await businessRef.collection('CA').doc(caId).get();
 
-    if (caDoc.exists) {
-      const caData = caDoc.data();
-      if (caData.profile_picture) {
-        await deleteImage(caData.profile_picture);
-      }
+    if (!(await getCoupon(businessRef, code))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
     }
 
-    await deleteCAService(businessId, caId);
+    await deleteCoupon(businessRef, code);
 
     res.json({
       success: true,
-      message: 'CA deleted successfully'
+      message: 'Coupon deleted successfully'
     });
 
   } catch (error) {
-    console.error('❌ Error deleting CA:', error);
+    console.error('❌ Error deleting coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// ==================== PACKAGES ====================
+
+/**
+ * GET /api/admin/packages?businessId=nab-consultancy
+ * Get all consultation packages, including inactive ones
+ */
+export const getPackagesAdmin = async (req, res) => {
+  try {
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const packages = await getPackages(getBusinessRef(businessId));
+
+    res.json({
+      success: true,
+      data: { packages }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching packages:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/admin/packages
+ * Body: { businessId, name, description, sessions, duration, service_id, price, validity_days }
+ */
+export const createPackageAdmin = async (req, res) => {
+  try {
+    const { businessId, ...packageData } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const validationError = getPackageError(packageData);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+
+    if (packageData.service_id && !(await getService(businessRef, packageData.service_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const pkg = await createPackage(businessRef, packageData);
+
+    console.log(`✅ Package created: ${pkg.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Package created successfully',
+      data: pkg
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating package:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PATCH /api/admin/packages/:packageId
+ * Body: { businessId, ...fields to change }
+ * Credits already bought keep the sessions, duration and expiry they were bought with.
+ */
+export const updatePackageAdmin = async (req, res) => {
+  try {
+    const { packageId } = req.params;
+    const { businessId, ...packageData } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+
+    if (!(await getPackage(businessRef, packageId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+
+    const validationError = getPackageError(packageData, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (packageData.service_id && !(await getService(businessRef, packageData.service_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    await updatePackage(businessRef, packageId, packageData);
+    const pkg = await getPackage(businessRef, packageId);
+
+    res.json({
+      success: true,
+      message: 'Package updated successfully',
+      data: pkg
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating package:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/admin/packages/:packageId?businessId=nab-consultancy
+ * Credits already bought stay usable; set status 'inactive' to only stop selling it.
+ */
+export const deletePackageAdmin = async (req, res) => {
+  try {
+    const { packageId } = req.params;
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+
+    if (!(await getPackage(businessRef, packageId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+
+    await deletePackage(businessRef, packageId);
+
+    res.json({
+      success: true,
+      message: 'Package deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting package:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/admin/packages/purchases/:purchaseId/invoice?businessId=nab-consultancy
+ * Download a package purchase's invoice PDF (issued now if a paid purchase doesn't have one yet)
+ */
+export const downloadPackageInvoice = async (req, res) => {
+  try {
+    const { purchaseId } = req.params;
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const invoice = await issuePackageInvoice(getBusinessRef(businessId), purchaseId);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'No invoice: purchase not found or not paid'
+      });
+    }
+
+    const pdf = await generateInvoicePDF(invoice);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${getInvoiceFileName(invoice)}"`);
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('❌ Error generating package invoice:', error);
     res.status(500).json({
       success: false,
       message: error.message
@@ -606,6 +3059,22 @@ export const updateSystemSettings = async (req, res) => {
       });
     }
 
+    // A wrong GSTIN would end up on every invoice
+    if (settingsData.gstin && !isValidGSTIN(settingsData.gstin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid GSTIN'
+      });
+    }
+
+    const paymentModeError = getPaymentModeError(settingsData);
+    if (paymentModeError) {
+      return res.status(400).json({
+        success: false,
+        message: paymentModeError
+      });
+    }
+
     await updateSystemSettingsService(businessId, settingsData);
 
     res.json({
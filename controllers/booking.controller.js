@@ -1,14 +1,83 @@
 // Backend/controllers/booking.controller.js - PRODUCTION READY
 import admin from "firebase-admin";
-import { createRazorpayOrder } from "../services/razorpay.service.js";
+import {
+  createRazorpayOrder,
+  fetchPaymentDetails,
+  verifyPaymentLinkSignature,
+} from "../services/razorpay.service.js";
 import { verifyRazorpaySignature } from "../utils/verifySignature.js";
 import { generateReferenceId } from "../utils/referenceIdHelper.js";
 import {
   isCAAvailable,
   getAvailableCAs,
+  getCABlocksForDate,
+  getCADaySchedule,
 } from "../services/caAvailability.service.js";
-import googleMeetService from "../services/googleMeet.service.js";
+import {
+  getBookableSlots,
+  getDaySchedule,
+} from "../services/slotAvailability.service.js";
+import {
+  reserveSlot,
+  confirmReservation,
+  moveReservation,
+} from "../services/slotReservation.service.js";
+import { releaseHold, getHoldRef } from "../services/slotHold.service.js";
+import {
+  confirmAppointmentPayment,
+  runConfirmationSideEffects,
+  runRescheduleSideEffects,
+} from "../services/bookingConfirmation.service.js";
+import { cancelAppointment } from "../services/cancellation.service.js";
+import { calculatePolicyRefund } from "../services/refund.service.js";
+import { getBookingRestrictions, getCustomerRef } from "../services/customer.service.js";
+import { autoAssignCA } from "../services/caAssignment.service.js";
+import { validateCoupon } from "../services/coupon.service.js";
+import {
+  getPaymentModeConfig,
+  getPaymentPlan,
+  getPaymentPlanFields,
+  isPaymentSecured,
+} from "../services/paymentPlan.service.js";
+import {
+  findUsableCredit,
+  consumeCredit,
+  restoreCredit,
+  getCustomerCredits,
+} from "../services/credit.service.js";
+import {
+  getPackages,
+  getPackage,
+  toPublicPackage,
+  createPackagePurchase,
+  confirmPackagePurchase,
+} from "../services/package.service.js";
+import {
+  getService,
+  getServices,
+  getDurationOptions,
+  isCAEligible,
+  getServiceSnapshot,
+  toPublicService,
+} from "../services/serviceCatalog.service.js";
+import {
+  getSchedulingRules,
+  getNoticeError,
+} from "../services/schedulingRules.service.js";
+import { findWaitlistSlot } from "../services/waitlist.service.js";
+import { applyPaymentLinkPayment } from "../services/paymentLink.service.js";
 import brevoService from "../services/brevo.service.js";
+import {
+  getCreditBookingLink,
+  isValidCreditToken,
+} from "../utils/manageToken.js";
+import { resolveStateCode, isValidGSTIN } from "../utils/gstStates.js";
+import {
+  getMinutesUntil,
+  isValidDate,
+  isWithinBookingLimit,
+  timeToMinutes,
+} from "../utils/helpers.js";
 
 const getDb = () => admin.firestore();
 
@@ -19,6 +88,110 @@ const getBusinessRef = (businessId) => {
   return getDb().collection("businesses").doc(businessId);
 };
 
+// Load the service being booked (no service_id = business-wide slot_durations)
+const loadActiveService = async (businessRef, serviceId) => {
+  if (!serviceId) {
+    return { service: null };
+  }
+
+  const service = await getService(businessRef, serviceId);
+
+  if (!service || service.status === "inactive") {
+    return { error: "Selected service is not available" };
+  }
+
+  return { service };
+};
+
+// Confirm a reserved draft with one of the customer's package credits
+// instead of a checkout payment, then run the usual confirmation side effects
+const bookWithCredit = async (res, businessRef, appointmentId, booking) => {
+  const docRef = businessRef.collection("appointments").doc(appointmentId);
+
+  const giveSlotBack = async (reason) => {
+    await docRef.delete();
+    await releaseHold(businessRef, appointmentId, reason);
+  };
+
+  const credit = await consumeCredit(
+    businessRef,
+    booking.customer_email,
+    appointmentId,
+    booking,
+  );
+
+  if (!credit.success) {
+    await giveSlotBack("no package credit");
+    return res.status(400).json({
+      success: false,
+      message: credit.error,
+    });
+  }
+
+  const confirmation = await confirmReservation(businessRef, appointmentId, {
+    payment_source: "credit",
+    credit_lot_id: credit.lot_id,
+  });
+
+  if (!confirmation.success) {
+    await restoreCredit(
+      businessRef,
+      appointmentId,
+      { customer_email: booking.customer_email, credit_lot_id: credit.lot_id },
+      { reason: "Booking could not be confirmed" },
+    );
+    await giveSlotBack("credit booking failed");
+    return res.status(409).json({
+      success: false,
+      message: confirmation.error,
+    });
+  }
+
+  const result = await runConfirmationSideEffects(businessRef, appointmentId);
+
+  return res.json({
+    success: true,
+    data: {
+      appointment_id: appointmentId,
+      reference_id: appointmentId,
+      status: result.appointment.status,
+      paid_with_credit: true,
+    },
+  });
+};
+
+// Confirm a reserved draft of a pay-at-office booking (nothing to pay online)
+const bookPayLater = async (res, businessRef, appointmentId, paymentPlan) => {
+  const confirmation = await confirmReservation(businessRef, appointmentId, {
+    payment_source: "pay_later",
+    payment_status: "pending_offline",
+  });
+
+  if (!confirmation.success) {
+    await businessRef.collection("appointments").doc(appointmentId).delete();
+    await releaseHold(businessRef, appointmentId, "pay later booking failed");
+    return res.status(409).json({
+      success: false,
+      message: confirmation.error,
+    });
+  }
+
+  const result = await runConfirmationSideEffects(businessRef, appointmentId);
+
+  return res.json({
+    success: true,
+    data: {
+      appointment_id: appointmentId,
+      reference_id: appointmentId,
+      status: result.appointment.status,
+      meet_link: result.appointment.meet_link || null,
+      payment_mode: "pay_later",
+      total_amount: paymentPlan.total_amount,
+      balance_due: paymentPlan.balance_due,
+    },
+  });
+};
+
 // ==================== GET PUBLIC SETTINGS ====================
 export const getPublicSettings = async (req, res) => {
   try {
@@ -45,6 +218,7 @@ export const getPublicSettings = async (req, res) => {
     }
 
     const settings = settingsDoc.data();
+    const services = await getServices(businessRef, { activeOnly: true });
 
     const publicSettings = {
       business_name: settings.business_name || "",
@@ -54,6 +228,10 @@ export const getPublicSettings = async (req, res) => {
       weekly_schedule: settings.weekly_schedule || {},
       off_days: settings.off_days || [],
       reminder_hours: settings.reminder_hours || 24,
+      min_notice_minutes: getSchedulingRules(settings).min_notice_minutes,
+      services: services.map(toPublicService),
+      gst_registered: Boolean(settings.gstin),
+      ...getPaymentModeConfig(settings),
     };
 
     res.json({
@@ -72,7 +250,7 @@ export const getPublicSettings = async (req, res) => {
 // ==================== GET AVAILABLE SLOTS ====================
 export const getAvailableSlots = async (req, res) => {
   try {
-    const { date, ca_id, businessId } = req.query;
+    const { date, ca_id, service_id, businessId } = req.query;
 
     if (!date) {
       return res.status(400).json({
@@ -115,86 +293,76 @@ export const getAvailableSlots = async (req, res) => {
       });
     }
 
-    // Check if date is an off day
-    const offDays = settings.off_days || [];
-    if (offDays.includes(date)) {
-      return res.json({
-        success: true,
-        data: {
-          appointments: [],
-          message: "This date is marked as off day",
-          off_day: true,
-        },
+    const { service, error: serviceError } = await loadActiveService(businessRef, service_id);
+
+    if (serviceError) {
+      return res.status(400).json({
+        success: false,
+        message: serviceError,
+      });
+    }
+
+    if (ca_id && ca_id !== "null" && !isCAEligible(service, ca_id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Selected CA doesn't offer this service",
       });
     }
 
-    // Check weekly schedule
-    const dayOfWeek = new Date(date)
-      .toLocaleDateString("en-US", { weekday: "long" })
-      .toLowerCase();
-    const daySchedule = settings.weekly_schedule?.[dayOfWeek];
+    const availability = await getBookableSlots(businessRef, settings, date, ca_id, service);
 
-    if (!daySchedule || !daySchedule.enabled) {
+    if (availability.off_day) {
       return res.json({
         success: true,
         data: {
           appointments: [],
-          message: "This day is not available",
+          slots: [],
+          message: availability.message,
           off_day: true,
         },
       });
     }
 
-    // Fetch booked appointments
-    const appointmentsQuery = businessRef
-      .collection("appointments")
-      .where("date", "==", date)
-      .where("payment_status", "==", "completed");
-
-    const appointmentsSnapshot = await appointmentsQuery.get();
-
-    const bookedAppointments = [];
-    appointmentsSnapshot.forEach((doc) => {
-      const data = doc.data();
-
-      const shouldInclude =
-        !ca_id ||
-        ca_id === "null" ||
-        ca_id === "" ||
-        !data.assigned_ca ||
-        data.assigned_ca === ca_id;
-
-      if (shouldInclude && ["pending", "confirmed"].includes(data.status)) {
-        bookedAppointments.push({
-          id: doc.id,
-          time_slot: data.time_slot,
-          duration: data.duration,
-          assigned_ca: data.assigned_ca || null,
-          customer_name: data.customer_name,
-        });
-      }
-    });
+    // Booked appointments (kept for clients that still do their own slot math)
+    const bookedAppointments = availability.booked
+      .filter(
+        (appointment) =>
+          !ca_id ||
+          ca_id === "null" ||
+          ca_id === "" ||
+          !appointment.assigned_ca ||
+          appointment.assigned_ca === ca_id,
+      )
+      .map(({ id, time_slot, duration, assigned_ca, customer_name }) => ({
+        id,
+        time_slot,
+        duration,
+        assigned_ca,
+        customer_name,
+      }));
 
-    // Get CA unavailable slots
+    // Get CA unavailable slots (one-off + recurring) and their own hours/leave
     let caUnavailableSlots = [];
+    let caSchedule = null;
     if (ca_id && ca_id !== "null" && ca_id !== "") {
       const caDoc = await businessRef.collection("CA").doc(ca_id).get();
       if (caDoc.exists) {
         const caData = caDoc.data();
-        const unavailableSlots = caData.unavailable_slots || [];
-        caUnavailableSlots = unavailableSlots.filter(
-          (slot) => slot.date === date,
-        );
+        caUnavailableSlots = getCABlocksForDate(caData, date);
+        caSchedule = getCADaySchedule(caData, date);
       }
     }
 
     res.json({
       success: true,
       data: {
+        slots: availability.slots,
         appointments: bookedAppointments,
         ca_unavailable_slots: caUnavailableSlots,
-        working_hours: daySchedule,
+        ca_schedule: caSchedule,
+        working_hours: availability.schedule || null,
         off_day: false,
+        message: availability.message,
         date: date,
         ca_id: ca_id || "all",
       },
@@ -217,6 +385,12 @@ export const createBookingOrder = async (req, res) => {
       customer_phone,
       consult_note,
       ca_id,
+      service_id,
+      coupon_code,
+      customer_state,
+      customer_gstin,
+      use_credit,
+      credit_token,
       date,
       time_slot,
       duration,
@@ -245,6 +419,23 @@ export const createBookingOrder = async (req, res) => {
       });
     }
 
+    // Billing details for the GST invoice (optional)
+    const customerStateCode = resolveStateCode(customer_state);
+
+    if (customer_state && !customerStateCode) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid state",
+      });
+    }
+
+    if (customer_gstin && !isValidGSTIN(customer_gstin)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid GSTIN",
+      });
+    }
+
     const businessRef = getBusinessRef(businessId);
 
     const settingsDoc = await businessRef
@@ -262,7 +453,7 @@ export const createBookingOrder = async (req, res) => {
 
     const settings = settingsDoc.data();
 
-    if (!settings || !settings.slot_durations) {
+    if (!settings || (!settings.slot_durations && !service_id)) {
       console.error("❌ slot_durations not found in settings");
       return res.status(500).json({
         success: false,
@@ -270,6 +461,48 @@ export const createBookingOrder = async (req, res) => {
       });
     }
 
+    const { service, error: serviceError } = await loadActiveService(businessRef, service_id);
+
+    if (serviceError) {
+      return res.status(400).json({
+        success: false,
+        message: serviceError,
+      });
+    }
+
+    if (ca_id && !isCAEligible(service, ca_id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Selected CA doesn't offer this service",
+      });
+    }
+
+    // Customers with repeated no-shows can be blocked from booking online,
+    // or made to pay in full (no deposit or pay at office)
+    const restrictions = await getBookingRestrictions(
+      businessRef,
+      customer_email,
+      settings,
+    );
+
+    if (restrictions.blocked) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Online booking is unavailable for this account due to missed appointments. Please contact us to book.",
+      });
+    }
+
+    const rules = getSchedulingRules(settings);
+    const noticeError = getNoticeError(date, time_slot, rules);
+
+    if (noticeError) {
+      return res.status(400).json({
+        success: false,
+        message: noticeError,
+      });
+    }
+
     // Check if CA is available (if CA is specified)
     if (ca_id) {
       const caAvailable = await isCAAvailable(
@@ -278,6 +511,7 @@ export const createBookingOrder = async (req, res) => {
         date,
         time_slot,
         parseInt(duration),
+        rules,
       );
 
       if (!caAvailable) {
@@ -289,93 +523,190 @@ export const createBookingOrder = async (req, res) => {
       }
     }
 
-    // Check if slot is still available
-    const existingAppointments = await businessRef
-      .collection("appointments")
-      .where("date", "==", date)
-      .where("payment_status", "==", "completed")
-      .get();
+    // Find price for duration (the service's own options, if one was chosen,
+    // and the chosen CA's price overrides)
+    const caDoc = ca_id
+      ? await businessRef.collection("CA").doc(ca_id).get()
+      : null;
+    const slotConfig = getDurationOptions(settings, service, caDoc?.data()).find(
+      (s) => s.duration === parseInt(duration),
+    );
 
-    let slotAvailable = true;
-    const [slotHour, slotMinute] = time_slot.split(":").map(Number);
-    const slotStartMinutes = slotHour * 60 + slotMinute;
-    const slotEndMinutes = slotStartMinutes + parseInt(duration);
+    if (!slotConfig) {
+      console.error("❌ Invalid duration:", duration);
+      return res.status(400).json({
+        success: false,
+        message: "Invalid duration selected",
+      });
+    }
 
-    existingAppointments.forEach((doc) => {
-      const data = doc.data();
+    // Package credits replace the payment (checked again when the credit is used).
+    // The token from the emailed credit link proves the customer owns the email.
+    if (use_credit) {
+      if (!isValidCreditToken(credit_token, businessId, customer_email)) {
+        return res.status(403).json({
+          success: false,
+          message: "Open the link we emailed you to book with your package credits",
+        });
+      }
 
-      const isSameCA =
-        !ca_id || !data.assigned_ca || data.assigned_ca === ca_id;
+      if (coupon_code) {
+        return res.status(400).json({
+          success: false,
+          message: "Coupons can't be combined with package credits",
+        });
+      }
 
-      if (isSameCA && ["pending", "confirmed"].includes(data.status)) {
-        const [existingHour, existingMinute] = data.time_slot
-          .split(":")
-          .map(Number);
-        const existingStart = existingHour * 60 + existingMinute;
-        const existingEnd = existingStart + (data.duration || 30);
+      const credit = await findUsableCredit(businessRef, customer_email, {
+        date,
+        duration: parseInt(duration),
+        service_id: service?.id,
+      });
 
-        if (slotStartMinutes < existingEnd && slotEndMinutes > existingStart) {
-          slotAvailable = false;
-        }
+      if (!credit) {
+        return res.status(400).json({
+          success: false,
+          message: "You have no package credit for this booking",
+        });
       }
-    });
+    }
 
-    if (!slotAvailable) {
-      return res.status(400).json({
-        success: false,
-        message: "This time slot is no longer available",
+    // Apply the coupon, if one was entered
+    let amount = use_credit ? 0 : slotConfig.price;
+    let couponResult = null;
+
+    if (coupon_code) {
+      couponResult = await validateCoupon(businessRef, coupon_code, {
+        amount,
+        duration: parseInt(duration),
+        service_id: service?.id,
+        customer_email,
       });
+
+      if (!couponResult.success) {
+        return res.status(400).json({
+          success: false,
+          message: couponResult.error,
+        });
+      }
+
+      amount = couponResult.final_amount;
     }
 
-    // Find price for duration
-    const slotConfig = settings.slot_durations.find(
-      (s) => s.duration === parseInt(duration),
-    );
+    // Deposit or pay at office, as set for the service (or business-wide)
+    const paymentPlan = use_credit
+      ? null
+      : getPaymentPlan(
+          restrictions.prepay_only
+            ? { payment_mode: "full" }
+            : getPaymentModeConfig(settings, service),
+          amount,
+        );
 
-    if (!slotConfig) {
-      console.error("❌ Invalid duration:", duration);
-      return res.status(400).json({
-        success: false,
-        message: "Invalid duration selected",
+    // Pick a CA when the customer didn't choose one
+    let assignment = null;
+    if (!ca_id && settings.auto_assign_ca) {
+      assignment = await autoAssignCA(businessRef, settings, {
+        date,
+        time_slot,
+        duration: parseInt(duration),
+        customer_email,
+        consult_note,
+        service,
       });
-    }
 
-    const amount = slotConfig.price;
+      if (!assignment) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "No consultant is available at this time. Please choose a different time slot.",
+        });
+      }
+    }
 
     const referenceId = await generateReferenceId(businessRef);
 
-    const razorpayOrder = await createRazorpayOrder(amount, referenceId);
-
     const appointmentData = {
       customer_name,
       customer_email,
       customer_phone,
       consult_note: consult_note || "",
-      assigned_ca: ca_id || "",
+      ...(customerStateCode && { customer_state: customerStateCode }),
+      ...(customer_gstin && { customer_gstin: customer_gstin.trim().toUpperCase() }),
+      assigned_ca: ca_id || assignment?.ca.id || "",
+      ...(assignment && {
+        ca_assigned_by: "auto",
+        ca_assignment_strategy: assignment.strategy,
+      }),
+      ...getServiceSnapshot(service),
       date,
       time_slot,
       duration: parseInt(duration),
-      amount,
-      order_id: razorpayOrder.id,
+      amount: paymentPlan ? paymentPlan.online_amount : amount,
+      ...(paymentPlan && getPaymentPlanFields(paymentPlan)),
+      ...(use_credit && { payment_method: "credit" }),
+      ...(couponResult && {
+        original_amount: slotConfig.price,
+        coupon_code: couponResult.coupon.code,
+        discount_amount: couponResult.discount,
+      }),
       payment_status: "pending",
       status: "draft",
       created_at: admin.firestore.FieldValue.serverTimestamp(),
       updated_at: admin.firestore.FieldValue.serverTimestamp(),
     };
 
+    // Check availability and write the draft atomically
+    const reservation = await reserveSlot(businessRef, {
+      appointmentId: referenceId,
+      appointmentData,
+      holdMinutes: settings.slot_hold_minutes,
+      rules,
+    });
+
+    if (!reservation.success) {
+      return res.status(400).json({
+        success: false,
+        message: reservation.error,
+      });
+    }
+
+    if (use_credit) {
+      return bookWithCredit(res, businessRef, referenceId, {
+        customer_email,
+        date,
+        duration: parseInt(duration),
+        service_id: service?.id,
+      });
+    }
+
+    if (paymentPlan.payment_mode === "pay_later") {
+      return bookPayLater(res, businessRef, referenceId, paymentPlan);
+    }
+
     const docRef = businessRef.collection("appointments").doc(referenceId);
 
-    await docRef.set(appointmentData);
+    let razorpayOrder;
+    try {
+      razorpayOrder = await createRazorpayOrder(
+        paymentPlan.online_amount,
+        "INR",
+        referenceId,
+      );
+    } catch (orderError) {
+      // Keep the draft and its hold, so the customer can retry
+      // (POST /create-order/retry) until the hold expires
+      return respondOrderFailed(res, referenceId, orderError);
+    }
+
+    await docRef.update({
+      order_id: razorpayOrder.id,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
 
     res.json({
       success: true,
-      data: {
-        order_id: razorpayOrder.id,
-        amount: razorpayOrder.amount,
-        currency: razorpayOrder.currency,
-        appointment_id: referenceId,
-        reference_id: referenceId,
-      },
+      data: toOrderData(referenceId, razorpayOrder, appointmentData),
     });
   } catch (error) {
     console.error("❌ Error creating booking:", error);
@@ -386,137 +717,94 @@ export const createBookingOrder = async (req, res) => {
   }
 };
 
-// ==================== VERIFY PAYMENT ====================
-export const verifyBookingPayment = async (req, res) => {
+// Checkout details for a draft and its Razorpay order
+const toOrderData = (referenceId, razorpayOrder, draft) => ({
+  order_id: razorpayOrder.id,
+  amount: razorpayOrder.amount,
+  currency: razorpayOrder.currency,
+  appointment_id: referenceId,
+  reference_id: referenceId,
+  ...(draft.coupon_code && {
+    original_amount: draft.original_amount,
+    discount_amount: draft.discount_amount,
+  }),
+  ...(draft.balance_due > 0 && {
+    payment_mode: draft.payment_mode,
+    total_amount: draft.total_amount,
+    balance_due: draft.balance_due,
+  }),
+});
+
+const respondOrderFailed = (res, referenceId, orderError) => {
+  console.error(`❌ Order creation failed for ${referenceId}:`, orderError.message);
+  return res.status(502).json({
+    success: false,
+    retryable: true,
+    appointment_id: referenceId,
+    message: "We couldn't start the payment. Please try again.",
+  });
+};
+
+// ==================== RETRY ORDER ====================
+// Create the payment order again for a held draft whose order creation failed
+export const retryBookingOrder = async (req, res) => {
   try {
-    const {
-      razorpay_order_id,
-      razorpay_payment_id,
-      razorpay_signature,
-      appointment_id,
-      businessId,
-    } = req.body;
+    const { businessId, appointment_id, customer_email } = req.body;
 
-    if (!businessId) {
+    if (!businessId || !appointment_id || !customer_email) {
       return res.status(400).json({
         success: false,
-        message: "Business ID is required",
+        message: "Missing required fields",
       });
     }
 
-    const isValid = verifyRazorpaySignature(
-      razorpay_order_id,
-      razorpay_payment_id,
-      razorpay_signature,
-    );
+    const businessRef = getBusinessRef(businessId);
+    const docRef = businessRef.collection("appointments").doc(appointment_id);
+    const draftDoc = await docRef.get();
+    const draft = draftDoc.data();
 
-    if (!isValid) {
-      console.error("❌ Invalid payment signature");
-      return res.status(400).json({
+    if (!draftDoc.exists || draft.customer_email.toLowerCase() !== String(customer_email).trim().toLowerCase()) {
+      return res.status(404).json({
         success: false,
-        message: "Invalid payment signature",
+        message: "Booking not found",
       });
     }
 
-    const businessRef = getBusinessRef(businessId);
-    const appointmentRef = businessRef.collection("appointments").doc(appointment_id);
-    const appointmentDoc = await appointmentRef.get();
+    const holdDoc = await getHoldRef(businessRef, appointment_id).get();
+    const holdActive = holdDoc.exists && holdDoc.data().expires_at.toMillis() > Date.now();
 
-    if (!appointmentDoc.exists) {
-      return res.status(404).json({
+    if (draft.status !== "draft" || !holdActive) {
+      return res.status(410).json({
         success: false,
-        message: "Appointment not found",
+        message: "This booking has expired. Please choose a slot again.",
       });
     }
 
-    // Update appointment status
-    await appointmentRef.update({
-      payment_id: razorpay_payment_id,
-      payment_status: "completed",
-      status: "pending",
-      updated_at: admin.firestore.FieldValue.serverTimestamp(),
-    });
-
-    // Get updated appointment data
-    const updatedDoc = await appointmentRef.get();
-    const appointmentData = {
-      id: appointment_id,
-      reference_id: appointment_id,
-      ...updatedDoc.data(),
-    };
-
-    // Fetch CA details from Firestore
-    if (appointmentData.assigned_ca) {
-      try {
-        const caDoc = await businessRef
-          .collection('CA')
-          .doc(appointmentData.assigned_ca)
-          .get();
-        
-        if (caDoc.exists) {
-          const caData = caDoc.data();
-          appointmentData.ca_email = caData.email;
-          appointmentData.ca_name = caData.name;
-          appointmentData.ca_phone = caData.phone || '';
-        } else {
-          console.error(`❌ CA document not found for ID: ${appointmentData.assigned_ca}`);
-        }
-      } catch (caError) {
-        console.error('❌ Error fetching CA details:', caError.message);
-      }
+    if (draft.order_id) {
+      return res.status(409).json({
+        success: false,
+        message: "A payment order already exists for this booking",
+      });
     }
 
-    // Generate Google Meet Link
+    let razorpayOrder;
     try {
-      const meetResult = await googleMeetService.createMeetLink(appointmentData);
-
-      if (meetResult.success) {
-        await appointmentRef.update({
-          meet_link: meetResult.meetLink,
-          meet_event_id: meetResult.eventId,
-          updated_at: admin.firestore.FieldValue.serverTimestamp(),
-        });
-
-        appointmentData.meetLink = meetResult.meetLink;
-        appointmentData.meet_link = meetResult.meetLink;
-        appointmentData.meetEventId = meetResult.eventId;
-      } else {
-        console.error("❌ Failed to create Meet link:", meetResult.error);
-      }
-    } catch (meetError) {
-      console.error("❌ Google Meet error:", meetError.message);
+      razorpayOrder = await createRazorpayOrder(draft.amount, "INR", appointment_id);
+    } catch (orderError) {
+      return respondOrderFailed(res, appointment_id, orderError);
     }
 
-    // Send Confirmation Emails (Customer + CA + Admin)
-    try {
-      const emailResult = await brevoService.sendConfirmationEmail(appointmentData);
-
-      if (emailResult.success) {
-        await appointmentRef.update({
-          confirmation_email_sent: true,
-          confirmation_email_sent_at: admin.firestore.FieldValue.serverTimestamp(),
-          brevo_message_id: emailResult.messageId,
-          email_details: emailResult.details,
-        });
-      } else {
-        console.error("❌ Failed to send confirmation emails:", emailResult.error);
-      }
-    } catch (emailError) {
-      console.error("❌ Brevo email error:", emailError.message);
-    }
+    await docRef.update({
+      order_id: razorpayOrder.id,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
 
     res.json({
       success: true,
-      message: "Payment verified successfully",
-      data: {
-        appointment_id,
-        reference_id: appointment_id,
-        status: appointmentData.status,
-        meet_link: appointmentData.meet_link || null,
-      },
+      data: toOrderData(appointment_id, razorpayOrder, draft),
     });
   } catch (error) {
-    console.error("❌ Error verifying payment:", error);
+    console.error("❌ Error retrying order:", error);
     res.status(500).json({
       success: false,
       message: error.message,
@@ -524,43 +812,817 @@ export const verifyBookingPayment = async (req, res) => {
   }
 };
 
-// ==================== GET BOOKING DETAILS ====================
-export const getBookingDetails = async (req, res) => {
+// ==================== VALIDATE COUPON ====================
+// Preview the price of a booking with a coupon code
+export const validateCouponCode = async (req, res) => {
   try {
-    const { bookingId } = req.params;
-    const { businessId } = req.query;
+    const { businessId, code, customer_email, service_id, ca_id, duration } = req.body;
 
-    if (!businessId) {
+    if (!businessId || !code || !duration) {
       return res.status(400).json({
         success: false,
-        message: "Business ID is required",
+        message: "Business ID, code and duration are required",
       });
     }
 
     const businessRef = getBusinessRef(businessId);
-
-    const doc = await businessRef
-      .collection("appointments")
-      .doc(bookingId)
+    const settingsDoc = await businessRef
+      .collection("system")
+      .doc("settings")
       .get();
+    const settings = settingsDoc.exists ? settingsDoc.data() : {};
 
-    if (!doc.exists) {
-      return res.status(404).json({
+    const { service, error: serviceError } = await loadActiveService(businessRef, service_id);
+
+    if (serviceError) {
+      return res.status(400).json({
         success: false,
-        message: "Booking not found",
+        message: serviceError,
       });
     }
 
-    res.json({
-      success: true,
-      data: {
-        id: doc.id,
-        reference_id: doc.id,
+    // Same price as create-order would charge
+    const caDoc = ca_id
+      ? await businessRef.collection("CA").doc(ca_id).get()
+      : null;
+    const slotConfig = getDurationOptions(settings, service, caDoc?.data()).find(
+      (s) => s.duration === parseInt(duration),
+    );
+
+    if (!slotConfig) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid duration selected",
+      });
+    }
+
+    const result = await validateCoupon(businessRef, code, {
+      amount: slotConfig.price,
+      duration: parseInt(duration),
+      service_id: service?.id,
+      customer_email,
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        code: result.coupon.code,
+        description: result.coupon.description || "",
+        original_amount: slotConfig.price,
+        discount_amount: result.discount,
+        final_amount: result.final_amount,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error validating coupon:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// ==================== VERIFY PAYMENT ====================
+export const verifyBookingPayment = async (req, res) => {
+  try {
+    const {
+      razorpay_order_id,
+      razorpay_payment_id,
+      razorpay_signature,
+      appointment_id,
+      businessId,
+    } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: "Business ID is required",
+      });
+    }
+
+    const isValid = verifyRazorpaySignature(
+      razorpay_order_id,
+      razorpay_payment_id,
+      razorpay_signature,
+    );
+
+    if (!isValid) {
+      console.error("❌ Invalid payment signature");
+      return res.status(400).json({
+        success: false,
+        message: "Invalid payment signature",
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+
+    // Never trust the client: fetch what Razorpay actually recorded
+    const payment = await fetchPaymentDetails(razorpay_payment_id);
+
+    // Cross-check, re-validate the reservation, mark as paid, create Meet link and send emails
+    const result = await confirmAppointmentPayment(businessRef, appointment_id, {
+      orderId: razorpay_order_id,
+      payment,
+      source: "checkout",
+    });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : result.pending ? 202 : 409).json({
+        success: false,
+        pending: result.pending || false,
+        message: result.error,
+      });
+    }
+
+    const appointmentData = result.appointment;
+
+    res.json({
+      success: true,
+      message: result.alreadyConfirmed ? "Payment already verified" : "Payment verified successfully",
+      data: {
+        appointment_id,
+        reference_id: appointment_id,
+        status: appointmentData.status,
+        meet_link: appointmentData.meet_link || null,
+        already_confirmed: result.alreadyConfirmed,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error verifying payment:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// ==================== VERIFY PAYMENT LINK ====================
+// Called from the page Razorpay redirects to after a payment link is paid
+export const verifyPaymentLinkPayment = async (req, res) => {
+  try {
+    const {
+      businessId,
+      appointment_id,
+      razorpay_payment_id,
+      razorpay_payment_link_id,
+      razorpay_payment_link_reference_id,
+      razorpay_payment_link_status,
+      razorpay_signature,
+    } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: "Business ID is required",
+      });
+    }
+
+    if (!appointment_id || !razorpay_payment_link_id || !razorpay_payment_id) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required fields",
+      });
+    }
+
+    const isValid = verifyPaymentLinkSignature({
+      razorpay_payment_link_id,
+      razorpay_payment_link_reference_id,
+      razorpay_payment_link_status,
+      razorpay_payment_id,
+      razorpay_signature,
+    });
+
+    if (!isValid) {
+      console.error("❌ Invalid payment link signature");
+      return res.status(400).json({
+        success: false,
+        message: "Invalid payment signature",
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+
+    // Never trust the client: fetch what Razorpay actually recorded
+    const payment = await fetchPaymentDetails(razorpay_payment_id);
+
+    const result = await applyPaymentLinkPayment(businessRef, appointment_id, {
+      paymentLinkId: razorpay_payment_link_id,
+      payment,
+      source: "payment_link",
+    });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : result.pending ? 202 : 409).json({
+        success: false,
+        pending: result.pending || false,
+        message: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.alreadyPaid ? "Payment already verified" : "Payment verified successfully",
+      data: {
+        appointment_id,
+        reference_id: appointment_id,
+        purpose: result.purpose,
+        status: result.appointment?.status || null,
+        meet_link: result.appointment?.meet_link || null,
+        balance_due: result.purpose === "balance" ? result.balance_due : undefined,
+        already_paid: result.alreadyPaid,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error verifying payment link payment:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// ==================== PAYMENT FAILED ====================
+export const reportPaymentFailure = async (req, res) => {
+  try {
+    const { razorpay_order_id, appointment_id, businessId, error } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: "Business ID is required",
+      });
+    }
+
+    if (!appointment_id || !razorpay_order_id) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required fields",
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const appointmentRef = businessRef.collection("appointments").doc(appointment_id);
+    const appointmentDoc = await appointmentRef.get();
+
+    if (!appointmentDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: "Appointment not found",
+      });
+    }
+
+    const appointment = appointmentDoc.data();
+
+    // Only the owner of the order can report its failure
+    if (appointment.order_id !== razorpay_order_id) {
+      return res.status(400).json({
+        success: false,
+        message: "Order does not match this appointment",
+      });
+    }
+
+    if (appointment.payment_status === "completed") {
+      return res.status(400).json({
+        success: false,
+        message: "Payment already completed for this appointment",
+      });
+    }
+
+    await appointmentRef.update({
+      payment_status: "failed",
+      payment_error: error?.description || error?.reason || "",
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    // The hold stays: the customer can retry the same order until it expires
+
+    res.json({
+      success: true,
+      message: "Payment failure recorded",
+    });
+  } catch (error) {
+    console.error("❌ Error recording payment failure:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// ==================== PACKAGES ====================
+// Email the customer a link to book with their package credits.
+// Same answer whether or not the email has credits, so it can't be used to look customers up.
+export const requestCreditLink = async (req, res) => {
+  try {
+    const { businessId, customer_email } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: "Business ID is required",
+      });
+    }
+
+    if (!customer_email) {
+      return res.status(400).json({
+        success: false,
+        message: "customer_email is required",
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const email = String(customer_email).trim().toLowerCase();
+    const [credits, customerDoc] = await Promise.all([
+      getCustomerCredits(businessRef, email),
+      getCustomerRef(businessRef, email).get(),
+    ]);
+
+    if (credits.balance > 0) {
+      const emailResult = await brevoService.sendCreditLinkEmail({
+        customer_name: customerDoc.data()?.name || "",
+        customer_email: email,
+        credit_balance: credits.balance,
+        credit_link: getCreditBookingLink(businessId, email),
+      });
+
+      if (!emailResult.success) {
+        console.error("❌ Failed to send credit link email:", emailResult.error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: "If this email has package credits, we've sent it a link to book with them",
+    });
+  } catch (error) {
+    console.error("❌ Error sending credit link:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Active consultation packages, for the package purchase page
+export const getPublicPackages = async (req, res) => {
+  try {
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: "Business ID is required",
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const packages = await getPackages(businessRef, { activeOnly: true });
+
+    res.json({
+      success: true,
+      data: packages.map(toPublicPackage),
+    });
+  } catch (error) {
+    console.error("❌ Error fetching packages:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Start a package purchase (Razorpay order for the package price)
+export const purchasePackage = async (req, res) => {
+  try {
+    const {
+      package_id,
+      customer_name,
+      customer_email,
+      customer_phone,
+      customer_state,
+      customer_gstin,
+      businessId,
+    } = req.body;
+
+    if (!package_id || !customer_name || !customer_email || !customer_phone) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required fields",
+      });
+    }
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: "Business ID is required",
+      });
+    }
+
+    // Billing details for the GST invoice (optional)
+    const customerStateCode = resolveStateCode(customer_state);
+
+    if (customer_state && !customerStateCode) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid state",
+      });
+    }
+
+    if (customer_gstin && !isValidGSTIN(customer_gstin)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid GSTIN",
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const pkg = await getPackage(businessRef, package_id);
+
+    if (!pkg || pkg.status !== "active") {
+      return res.status(404).json({
+        success: false,
+        message: "Package not found",
+      });
+    }
+
+    const { purchaseId, order } = await createPackagePurchase(businessRef, pkg, {
+      customer_name,
+      customer_email,
+      customer_phone,
+      customer_state: customerStateCode,
+      customer_gstin: customer_gstin ? customer_gstin.trim().toUpperCase() : null,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        purchase_id: purchaseId,
+        order_id: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        package: toPublicPackage(pkg),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error starting package purchase:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Verify the checkout payment of a package and add its credits
+export const verifyPackagePayment = async (req, res) => {
+  try {
+    const {
+      razorpay_order_id,
+      razorpay_payment_id,
+      razorpay_signature,
+      purchase_id,
+      businessId,
+    } = req.body;
+
+    if (!businessId || !purchase_id) {
+      return res.status(400).json({
+        success: false,
+        message: "Business ID and purchase ID are required",
+      });
+    }
+
+    const isValid = verifyRazorpaySignature(
+      razorpay_order_id,
+      razorpay_payment_id,
+      razorpay_signature,
+    );
+
+    if (!isValid) {
+      console.error("❌ Invalid package payment signature");
+      return res.status(400).json({
+        success: false,
+        message: "Invalid payment signature",
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const payment = await fetchPaymentDetails(razorpay_payment_id);
+
+    const result = await confirmPackagePurchase(businessRef, purchase_id, {
+      orderId: razorpay_order_id,
+      payment,
+      source: "checkout",
+    });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : result.pending ? 202 : 409).json({
+        success: false,
+        pending: result.pending || false,
+        message: result.error,
+      });
+    }
+
+    const { purchase } = result;
+
+    res.json({
+      success: true,
+      message: result.alreadyPaid ? "Payment already verified" : "Package purchased successfully",
+      data: {
+        purchase_id,
+        package_name: purchase.package_name,
+        credits: purchase.sessions,
+        duration: purchase.duration,
+        expires_at: purchase.expires_at || null,
+        invoice_number: purchase.invoice_number || null,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error verifying package payment:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// ==================== GET BOOKING DETAILS ====================
+export const getBookingDetails = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { businessId } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: "Business ID is required",
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+
+    const doc = await businessRef
+      .collection("appointments")
+      .doc(bookingId)
+      .get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: doc.id,
+        reference_id: doc.id,
         ...doc.data(),
       },
     });
   } catch (error) {
-    console.error("❌ Error fetching booking:", error);
+    console.error("❌ Error fetching booking:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// ==================== PUBLIC CA LISTING ====================
+// Active CAs with their prices (price overrides applied), optionally for a service
+export const getPublicCAs = async (req, res) => {
+  try {
+    const { businessId, service_id } = req.query;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: "Business ID is required",
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const settingsDoc = await businessRef
+      .collection("system")
+      .doc("settings")
+      .get();
+    const settings = settingsDoc.exists ? settingsDoc.data() : {};
+
+    const { service, error: serviceError } = await loadActiveService(businessRef, service_id);
+
+    if (serviceError) {
+      return res.status(400).json({
+        success: false,
+        message: serviceError,
+      });
+    }
+
+    const casSnapshot = await businessRef
+      .collection("CA")
+      .where("status", "==", "active")
+      .get();
+
+    const cas = casSnapshot.docs
+      .filter((doc) => isCAEligible(service, doc.id))
+      .map((doc) => {
+        const data = doc.data();
+        return {
+          id: doc.id,
+          name: data.name || "",
+          specialization: data.specialization || "",
+          experience: data.experience || 0,
+          qualification: data.qualification || "",
+          intro: data.intro || "",
+          profile_picture: data.profile_picture || null,
+          prices: getDurationOptions(settings, service, data),
+        };
+      });
+
+    res.json({
+      success: true,
+      data: { cas },
+    });
+  } catch (error) {
+    console.error("❌ Error fetching CAs:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// ==================== GET AVAILABLE CAs ====================
+export const getAvailableCAsForSlot = async (req, res) => {
+  try {
+    const { date, time_slot, duration, businessId } = req.query;
+
+    if (!date || !time_slot || !duration || !businessId) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required parameters",
+      });
+    }
+
+    const availableCAs = await getAvailableCAs(
+      businessId,
+      date,
+      time_slot,
+      parseInt(duration),
+    );
+
+    res.json({
+      success: true,
+      data: {
+        available_cas: availableCAs,
+        count: availableCAs.length,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Error fetching available CAs:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// ==================== WAITLIST ====================
+export const joinWaitlist = async (req, res) => {
+  try {
+    const {
+      customer_name,
+      customer_email,
+      customer_phone,
+      consult_note,
+      ca_id,
+      service_id,
+      date,
+      from_time,
+      to_time,
+      duration,
+      businessId,
+    } = req.body;
+
+    if (
+      !customer_name ||
+      !customer_email ||
+      !customer_phone ||
+      !date ||
+      !from_time ||
+      !to_time ||
+      !duration
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required fields",
+      });
+    }
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: "Business ID is required",
+      });
+    }
+
+    if (
+      !isValidDate(date) ||
+      !/^\d{2}:\d{2}$/.test(from_time) ||
+      !/^\d{2}:\d{2}$/.test(to_time) ||
+      timeToMinutes(from_time) > timeToMinutes(to_time)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date or time range",
+      });
+    }
+
+    const businessRef = getBusinessRef(businessId);
+    const settings = await loadSettings(businessRef);
+    const { service, error: serviceError } = await loadActiveService(businessRef, service_id);
+
+    if (serviceError || (ca_id && !isCAEligible(service, ca_id))) {
+      return res.status(400).json({
+        success: false,
+        message: serviceError || "Selected CA doesn't offer this service",
+      });
+    }
+
+    const entry = {
+      customer_name,
+      customer_email,
+      customer_phone,
+      consult_note: consult_note || "",
+      ca_id: ca_id || "",
+      service_id: service_id || "",
+      date,
+      from_time,
+      to_time,
+      duration: parseInt(duration),
+    };
+
+    if (!getDurationOptions(settings, service).some((s) => s.duration === entry.duration)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid duration selected",
+      });
+    }
+
+    const day = getDaySchedule(settings, date);
+    if (day.off_day || getMinutesUntil(date, to_time) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: day.message || "This time range is in the past",
+      });
+    }
+
+    // Nothing to wait for if a slot is free right now
+    const freeSlot = await findWaitlistSlot(businessRef, settings, entry, service);
+    if (freeSlot) {
+      return res.status(409).json({
+        success: false,
+        message: `A slot is available at ${freeSlot}. Please book it directly.`,
+        data: { time_slot: freeSlot },
+      });
+    }
+
+    const existing = await businessRef
+      .collection("waitlist")
+      .where("customer_email", "==", customer_email)
+      .where("date", "==", date)
+      .where("status", "==", "waiting")
+      .limit(1)
+      .get();
+
+    if (!existing.empty) {
+      return res.status(200).json({
+        success: true,
+        message: "You are already on the waitlist for this date",
+        data: { waitlist_id: existing.docs[0].id },
+      });
+    }
+
+    const entryRef = await businessRef.collection("waitlist").add({
+      ...entry,
+      status: "waiting",
+      created_at: admin.firestore.FieldValue.serverTimestamp(),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Added to the waitlist. We'll email you if a slot opens up.",
+      data: { waitlist_id: entryRef.id },
+    });
+  } catch (error) {
+    console.error("❌ Join Waitlist Error:", error);
     res.status(500).json({
       success: false,
       message: error.message,
@@ -568,34 +1630,115 @@ export const getBookingDetails = async (req, res) => {
   }
 };
 
-// ==================== GET AVAILABLE CAs ====================
-export const getAvailableCAsForSlot = async (req, res) => {
+// Payment details for a waitlist offer (link from the offer email)
+export const getWaitlistOffer = async (req, res) => {
   try {
-    const { date, time_slot, duration, businessId } = req.query;
+    const { bookingId } = req.params;
+    const businessRef = getBusinessRef(req.businessId);
 
-    if (!date || !time_slot || !duration || !businessId) {
-      return res.status(400).json({
+    const bookingDoc = await businessRef
+      .collection("appointments")
+      .doc(bookingId)
+      .get();
+
+    if (!bookingDoc.exists) {
+      return res.status(404).json({
         success: false,
-        message: "Missing required parameters",
+        message: "Offer not found",
       });
     }
 
-    const availableCAs = await getAvailableCAs(
-      businessId,
-      date,
-      time_slot,
-      parseInt(duration),
-    );
+    const booking = bookingDoc.data();
+
+    if (isPaymentSecured(booking)) {
+      return res.status(409).json({
+        success: false,
+        message: "This booking is already confirmed",
+      });
+    }
+
+    if (booking.status !== "draft") {
+      return res.status(410).json({
+        success: false,
+        message: "This offer has expired",
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        available_cas: availableCAs,
-        count: availableCAs.length,
+        // No order for pay-at-office offers: they are accepted with POST .../accept
+        order_id: booking.order_id || null,
+        amount: Math.round(booking.amount * 100),
+        currency: "INR",
+        payment_mode: booking.payment_mode || "full",
+        total_amount: booking.total_amount ?? booking.amount,
+        balance_due: booking.balance_due || 0,
+        appointment_id: bookingId,
+        reference_id: bookingId,
+        customer_name: booking.customer_name,
+        customer_email: booking.customer_email,
+        customer_phone: booking.customer_phone,
+        date: booking.date,
+        time_slot: booking.time_slot,
+        duration: booking.duration,
+        service_name: booking.service_name || null,
+        offer_expires_at: booking.draft_expires_at?.toDate?.() || null,
       },
     });
   } catch (error) {
-    console.error("❌ Error fetching available CAs:", error);
+    console.error("❌ Get Waitlist Offer Error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Accept a pay-at-office waitlist offer (nothing to pay online)
+export const acceptWaitlistOffer = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const businessRef = getBusinessRef(req.businessId);
+
+    const bookingDoc = await businessRef
+      .collection("appointments")
+      .doc(bookingId)
+      .get();
+
+    if (!bookingDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: "Offer not found",
+      });
+    }
+
+    const booking = bookingDoc.data();
+
+    if (isPaymentSecured(booking)) {
+      return res.status(409).json({
+        success: false,
+        message: "This booking is already confirmed",
+      });
+    }
+
+    if (booking.status !== "draft") {
+      return res.status(410).json({
+        success: false,
+        message: "This offer has expired",
+      });
+    }
+
+    if (booking.payment_mode !== "pay_later") {
+      return res.status(400).json({
+        success: false,
+        message: "This offer is confirmed by paying online",
+      });
+    }
+
+    return bookPayLater(res, businessRef, bookingId, booking);
+  } catch (error) {
+    console.error("❌ Accept Waitlist Offer Error:", error);
     res.status(500).json({
       success: false,
       message: error.message,
@@ -603,16 +1746,96 @@ export const getAvailableCAsForSlot = async (req, res) => {
   }
 };
 
+// ==================== MANAGE BOOKING (SIGNED LINK) ====================
+// Cut-offs are read from system/settings; hours before the appointment start
+const DEFAULT_RESCHEDULE_CUTOFF_HOURS = 12;
+const DEFAULT_CANCELLATION_CUTOFF_HOURS = 0;
+
+const getCutoffs = (settings) => ({
+  reschedule: settings.reschedule_cutoff_hours ?? DEFAULT_RESCHEDULE_CUTOFF_HOURS,
+  cancel: settings.cancellation_cutoff_hours ?? DEFAULT_CANCELLATION_CUTOFF_HOURS,
+});
+
+const loadSettings = async (businessRef) => {
+  const settingsDoc = await businessRef.collection("system").doc("settings").get();
+  return settingsDoc.exists ? settingsDoc.data() : {};
+};
+
+export const getManageBooking = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const businessRef = getBusinessRef(req.businessId);
+
+    const bookingDoc = await businessRef
+      .collection("appointments")
+      .doc(bookingId)
+      .get();
+
+    if (!bookingDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      });
+    }
+
+    const booking = bookingDoc.data();
+    const settings = await loadSettings(businessRef);
+    const cutoffs = getCutoffs(settings);
+    const minutesUntilStart = getMinutesUntil(booking.date, booking.time_slot);
+    const isActive =
+      isPaymentSecured(booking) &&
+      ["pending", "confirmed"].includes(booking.status);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: bookingId,
+        reference_id: bookingId,
+        customer_name: booking.customer_name,
+        date: booking.date,
+        time_slot: booking.time_slot,
+        duration: booking.duration,
+        service_name: booking.service_name || null,
+        required_documents: booking.required_documents || [],
+        amount: booking.amount,
+        status: booking.status,
+        payment_status: booking.payment_status,
+        meet_link: booking.meet_link || null,
+        can_reschedule: isActive && minutesUntilStart >= cutoffs.reschedule * 60,
+        can_cancel: isActive && minutesUntilStart >= cutoffs.cancel * 60,
+        reschedule_cutoff_hours: cutoffs.reschedule,
+        cancellation_cutoff_hours: cutoffs.cancel,
+        refund_if_cancelled: isActive ? calculatePolicyRefund(booking, settings) : null,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Get Manage Booking Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch booking",
+      error: error.message,
+    });
+  }
+};
+
 // ==================== UPDATE BOOKING (FOR RESCHEDULING) ====================
 export const updateBooking = async (req, res) => {
   try {
     const { bookingId } = req.params;
-    const { businessId, ...updateData } = req.body;
+    const { date, time_slot } = req.body;
+    const businessId = req.businessId;
 
-    if (!businessId) {
+    if (!date || !time_slot) {
       return res.status(400).json({
         success: false,
-        message: "Business ID is required",
+        message: "New date and time_slot are required",
+      });
+    }
+
+    if (!isValidDate(date) || !/^\d{2}:\d{2}$/.test(time_slot)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date or time format",
       });
     }
 
@@ -628,36 +1851,106 @@ export const updateBooking = async (req, res) => {
     }
 
     const existingBooking = bookingDoc.data();
+    const settings = await loadSettings(businessRef);
+    const { reschedule: cutoffHours } = getCutoffs(settings);
 
-    // Update Firestore
-    await bookingRef.update({
-      ...updateData,
-      updated_at: admin.firestore.FieldValue.serverTimestamp(),
-    });
+    if (getMinutesUntil(existingBooking.date, existingBooking.time_slot) < cutoffHours * 60) {
+      return res.status(400).json({
+        success: false,
+        message: `Bookings can only be rescheduled up to ${cutoffHours} hours before the appointment`,
+      });
+    }
+
+    // The new slot must be inside working hours and the booking window
+    const day = getDaySchedule(settings, date);
+    if (day.off_day) {
+      return res.status(400).json({
+        success: false,
+        message: day.message,
+      });
+    }
+
+    const duration = existingBooking.duration || 30;
+    const start = timeToMinutes(time_slot);
 
-    // Update Google Meet event if date/time changed
     if (
-      existingBooking.meet_event_id &&
-      (updateData.date || updateData.time_slot)
+      start < timeToMinutes(day.schedule.start) ||
+      start + duration > timeToMinutes(day.schedule.end)
     ) {
-      try {
-        const meetResult = await googleMeetService.updateMeetLink(
-          existingBooking.meet_event_id,
-          { ...existingBooking, ...updateData },
-        );
+      return res.status(400).json({
+        success: false,
+        message: "Selected time is outside working hours",
+      });
+    }
+
+    const rules = getSchedulingRules(settings);
+    const noticeError = getNoticeError(date, time_slot, rules);
+
+    if (noticeError) {
+      return res.status(400).json({
+        success: false,
+        message: noticeError,
+      });
+    }
+
+    if (
+      settings.advance_booking_days &&
+      !isWithinBookingLimit(date, settings.advance_booking_days)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Bookings can only be made ${settings.advance_booking_days} days in advance`,
+      });
+    }
+
+    if (existingBooking.assigned_ca) {
+      const caAvailable = await isCAAvailable(
+        businessId,
+        existingBooking.assigned_ca,
+        date,
+        time_slot,
+        duration,
+        rules,
+      );
 
-        if (!meetResult.success) {
-          console.error("❌ Failed to update Meet event:", meetResult.error);
-        }
-      } catch (error) {
-        console.error("❌ Error updating Meet event:", error);
+      if (!caAvailable) {
+        return res.status(400).json({
+          success: false,
+          message: "Your consultant is not available at this time. Please choose a different time slot.",
+        });
       }
     }
 
+    // Re-check availability and move the booking atomically
+    const result = await moveReservation(businessRef, bookingId, { date, time_slot }, rules);
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 409).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    const updatedBooking = {
+      id: bookingId,
+      reference_id: bookingId,
+      ...existingBooking,
+      date,
+      time_slot,
+    };
+
+    await runRescheduleSideEffects(businessRef, updatedBooking, result.previous);
+
     res.status(200).json({
       success: true,
-      message: "Booking updated successfully",
-      data: { id: bookingId, ...existingBooking, ...updateData },
+      message: "Booking rescheduled successfully",
+      data: {
+        appointment_id: bookingId,
+        date,
+        time_slot,
+        previous: result.previous,
+        meet_link: existingBooking.meet_link || null,
+      },
     });
   } catch (error) {
     console.error("❌ Update Booking Error:", error);
@@ -673,18 +1966,13 @@ export const updateBooking = async (req, res) => {
 export const cancelBooking = async (req, res) => {
   try {
     const { bookingId } = req.params;
-    const { businessId } = req.body;
-
-    if (!businessId) {
-      return res.status(400).json({
-        success: false,
-        message: "Business ID is required",
-      });
-    }
+    const { reason } = req.body;
 
-    const businessRef = getBusinessRef(businessId);
-    const bookingRef = businessRef.collection("appointments").doc(bookingId);
-    const bookingDoc = await bookingRef.get();
+    const businessRef = getBusinessRef(req.businessId);
+    const bookingDoc = await businessRef
+      .collection("appointments")
+      .doc(bookingId)
+      .get();
 
     if (!bookingDoc.exists) {
       return res.status(404).json({
@@ -694,31 +1982,36 @@ export const cancelBooking = async (req, res) => {
     }
 
     const booking = bookingDoc.data();
+    const { cancel: cutoffHours } = getCutoffs(await loadSettings(businessRef));
 
-    // Cancel Google Meet event
-    if (booking.meet_event_id) {
-      try {
-        const meetResult = await googleMeetService.cancelMeetLink(
-          booking.meet_event_id,
-        );
-
-        if (!meetResult.success) {
-          console.error("❌ Failed to cancel Meet event:", meetResult.error);
-        }
-      } catch (error) {
-        console.error("❌ Error cancelling Meet event:", error);
-      }
+    if (getMinutesUntil(booking.date, booking.time_slot) < cutoffHours * 60) {
+      return res.status(400).json({
+        success: false,
+        message: cutoffHours > 0
+          ? `Bookings can only be cancelled up to ${cutoffHours} hours before the appointment`
+          : "Bookings can't be cancelled after the appointment has started",
+      });
     }
 
-    // Update booking status
-    await bookingRef.update({
-      status: "cancelled",
-      cancelled_at: admin.firestore.FieldValue.serverTimestamp(),
+    // Refund follows the cancellation policy in system/settings
+    const result = await cancelAppointment(businessRef, bookingId, {
+      cancelled_by: "customer",
+      reason,
     });
 
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: "Booking cancelled successfully",
+      data: {
+        refund: result.refund,
+      },
     });
   } catch (error) {
     console.error("❌ Cancel Booking Error:", error);
@@ -0,0 +1,103 @@
+// Backend/controllers/ca.controller.js - CA OUTCOME LINKS
+import admin from 'firebase-admin';
+import { transitionStatus } from '../services/appointmentStatus.service.js';
+
+const getDb = () => admin.firestore();
+
+// Statuses a CA may set from the outcome link
+const CA_STATUSES = ['confirmed', 'completed', 'no_show'];
+
+/**
+ * GET /api/ca/appointments/:bookingId?token=...
+ * Appointment details for the assigned CA
+ */
+export const getCAAppointment = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    const bookingDoc = await getDb()
+      .collection('businesses')
+      .doc(req.businessId)
+      .collection('appointments')
+      .doc(bookingId)
+      .get();
+
+    if (!bookingDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const booking = bookingDoc.data();
+
+    res.json({
+      success: true,
+      data: {
+        id: bookingId,
+        reference_id: bookingId,
+        customer_name: booking.customer_name,
+        customer_email: booking.customer_email,
+        customer_phone: booking.customer_phone,
+        consult_note: booking.consult_note || '',
+        date: booking.date,
+        time_slot: booking.time_slot,
+        duration: booking.duration,
+        service_name: booking.service_name || null,
+        required_documents: booking.required_documents || [],
+        status: booking.status,
+        meet_link: booking.meet_link || null,
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching CA appointment:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/ca/appointments/:bookingId/outcome?token=...
+ * Body: { status: 'confirmed' | 'completed' | 'no_show', note }
+ */
+export const recordAppointmentOutcome = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { status, note = '' } = req.body;
+
+    if (!CA_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be confirmed, completed or no_show'
+      });
+    }
+
+    const businessRef = getDb().collection('businesses').doc(req.businessId);
+    const result = await transitionStatus(businessRef, bookingId, status, {
+      actor: 'ca',
+      reason: note,
+    });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Appointment updated successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error recording appointment outcome:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
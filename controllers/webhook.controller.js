@@ -0,0 +1,279 @@
+// Backend/controllers/webhook.controller.js - RAZORPAY WEBHOOKS
+import crypto from 'crypto';
+import admin from 'firebase-admin';
+import { verifyWebhookSignature } from '../services/razorpay.service.js';
+import { confirmAppointmentPayment } from '../services/bookingConfirmation.service.js';
+import { confirmPackagePurchase } from '../services/package.service.js';
+import { recordRefund } from '../services/refund.service.js';
+import { applyPaymentLinkPayment, closePaymentLink } from '../services/paymentLink.service.js';
+import { getBusinessRef } from '../services/business.service.js';
+
+const getDb = () => admin.firestore();
+
+/**
+ * Find a document in any business by a field value (order_id, payment_id)
+ * Requires a collection group index on {collection}.{field}
+ * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot|null>}
+ */
+const findInAnyBusiness = async (collection, field, value, operator = '==') => {
+  if (!value) return null;
+
+  const snapshot = await getDb()
+    .collectionGroup(collection)
+    .where(field, operator, value)
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? null : snapshot.docs[0];
+};
+
+const findAppointmentBy = (field, value) => findInAnyBusiness('appointments', field, value);
+
+// ==================== EVENT HANDLERS ====================
+
+/**
+ * payment.captured - confirm the appointment that owns the order
+ */
+const handlePaymentCaptured = async (payment) => {
+  const appointmentDoc = await findAppointmentBy('order_id', payment.order_id);
+
+  // Payment link payments are applied by payment_link.paid
+  if (!appointmentDoc && payment.notes?.payment_link_purpose) {
+    return 'payment_link_payment';
+  }
+
+  if (!appointmentDoc) {
+    const purchaseDoc = await findInAnyBusiness('package_purchases', 'order_id', payment.order_id);
+    if (purchaseDoc) {
+      return handlePackagePaymentCaptured(purchaseDoc, payment);
+    }
+
+    console.error(`❌ Webhook: no appointment for order ${payment.order_id}`);
+    return 'appointment_not_found';
+  }
+
+  // Confirmation is idempotent; a repeat only retries side effects that failed
+  const businessRef = appointmentDoc.ref.parent.parent;
+  const result = await confirmAppointmentPayment(businessRef, appointmentDoc.id, {
+    orderId: payment.order_id,
+    payment,
+    source: 'webhook',
+  });
+
+  if (!result.success) {
+    return 'confirmation_failed';
+  }
+
+  return result.alreadyConfirmed ? 'already_confirmed' : 'confirmed';
+};
+
+/**
+ * payment.captured for a package purchase - add the customer's credits
+ */
+const handlePackagePaymentCaptured = async (purchaseDoc, payment) => {
+  const businessRef = purchaseDoc.ref.parent.parent;
+  const result = await confirmPackagePurchase(businessRef, purchaseDoc.id, {
+    orderId: payment.order_id,
+    payment,
+    source: 'webhook',
+  });
+
+  if (!result.success) {
+    return 'package_confirmation_failed';
+  }
+
+  return result.alreadyPaid ? 'package_already_paid' : 'package_paid';
+};
+
+/**
+ * payment.failed - record the failure and release the slot hold
+ */
+const handlePaymentFailed = async (payment) => {
+  const appointmentDoc = await findAppointmentBy('order_id', payment.order_id);
+
+  if (!appointmentDoc) {
+    const purchaseDoc = await findInAnyBusiness('package_purchases', 'order_id', payment.order_id);
+    if (purchaseDoc?.data().status === 'pending') {
+      await purchaseDoc.ref.update({
+        status: 'failed',
+        payment_error: payment.error_description || payment.error_reason || '',
+        failed_payment_id: payment.id,
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return 'package_failure_recorded';
+    }
+
+    return 'appointment_not_found';
+  }
+
+  if (appointmentDoc.data().payment_status === 'completed') {
+    return 'already_completed';
+  }
+
+  await appointmentDoc.ref.update({
+    payment_status: 'failed',
+    payment_error: payment.error_description || payment.error_reason || '',
+    failed_payment_id: payment.id,
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  // The hold stays: the customer can retry the same order until it expires
+
+  return 'failure_recorded';
+};
+
+/**
+ * Appointment a payment link was created for (from the link's notes)
+ */
+const getPaymentLinkTarget = (paymentLink) => {
+  const { business_id, appointment_id } = paymentLink.notes || {};
+
+  if (!business_id || !appointment_id) {
+    console.error(`❌ Webhook: payment link ${paymentLink.id} has no appointment`);
+    return null;
+  }
+
+  return { businessRef: getBusinessRef(business_id), appointmentId: appointment_id };
+};
+
+/**
+ * payment_link.paid - confirm the held booking or record the balance payment
+ */
+const handlePaymentLinkPaid = async (paymentLink, payment) => {
+  const target = getPaymentLinkTarget(paymentLink);
+
+  if (!target) {
+    return 'appointment_not_found';
+  }
+
+  const result = await applyPaymentLinkPayment(target.businessRef, target.appointmentId, {
+    paymentLinkId: paymentLink.id,
+    payment,
+    source: 'webhook',
+  });
+
+  if (!result.success) {
+    return result.notFound ? 'payment_link_not_found' : 'payment_link_failed';
+  }
+
+  return result.alreadyPaid ? 'payment_link_already_paid' : `payment_link_${result.purpose}_paid`;
+};
+
+/**
+ * payment_link.expired / payment_link.cancelled - close the link on the appointment
+ */
+const handlePaymentLinkClosed = async (paymentLink) => {
+  const target = getPaymentLinkTarget(paymentLink);
+
+  if (!target) {
+    return 'appointment_not_found';
+  }
+
+  const closed = await closePaymentLink(target.businessRef, target.appointmentId, paymentLink.id, paymentLink.status);
+
+  return closed ? `payment_link_${paymentLink.status}` : 'ignored';
+};
+
+/**
+ * refund.created / refund.processed / refund.failed - track refund status on the appointment
+ * The refunded payment is the booking payment or a balance payment made by link.
+ */
+const handleRefundEvent = async (refund) => {
+  const appointmentDoc = await findAppointmentBy('payment_id', refund.payment_id) ||
+    await findInAnyBusiness('appointments', 'link_payment_ids', refund.payment_id, 'array-contains');
+
+  if (!appointmentDoc) {
+    console.error(`❌ Webhook: no appointment for payment ${refund.payment_id}`);
+    return 'appointment_not_found';
+  }
+
+  await recordRefund(appointmentDoc.ref, refund);
+
+  return `refund_${refund.status}`;
+};
+
+// ==================== WEBHOOK ENDPOINT ====================
+
+/**
+ * POST /api/webhooks/razorpay
+ * Signed with RAZORPAY_WEBHOOK_SECRET; replays are ignored by event ID
+ */
+export const handleRazorpayWebhook = async (req, res) => {
+  const signature = req.headers['x-razorpay-signature'];
+
+  if (!verifyWebhookSignature(req.rawBody, signature)) {
+    console.error('❌ Invalid webhook signature');
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature',
+    });
+  }
+
+  const { event, payload } = req.body;
+  const eventId = req.headers['x-razorpay-event-id'] ||
+    crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+  const eventRef = getDb().collection('webhook_events').doc(eventId);
+
+  // Claim the event; a replay fails here because the document already exists
+  try {
+    await eventRef.create({
+      provider: 'razorpay',
+      event,
+      status: 'processing',
+      received_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    if (error.code === 6) { // ALREADY_EXISTS
+      return res.json({ success: true, message: 'Event already processed' });
+    }
+    console.error('❌ Error recording webhook event:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  try {
+    let outcome = 'ignored';
+
+    switch (event) {
+      case 'payment.captured':
+        outcome = await handlePaymentCaptured(payload.payment.entity);
+        break;
+      case 'payment.failed':
+        outcome = await handlePaymentFailed(payload.payment.entity);
+        break;
+      case 'payment_link.paid':
+        outcome = await handlePaymentLinkPaid(payload.payment_link.entity, payload.payment.entity);
+        break;
+      case 'payment_link.expired':
+      case 'payment_link.cancelled':
+        outcome = await handlePaymentLinkClosed(payload.payment_link.entity);
+        break;
+      case 'refund.created':
+      case 'refund.processed':
+      case 'refund.failed':
+        outcome = await handleRefundEvent(payload.refund.entity);
+        break;
+    }
+
+    await eventRef.update({
+      status: 'processed',
+      outcome,
+      processed_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    res.json({ success: true, message: outcome });
+  } catch (error) {
+    console.error(`❌ Error processing webhook ${event}:`, error);
+
+    // Release the claim so Razorpay's retry is processed again
+    await eventRef.delete().catch(() => {});
+
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
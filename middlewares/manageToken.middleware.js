@@ -0,0 +1,40 @@
+// Backend/middlewares/manageToken.middleware.js
+import { verifyManageToken } from '../utils/manageToken.js';
+
+/**
+ * Build a middleware that verifies a signed link token for one role
+ * Token comes from ?token= or the X-Manage-Token header and must match :bookingId.
+ * Attaches req.businessId from the token.
+ */
+const verifyLinkFor = (role) => (req, res, next) => {
+  const token = req.query.token || req.headers['x-manage-token'];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Manage link token is required',
+    });
+  }
+
+  const payload = verifyManageToken(token);
+
+  if (!payload || payload.role !== role || payload.appointmentId !== req.params.bookingId) {
+    return res.status(403).json({
+      success: false,
+      message: 'This link is invalid or has expired',
+    });
+  }
+
+  req.businessId = payload.businessId;
+  next();
+};
+
+/**
+ * Customer self-service routes (manage link from the confirmation email)
+ */
+export const verifyManageLink = verifyLinkFor('customer');
+
+/**
+ * CA outcome routes (link from the CA confirmation email)
+ */
+export const verifyCALink = verifyLinkFor('ca');
\ No newline at end of file
@@ -3,18 +3,58 @@ import express from 'express';
 import {
   getDashboard,
   getAppointments,
+  createAppointmentAdmin,
   updateStatus,
+  getAppointmentHistory,
   assignCA,
   updateAppointmentDetails,
+  rescheduleAppointmentAdmin,
+  downloadInvoice,
+  recordAppointmentPayment,
+  sendAppointmentPaymentLink,
   getCAs,
   createCA,
   updateCA,
   deleteCA,
+  getCAAvailability,
+  updateCASchedule,
+  addCALeave,
+  removeCALeave,
+  addCABlock,
+  removeCABlock,
+  updateCAPricing,
+  getServicesAdmin,
+  createServiceAdmin,
+  updateServiceAdmin,
+  deleteServiceAdmin,
+  getCouponsAdmin,
+  createCouponAdmin,
+  updateCouponAdmin,
+  deleteCouponAdmin,
+  getPackagesAdmin,
+  createPackageAdmin,
+  updatePackageAdmin,
+  deletePackageAdmin,
+  downloadPackageInvoice,
+  getCustomerCreditsAdmin,
+  grantCustomerCredits,
+  adjustCustomerCredits,
   getSystemSettings,
   updateSystemSettings,
   addOffDay,
   removeOffDay,
   resetCounter,  // ✅ NEW
+  refundAppointment,
+  cancelAppointmentByAdmin,
+  getCustomers,
+  updateCustomer,
+  getWaitlist,
+  removeWaitlistEntry,
+  getPaymentReviews,
+  resolvePaymentReview,
+  getReconciliationReports,
+  getReconciliationReport,
+  runReconciliation,
 } from '../controllers/admin.controller.js';
 import { verifyAdmin } from '../middlewares/adminSecret.js';
 
@@ -28,15 +68,69 @@ router.get('/dashboard/stats', getDashboard);
 
 // ==================== APPOINTMENTS ====================
 router.get('/appointments', getAppointments);
+router.post('/appointments', createAppointmentAdmin);
 router.patch('/appointments/:appointmentId/status', updateStatus);
+router.get('/appointments/:appointmentId/history', getAppointmentHistory);
 router.patch('/appointments/:appointmentId/assign', assignCA);
+router.patch('/appointments/:appointmentId/reschedule', rescheduleAppointmentAdmin);
 router.patch('/appointments/:appointmentId', updateAppointmentDetails);
+router.get('/appointments/:appointmentId/invoice', downloadInvoice);
+router.post('/appointments/:appointmentId/payments', recordAppointmentPayment);
+router.post('/appointments/:appointmentId/payment-link', sendAppointmentPaymentLink);
+
+// ==================== REFUNDS ====================
+router.post('/appointments/:appointmentId/refund', refundAppointment);
+router.post('/appointments/:appointmentId/cancel', cancelAppointmentByAdmin);
+
+// ==================== CUSTOMERS ====================
+router.get('/customers', getCustomers);
+router.patch('/customers/:email', updateCustomer);
+router.get('/customers/:email/credits', getCustomerCreditsAdmin);
+router.post('/customers/:email/credits', grantCustomerCredits);
+router.patch('/customers/:email/credits/:lotId', adjustCustomerCredits);
+
+// ==================== WAITLIST ====================
+router.get('/waitlist', getWaitlist);
+router.delete('/waitlist/:entryId', removeWaitlistEntry);
+
+// ==================== PAYMENT REVIEWS ====================
+router.get('/payment-reviews', getPaymentReviews);
+router.patch('/payment-reviews/:reviewId', resolvePaymentReview);
+router.get('/reconciliation', getReconciliationReports);
+router.post('/reconciliation/run', runReconciliation);
+router.get('/reconciliation/:runId', getReconciliationReport);
 
 // ==================== CA MANAGEMENT ====================
 router.get('/ca/list', getCAs);
 router.post('/ca/create', createCA);
 router.patch('/ca/:caId', updateCA);
 router.delete('/ca/:caId', deleteCA);
+router.get('/ca/:caId/availability', getCAAvailability);
+router.patch('/ca/:caId/schedule', updateCASchedule);
+router.post('/ca/:caId/leave', addCALeave);
+router.delete('/ca/:caId/leave/:leaveId', removeCALeave);
+router.post('/ca/:caId/blocks', addCABlock);
+router.delete('/ca/:caId/blocks/:blockId', removeCABlock);
+router.patch('/ca/:caId/pricing', updateCAPricing);
+
+// ==================== SERVICES ====================
+router.get('/services', getServicesAdmin);
+router.post('/services', createServiceAdmin);
+router.patch('/services/:serviceId', updateServiceAdmin);
+router.delete('/services/:serviceId', deleteServiceAdmin);
+
+// ==================== COUPONS ====================
+router.get('/coupons', getCouponsAdmin);
+router.post('/coupons', createCouponAdmin);
+router.patch('/coupons/:code', updateCouponAdmin);
+router.delete('/coupons/:code', deleteCouponAdmin);
+
+// ==================== PACKAGES ====================
+router.get('/packages', getPackagesAdmin);
+router.post('/packages', createPackageAdmin);
+router.patch('/packages/:packageId', updatePackageAdmin);
+router.delete('/packages/:packageId', deletePackageAdmin);
+router.get('/packages/purchases/:purchaseId/invoice', downloadPackageInvoice);
 
 // ==================== SETTINGS ====================
 router.get('/settings', getSystemSettings);
@@ -2,18 +2,56 @@ import express from 'express';
 import {
   getAvailableSlots,
   createBookingOrder,
+  retryBookingOrder,
+  validateCouponCode,
   verifyBookingPayment,
+  reportPaymentFailure,
+  verifyPaymentLinkPayment,
   getBookingDetails,
-  getPublicSettings 
+  getPublicSettings,
+  getPublicCAs,
+  getManageBooking,
+  updateBooking,
+  cancelBooking,
+  joinWaitlist,
+  getWaitlistOffer,
+  acceptWaitlistOffer,
+  getPublicPackages,
+  requestCreditLink,
+  purchasePackage,
+  verifyPackagePayment,
 } from '../controllers/booking.controller.js';
+import { verifyManageLink } from '../middlewares/manageToken.middleware.js';
 
 const router = express.Router();
 
 // Public booking routes
 router.get('/settings', getPublicSettings);  
 router.get('/slots', getAvailableSlots);
+router.get('/cas', getPublicCAs);
+router.post('/coupon/validate', validateCouponCode);
 router.post('/create-order', createBookingOrder);
+router.post('/create-order/retry', retryBookingOrder);
 router.post('/verify-payment', verifyBookingPayment);
+router.post('/payment-failed', reportPaymentFailure);
+router.post('/payment-link/verify', verifyPaymentLinkPayment);
+
+// Customer self-service (signed manage link from the confirmation email)
+router.get('/manage/:bookingId', verifyManageLink, getManageBooking);
+router.patch('/manage/:bookingId/reschedule', verifyManageLink, updateBooking);
+router.post('/manage/:bookingId/cancel', verifyManageLink, cancelBooking);
+
+// Waitlist (offer link from the waitlist email)
+router.post('/waitlist', joinWaitlist);
+router.get('/waitlist/offer/:bookingId', verifyManageLink, getWaitlistOffer);
+router.post('/waitlist/offer/:bookingId/accept', verifyManageLink, acceptWaitlistOffer);
+
+// Prepaid consultation packages (credits are used with use_credit on create-order)
+router.get('/packages', getPublicPackages);
+router.post('/packages/purchase', purchasePackage);
+router.post('/packages/verify-payment', verifyPackagePayment);
+router.post('/credits/link', requestCreditLink);
+
 router.get('/:bookingId', getBookingDetails);
 
 export default router;
\ No newline at end of file
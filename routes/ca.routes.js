@@ -0,0 +1,14 @@
+import express from 'express';
+import {
+  getCAAppointment,
+  recordAppointmentOutcome,
+} from '../controllers/ca.controller.js';
+import { verifyCALink } from '../middlewares/manageToken.middleware.js';
+
+const router = express.Router();
+
+// CA outcome links (signed link from the CA confirmation email, not admin secret)
+router.get('/appointments/:bookingId', verifyCALink, getCAAppointment);
+router.post('/appointments/:bookingId/outcome', verifyCALink, recordAppointmentOutcome);
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+import express from 'express';
+import { handleRazorpayWebhook } from '../controllers/webhook.controller.js';
+
+const router = express.Router();
+
+// Payment provider webhooks (authenticated by signature, not admin secret)
+router.post('/razorpay', handleRazorpayWebhook);
+
+export default router;
\ No newline at end of file
@@ -5,8 +5,16 @@ import dotenv from 'dotenv';
 import { initializeFirebase } from './config/firebase.js';
 import bookingRoutes from './routes/booking.routes.js';
 import adminRoutes from './routes/admin.routes.js';
+import webhookRoutes from './routes/webhook.routes.js';
+import caRoutes from './routes/ca.routes.js';
 // ✅ Import hourly reminder scheduler
 import reminderScheduler from './services/reminderScheduler.service.js';
+import { startHoldCleanup } from './services/slotHold.service.js';
+import draftExpiry from './services/draftExpiry.service.js';
+import { startWaitlistProcessor } from './services/waitlist.service.js';
+import { startCreditExpiryJob } from './services/credit.service.js';
+import { startReconciliationJob } from './services/reconciliation.service.js';
+import { getPaymentMode } from './services/razorpay.service.js';
 
 // ✅ Load environment variables FIRST
 dotenv.config();
@@ -23,7 +31,12 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true,
 }));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body for Razorpay webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Health check endpoint
@@ -31,6 +44,7 @@ app.get('/health', (req, res) => {
   res.json({
     success: true,
     message: 'Server is running',
+    payment_mode: getPaymentMode(),
     timestamp: new Date().toISOString(),
   });
 });
@@ -55,6 +69,8 @@ app.get('/test-reminder', async (req, res) => {
 // API Routes
 app.use('/api/booking', bookingRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/ca', caRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -77,6 +93,7 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
+  console.log(`💳 Payment mode: ${getPaymentMode()}`);
   
   // ✅ Start hourly reminder scheduler
   try {
@@ -84,6 +101,41 @@ app.listen(PORT, () => {
   } catch (error) {
     console.error('❌ Failed to start reminder scheduler:', error);
   }
+
+  // Release slot holds of abandoned payments
+  try {
+    startHoldCleanup();
+  } catch (error) {
+    console.error('❌ Failed to start slot hold cleanup:', error);
+  }
+
+  // Expire drafts whose payment never completed
+  try {
+    draftExpiry.start();
+  } catch (error) {
+    console.error('❌ Failed to start draft expiry scheduler:', error);
+  }
+
+  // Offer slots freed by expired holds to the waitlist
+  try {
+    startWaitlistProcessor();
+  } catch (error) {
+    console.error('❌ Failed to start waitlist processor:', error);
+  }
+
+  // Expire package credits past their validity
+  try {
+    startCreditExpiryJob();
+  } catch (error) {
+    console.error('❌ Failed to start credit expiry job:', error);
+  }
+
+  // Match Firestore payment states against Razorpay
+  try {
+    startReconciliationJob();
+  } catch (error) {
+    console.error('❌ Failed to start payment reconciliation job:', error);
+  }
 });
 
 // Graceful shutdown
@@ -0,0 +1,202 @@
+// Backend/services/adminBooking.service.js - BOOKINGS CREATED BY ADMINS (WALK-INS, PHONE CALLS)
+import admin from 'firebase-admin';
+import { reserveSlot, confirmReservation } from './slotReservation.service.js';
+import { releaseHold } from './slotHold.service.js';
+import { runConfirmationSideEffects } from './bookingConfirmation.service.js';
+import { isCAAvailable } from './caAvailability.service.js';
+import { autoAssignCA } from './caAssignment.service.js';
+import { recordOfflinePayment } from './paymentPlan.service.js';
+import { sendPaymentLink, DEFAULT_LINK_EXPIRY_HOURS } from './paymentLink.service.js';
+import { getSchedulingRules } from './schedulingRules.service.js';
+import {
+  getService,
+  getDurationOptions,
+  getServiceSnapshot,
+  isCAEligible,
+} from './serviceCatalog.service.js';
+import { generateReferenceId } from '../utils/referenceIdHelper.js';
+import { getMinutesUntil } from '../utils/helpers.js';
+
+/**
+ * How an admin booking is paid
+ *   offline       - already paid at the office (cash, UPI, card...)
+ *   link          - the customer is emailed a Razorpay payment link; the slot is held until it expires
+ *   complimentary - free of charge
+ */
+export const ADMIN_PAYMENT_OPTIONS = ['offline', 'link', 'complimentary'];
+
+/**
+ * Book a slot on behalf of a customer
+ * Same availability checks as create-order (CA hours, leave, buffers, daily caps),
+ * except minimum notice, so walk-ins can be booked for right now.
+ * Offline and complimentary bookings are confirmed at once (Meet link, invoice, emails).
+ * Link bookings stay a draft, held until the link expires, and are confirmed when
+ * the link is paid.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {object} settings - System settings
+ * @param {object} booking - { customer_name, customer_email, customer_phone, consult_note, customer_state, customer_gstin, service_id, ca_id, date, time_slot, duration }
+ * @param {object} payment - { option, method, reference, note, link_expiry_hours }
+ * @returns {Promise<{ success: boolean, error?: string, conflict?: boolean, appointment?: object, payment_link?: object }>}
+ */
+export const createAdminBooking = async (businessRef, settings, booking, payment) => {
+  const duration = parseInt(booking.duration);
+  const rules = getSchedulingRules(settings);
+
+  if (getMinutesUntil(booking.date, booking.time_slot) + duration <= 0) {
+    return { success: false, error: 'This time has already passed' };
+  }
+
+  const service = booking.service_id ? await getService(businessRef, booking.service_id) : null;
+
+  if (booking.service_id && !service) {
+    return { success: false, error: 'Service not found' };
+  }
+
+  let caData = null;
+
+  if (booking.ca_id) {
+    const caDoc = await businessRef.collection('CA').doc(booking.ca_id).get();
+
+    if (!caDoc.exists) {
+      return { success: false, error: 'CA not found' };
+    }
+
+    if (!isCAEligible(service, booking.ca_id)) {
+      return { success: false, error: "This CA doesn't offer the selected service" };
+    }
+
+    const available = await isCAAvailable(businessRef.id, booking.ca_id, booking.date, booking.time_slot, duration, rules);
+
+    if (!available) {
+      return { success: false, conflict: true, error: 'The CA is not available at this time' };
+    }
+
+    caData = caDoc.data();
+  }
+
+  const slotConfig = getDurationOptions(settings, service, caData).find((s) => s.duration === duration);
+
+  if (!slotConfig) {
+    return { success: false, error: 'Invalid duration selected' };
+  }
+
+  let assignment = null;
+  if (!booking.ca_id && settings.auto_assign_ca) {
+    assignment = await autoAssignCA(businessRef, settings, { ...booking, duration, service });
+
+    if (!assignment) {
+      return { success: false, conflict: true, error: 'No CA is available at this time' };
+    }
+  }
+
+  const price = slotConfig.price;
+  const isLink = payment.option === 'link';
+  const linkExpiresAt = isLink
+    ? admin.firestore.Timestamp.fromMillis(Date.now() + (payment.link_expiry_hours || DEFAULT_LINK_EXPIRY_HOURS) * 60 * 60 * 1000)
+    : null;
+
+  const referenceId = await generateReferenceId(businessRef);
+
+  const appointmentData = {
+    customer_name: booking.customer_name,
+    customer_email: booking.customer_email,
+    customer_phone: booking.customer_phone,
+    consult_note: booking.consult_note || '',
+    ...(booking.customer_state && { customer_state: booking.customer_state }),
+    ...(booking.customer_gstin && { customer_gstin: booking.customer_gstin }),
+    assigned_ca: booking.ca_id || assignment?.ca.id || '',
+    ...(assignment && {
+      ca_assigned_by: 'auto',
+      ca_assignment_strategy: assignment.strategy,
+    }),
+    ...getServiceSnapshot(service),
+    date: booking.date,
+    time_slot: booking.time_slot,
+    duration,
+    booked_by: 'admin',
+    // Only online payments go in amount; office payments are tracked like balance payments
+    amount: isLink ? price : 0,
+    ...(payment.option === 'offline' && {
+      payment_method: 'offline',
+      total_amount: price,
+      balance_due: price,
+      offline_paid: 0,
+    }),
+    ...(payment.option === 'complimentary' && {
+      payment_method: 'complimentary',
+      original_amount: price,
+    }),
+    ...(isLink && { draft_expires_at: linkExpiresAt }),
+    payment_status: 'pending',
+    status: 'draft',
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  const reservation = await reserveSlot(businessRef, {
+    appointmentId: referenceId,
+    appointmentData,
+    holdMinutes: isLink ? (linkExpiresAt.toMillis() - Date.now()) / 60000 : settings.slot_hold_minutes,
+    rules,
+  });
+
+  if (!reservation.success) {
+    return { success: false, conflict: true, error: reservation.error };
+  }
+
+  const appointmentRef = businessRef.collection('appointments').doc(referenceId);
+
+  const giveSlotBack = async (reason) => {
+    await appointmentRef.delete();
+    await releaseHold(businessRef, referenceId, reason);
+  };
+
+  if (isLink) {
+    let linkResult;
+    try {
+      linkResult = await sendPaymentLink(businessRef, referenceId, { purpose: 'booking' });
+    } catch (linkError) {
+      await giveSlotBack('admin booking payment link failed');
+      throw linkError;
+    }
+
+    if (!linkResult.success) {
+      await giveSlotBack('admin booking payment link failed');
+      return { success: false, error: linkResult.error };
+    }
+
+    console.log(`📨 Admin booking ${referenceId} held until ${linkExpiresAt.toDate().toISOString()}, payment link sent`);
+
+    return {
+      success: true,
+      appointment: { id: referenceId, reference_id: referenceId, ...appointmentData },
+      payment_link: linkResult.payment_link,
+    };
+  }
+
+  const confirmation = await confirmReservation(businessRef, referenceId, {
+    payment_source: 'admin',
+    // Offline bookings become 'completed' once the office payment below is recorded
+    payment_status: payment.option === 'complimentary' ? 'not_required' : 'pending_offline',
+  });
+
+  if (!confirmation.success) {
+    await giveSlotBack('admin booking failed');
+    return { success: false, conflict: true, error: confirmation.error };
+  }
+
+  if (payment.option === 'offline') {
+    await recordOfflinePayment(businessRef, referenceId, {
+      amount: price,
+      method: payment.method,
+      reference: payment.reference || '',
+      note: payment.note || '',
+    });
+  }
+
+  const result = await runConfirmationSideEffects(businessRef, referenceId);
+
+  console.log(`✅ Admin booking ${referenceId} confirmed (${payment.option})`);
+
+  return { success: true, appointment: result.appointment };
+};
@@ -0,0 +1,190 @@
+// Backend/services/appointmentStatus.service.js - APPOINTMENT LIFECYCLE (STATE MACHINE)
+import admin from 'firebase-admin';
+import brevoService from './brevo.service.js';
+import { attachCADetails } from './bookingConfirmation.service.js';
+import { recordNoShow } from './customer.service.js';
+import { getMinutesUntil } from '../utils/helpers.js';
+
+const getDb = () => admin.firestore();
+
+/**
+ * Allowed status transitions
+ * draft → pending → confirmed → completed / no_show, with cancelled and expired as exits.
+ * Every status change in the app goes through this table.
+ */
+export const STATUS_TRANSITIONS = {
+  draft: ['pending', 'expired', 'cancelled'],  // Created by create-order, pending once paid
+  pending: ['confirmed', 'cancelled'],         // Paid, waiting for the consultant
+  confirmed: ['completed', 'no_show', 'cancelled'],
+  completed: [],
+  no_show: [],
+  cancelled: [],
+  expired: [],
+};
+
+export const APPOINTMENT_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Outcomes that can only be recorded once the appointment has started
+const OUTCOME_STATUSES = ['completed', 'no_show'];
+
+// Transitions only the system makes: payment confirmation and draft expiry
+const SYSTEM_ONLY_TRANSITIONS = {
+  draft: ['pending', 'expired'],
+};
+
+/**
+ * Check whether an appointment may move from one status to another
+ */
+export const canTransition = (from, to) => {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Explain why a transition is not allowed
+ * @returns {string|null} - Error message, or null if the transition is allowed
+ */
+export const getTransitionError = (from, to) => {
+  if (!APPOINTMENT_STATUSES.includes(to)) {
+    return `Invalid status: ${to}`;
+  }
+
+  if (from === to) {
+    return `Booking is already ${to}`;
+  }
+
+  if (!canTransition(from, to)) {
+    return `Cannot change status from ${from} to ${to}`;
+  }
+
+  return null;
+};
+
+/**
+ * Apply a status transition inside an existing transaction
+ * Writes the new status and a status_history entry. All reads must already be done.
+ * @param {FirebaseFirestore.Transaction} transaction - Firestore transaction
+ * @param {FirebaseFirestore.DocumentReference} appointmentRef - Appointment reference
+ * @param {object} appointment - Current appointment data (read in the same transaction)
+ * @param {string} to - New status
+ * @param {object} options
+ * @param {string} [options.actor] - 'customer', 'admin', 'ca' or 'system'
+ * @param {string} [options.reason] - Why the status changed
+ * @param {object} [options.fields] - Extra appointment fields to write with the status
+ * @returns {{ success: boolean, error?: string, from?: string }}
+ */
+export const applyTransition = (transaction, appointmentRef, appointment, to, { actor = 'system', reason = '', fields = {} } = {}) => {
+  const from = appointment.status;
+  const error = getTransitionError(from, to);
+
+  if (error) {
+    return { success: false, error };
+  }
+
+  if (actor !== 'system' && (SYSTEM_ONLY_TRANSITIONS[from] || []).includes(to)) {
+    return { success: false, error: `Cannot change status from ${from} to ${to}: drafts change only when paid or expired` };
+  }
+
+  if (OUTCOME_STATUSES.includes(to) && getMinutesUntil(appointment.date, appointment.time_slot) > 0) {
+    return { success: false, error: `Cannot mark as ${to} before the appointment starts` };
+  }
+
+  transaction.update(appointmentRef, {
+    ...fields,
+    status: to,
+    status_updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  transaction.set(appointmentRef.collection('status_history').doc(), {
+    from,
+    to,
+    actor,
+    reason,
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return { success: true, from };
+};
+
+/**
+ * Change an appointment's status in its own transaction and send the notification for it
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {string} to - New status
+ * @param {object} options - { actor, reason, fields, notify (default true) }
+ * @returns {Promise<{ success: boolean, error?: string, notFound?: boolean, from?: string }>}
+ */
+export const transitionStatus = async (businessRef, appointmentId, to, options = {}) => {
+  const appointmentRef = businessRef.collection('appointments').doc(appointmentId);
+
+  const result = await getDb().runTransaction(async (transaction) => {
+    const doc = await transaction.get(appointmentRef);
+
+    if (!doc.exists) {
+      return { success: false, notFound: true, error: 'Appointment not found' };
+    }
+
+    const appointment = doc.data();
+    const applied = applyTransition(transaction, appointmentRef, appointment, to, options);
+
+    return { ...applied, appointment };
+  });
+
+  if (!result.success) {
+    return result;
+  }
+
+  if (to === 'no_show') {
+    await recordNoShow(businessRef, appointmentId, result.appointment);
+  }
+
+  if (options.notify !== false) {
+    await notifyTransition(businessRef, appointmentId, result.appointment, to);
+  }
+
+  return { success: true, from: result.from };
+};
+
+/**
+ * Get the status history of an appointment (oldest first)
+ */
+export const getStatusHistory = async (businessRef, appointmentId) => {
+  const snapshot = await businessRef
+    .collection('appointments')
+    .doc(appointmentId)
+    .collection('status_history')
+    .orderBy('created_at', 'asc')
+    .get();
+
+  return snapshot.docs.map((doc) => {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      ...data,
+      created_at: data.created_at?.toDate?.() || null,
+    };
+  });
+};
+
+/**
+ * Send the customer notification for a transition
+ * draft → pending sends the confirmation emails (bookingConfirmation.service.js),
+ * cancelled sends the cancellation emails (cancellation.service.js),
+ * expired sends nothing because the customer never paid.
+ */
+const notifyTransition = async (businessRef, appointmentId, appointment, to) => {
+  if (!['confirmed', 'completed', 'no_show'].includes(to)) {
+    return;
+  }
+
+  try {
+    const bookingData = await attachCADetails(businessRef, { reference_id: appointmentId, ...appointment });
+    const emailResult = await brevoService.sendStatusUpdateEmail(bookingData, to);
+
+    if (!emailResult.success) {
+      console.error(`❌ Failed to send ${to} email:`, emailResult.error);
+    }
+  } catch (emailError) {
+    console.error(`❌ Brevo ${to} email error:`, emailError.message);
+  }
+};
@@ -0,0 +1,357 @@
+// Backend/services/bookingConfirmation.service.js - SHARED PAYMENT CONFIRMATION FLOW
+import admin from 'firebase-admin';
+import { confirmReservation } from './slotReservation.service.js';
+import googleMeetService from './googleMeet.service.js';
+import brevoService from './brevo.service.js';
+import { getPaymentMismatches, flagForReview } from './paymentVerification.service.js';
+import { markWaitlistBooked, notifySlotFreed } from './waitlist.service.js';
+import { redeemCoupon } from './coupon.service.js';
+import { issueInvoice, getInvoiceAttachment } from './invoice.service.js';
+import { getManageLink, getCAOutcomeLink } from '../utils/manageToken.js';
+
+/**
+ * Attach CA contact details to appointment data (for Meet + emails)
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {object} appointmentData - Appointment data (mutated)
+ */
+export const attachCADetails = async (businessRef, appointmentData) => {
+  if (!appointmentData.assigned_ca) return appointmentData;
+
+  try {
+    const caDoc = await businessRef
+      .collection('CA')
+      .doc(appointmentData.assigned_ca)
+      .get();
+
+    if (caDoc.exists) {
+      const caData = caDoc.data();
+      appointmentData.ca_email = caData.email;
+      appointmentData.ca_name = caData.name;
+      appointmentData.ca_phone = caData.phone || '';
+    } else {
+      console.error(`❌ CA document not found for ID: ${appointmentData.assigned_ca}`);
+    }
+  } catch (caError) {
+    console.error('❌ Error fetching CA details:', caError.message);
+  }
+
+  return appointmentData;
+};
+
+// A claim older than this is treated as abandoned (crashed process) and can be retried
+const SIDE_EFFECT_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Claim a confirmation side effect so it runs once per appointment
+ * State is kept on the appointment as side_effects.{name} = { status, claimed_at }
+ * @param {FirebaseFirestore.DocumentReference} appointmentRef - Appointment reference
+ * @param {string} name - Side effect name ('meet' or 'email')
+ * @returns {Promise<boolean>} - true if the caller should run the side effect
+ */
+const claimSideEffect = async (appointmentRef, name) => {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const doc = await transaction.get(appointmentRef);
+    const current = doc.data()?.side_effects?.[name];
+
+    if (current?.status === 'done') {
+      return false;
+    }
+
+    if (current?.status === 'in_progress') {
+      const claimedAt = current.claimed_at?.toMillis?.() || 0;
+      if (Date.now() - claimedAt < SIDE_EFFECT_CLAIM_TIMEOUT_MS) {
+        return false;
+      }
+    }
+
+    transaction.update(appointmentRef, {
+      [`side_effects.${name}`]: {
+        status: 'in_progress',
+        claimed_at: admin.firestore.Timestamp.now(),
+      },
+    });
+
+    return true;
+  });
+};
+
+/**
+ * Record the outcome of a claimed side effect
+ * 'failed' releases the claim so a later verify/webhook call retries it.
+ */
+const finishSideEffect = (appointmentRef, name, status, extra = {}) => {
+  return appointmentRef.update({
+    ...extra,
+    [`side_effects.${name}`]: {
+      status,
+      finished_at: admin.firestore.Timestamp.now(),
+    },
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+/**
+ * Confirm a paid appointment and run the confirmation side effects
+ * Used by both POST /verify-payment and the Razorpay webhook.
+ * 1. Cross-check order, amount, currency and capture status
+ * 2. Re-validate the slot and mark the appointment as paid
+ * 3. Create the Google Meet link
+ * 4. Issue the invoice
+ * 5. Send confirmation emails (Customer + CA + Admin), with the invoice PDF for the customer
+ * Mismatches and slot conflicts are added to the admin review queue.
+ * Safe to call repeatedly: the state transition and each side effect happen once,
+ * later calls return the existing appointment.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {object} options
+ * @param {string} options.orderId - Order ID the payment was made against
+ * @param {object} options.payment - Razorpay payment entity
+ * @param {string} options.source - 'checkout', 'payment_link', 'webhook' or 'reconciliation'
+ * @returns {Promise<{ success: boolean, error?: string, notFound?: boolean, pending?: boolean, closed?: boolean, alreadyConfirmed?: boolean, appointment?: object }>}
+ */
+export const confirmAppointmentPayment = async (businessRef, appointmentId, { orderId, payment, source }) => {
+  const appointmentRef = businessRef.collection('appointments').doc(appointmentId);
+  const appointmentDoc = await appointmentRef.get();
+
+  if (!appointmentDoc.exists) {
+    return { success: false, notFound: true, error: 'Appointment not found' };
+  }
+
+  const appointment = appointmentDoc.data();
+  const alreadyPaid = appointment.payment_status === 'completed' && appointment.status !== 'draft';
+
+  if (alreadyPaid && appointment.payment_id !== payment.id) {
+    // A second payment against a booking that is already paid
+    await flagForReview(businessRef, appointmentId, {
+      reason: 'duplicate_payment',
+      details: [`payment ${payment.id} received after ${appointment.payment_id}`],
+      payment_id: payment.id,
+      order_id: orderId,
+      source,
+    });
+    return {
+      success: false,
+      error: 'This booking is already paid. Our team will review the extra payment and contact you.',
+    };
+  }
+
+  // The order must belong to this appointment
+  const mismatches = orderId === appointment.order_id
+    ? getPaymentMismatches(appointment, payment)
+    : [`order_id ${orderId} does not belong to this appointment`];
+
+  if (mismatches.length > 0) {
+    await flagForReview(businessRef, appointmentId, {
+      reason: 'payment_mismatch',
+      details: mismatches,
+      payment_id: payment.id,
+      order_id: orderId,
+      source,
+    });
+    return {
+      success: false,
+      error: 'Payment details do not match this booking. Our team will review it and contact you.',
+    };
+  }
+
+  if (payment.status !== 'captured') {
+    // Auto-capture is still running; the webhook confirms once it's captured
+    return {
+      success: false,
+      pending: true,
+      error: 'Payment is still being processed. You will receive a confirmation email shortly.',
+    };
+  }
+
+  const confirmation = await confirmReservation(businessRef, appointmentId, {
+    payment_id: payment.id,
+    payment_source: source,
+  });
+
+  if (!confirmation.success) {
+    console.error(`❌ Reservation check failed for ${appointmentId}:`, confirmation.error);
+
+    if (confirmation.conflict) {
+      await flagForReview(businessRef, appointmentId, {
+        reason: 'slot_conflict',
+        details: ['Slot was taken by another booking before payment completed'],
+        payment_id: payment.id,
+        order_id: orderId,
+        source,
+      });
+    }
+
+    // A repeat call for a payment already on record (e.g. a paid booking cancelled since) needs no new review
+    if (confirmation.closed && appointment.payment_id !== payment.id) {
+      await flagForReview(businessRef, appointmentId, {
+        reason: 'paid_after_expiry',
+        details: [`payment captured while the appointment is ${appointment.status}`],
+        payment_id: payment.id,
+        order_id: orderId,
+        source,
+      });
+    }
+
+    return { success: false, closed: Boolean(confirmation.closed), error: confirmation.error };
+  }
+
+  if (confirmation.alreadyConfirmed) {
+    console.log(`ℹ️  Appointment ${appointmentId} already confirmed (${source})`);
+  }
+
+  return runConfirmationSideEffects(businessRef, appointmentId, {
+    alreadyConfirmed: Boolean(confirmation.alreadyConfirmed),
+  });
+};
+
+/**
+ * Run the side effects of a confirmed booking
+ * Waitlist and coupon bookkeeping (first confirmation only), Google Meet link,
+ * invoice and confirmation emails. Each side effect happens once per appointment.
+ * Also used for bookings confirmed without a checkout payment (package credits).
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {object} [options] - { alreadyConfirmed }
+ * @returns {Promise<{ success: boolean, alreadyConfirmed: boolean, appointment: object }>}
+ */
+export const runConfirmationSideEffects = async (businessRef, appointmentId, { alreadyConfirmed = false } = {}) => {
+  const appointmentRef = businessRef.collection('appointments').doc(appointmentId);
+
+  // Get updated appointment data
+  const updatedDoc = await appointmentRef.get();
+  const appointmentData = {
+    id: appointmentId,
+    reference_id: appointmentId,
+    ...updatedDoc.data(),
+  };
+
+  await attachCADetails(businessRef, appointmentData);
+
+  if (!alreadyConfirmed) {
+    await markWaitlistBooked(businessRef, appointmentData).catch((error) => {
+      console.error('❌ Failed to update waitlist entry:', error.message);
+    });
+    await redeemCoupon(businessRef, appointmentData).catch((error) => {
+      console.error('❌ Failed to record coupon redemption:', error.message);
+    });
+  }
+
+  // Generate Google Meet Link (once)
+  if (!appointmentData.meet_event_id && await claimSideEffect(appointmentRef, 'meet')) {
+    try {
+      const meetResult = await googleMeetService.createMeetLink(appointmentData);
+
+      if (meetResult.success) {
+        await finishSideEffect(appointmentRef, 'meet', 'done', {
+          meet_link: meetResult.meetLink,
+          meet_event_id: meetResult.eventId,
+        });
+
+        appointmentData.meet_link = meetResult.meetLink;
+        appointmentData.meet_event_id = meetResult.eventId;
+      } else {
+        console.error('❌ Failed to create Meet link:', meetResult.error);
+        await finishSideEffect(appointmentRef, 'meet', 'failed');
+      }
+    } catch (meetError) {
+      console.error('❌ Google Meet error:', meetError.message);
+      await finishSideEffect(appointmentRef, 'meet', 'failed').catch(() => {});
+    }
+  }
+
+  // Invoice (once per appointment, numbered when issued)
+  let invoice = null;
+  try {
+    invoice = await issueInvoice(businessRef, appointmentId);
+    appointmentData.invoice_number = invoice?.invoice_number;
+  } catch (invoiceError) {
+    console.error('❌ Invoice error:', invoiceError.message);
+  }
+
+  appointmentData.meetLink = appointmentData.meet_link;
+  appointmentData.meetEventId = appointmentData.meet_event_id;
+  appointmentData.manage_link = getManageLink(businessRef.id, appointmentData);
+  if (appointmentData.assigned_ca) {
+    appointmentData.ca_outcome_link = getCAOutcomeLink(businessRef.id, appointmentData);
+  }
+
+  // Send Confirmation Emails (Customer + CA + Admin) (once)
+  if (!appointmentData.confirmation_email_sent && await claimSideEffect(appointmentRef, 'email')) {
+    try {
+      if (invoice) {
+        // Without the PDF the confirmation still goes out
+        appointmentData.invoice_attachment = await getInvoiceAttachment(invoice).catch((pdfError) => {
+          console.error('❌ Invoice PDF error:', pdfError.message);
+          return null;
+        });
+      }
+
+      const emailResult = await brevoService.sendConfirmationEmail(appointmentData);
+
+      if (emailResult.success) {
+        await finishSideEffect(appointmentRef, 'email', 'done', {
+          confirmation_email_sent: true,
+          confirmation_email_sent_at: admin.firestore.FieldValue.serverTimestamp(),
+          brevo_message_id: emailResult.messageId,
+          email_details: emailResult.details,
+        });
+      } else {
+        console.error('❌ Failed to send confirmation emails:', emailResult.error);
+        await finishSideEffect(appointmentRef, 'email', 'failed');
+      }
+    } catch (emailError) {
+      console.error('❌ Brevo email error:', emailError.message);
+      await finishSideEffect(appointmentRef, 'email', 'failed').catch(() => {});
+    }
+  }
+
+  return {
+    success: true,
+    alreadyConfirmed,
+    appointment: appointmentData,
+  };
+};
+
+/**
+ * Run the side effects of a rescheduled booking
+ * Offers the old slot to the waitlist, moves the Google Meet event and sends
+ * change emails (Customer + CA + Admin).
+ * Used by customer (manage link) and admin reschedules.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {object} booking - Appointment data with the new date and time_slot
+ * @param {object} previous - { date, time_slot } before the move
+ */
+export const runRescheduleSideEffects = async (businessRef, booking, previous) => {
+  notifySlotFreed(businessRef, previous.date);
+
+  // Update Google Meet event
+  if (booking.meet_event_id) {
+    try {
+      const meetResult = await googleMeetService.updateMeetLink(booking.meet_event_id, booking);
+
+      if (!meetResult.success) {
+        console.error('❌ Failed to update Meet event:', meetResult.error);
+      }
+    } catch (error) {
+      console.error('❌ Error updating Meet event:', error);
+    }
+  }
+
+  // Change notifications (Customer + CA + Admin)
+  try {
+    await attachCADetails(businessRef, booking);
+    booking.manage_link = getManageLink(businessRef.id, booking);
+
+    const emailResult = await brevoService.sendBookingChangeEmail(booking, {
+      type: 'rescheduled',
+      previous_date: previous.date,
+      previous_time_slot: previous.time_slot,
+    });
+
+    if (!emailResult.success) {
+      console.error('❌ Failed to send reschedule emails:', emailResult.error);
+    }
+  } catch (emailError) {
+    console.error('❌ Brevo reschedule email error:', emailError.message);
+  }
+};
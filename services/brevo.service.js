@@ -100,6 +100,7 @@ class BrevoEmailService {
         ],
         subject: `✅ Booking Confirmed - ${bookingData.reference_id} | NAB Consultancy`,
         htmlContent: emailContent,
+        ...(bookingData.invoice_attachment && { attachment: [bookingData.invoice_attachment] }),
       };
 
       const response = await axios.post(this.apiUrl, payload, {
@@ -387,13 +388,210 @@ class BrevoEmailService {
     }
   }
 
+  // ==================== BOOKING CHANGE EMAILS ====================
+
+  /**
+   * Send reschedule/cancellation notices (Customer + CA + Admin)
+   * @param {object} bookingData - Appointment data after the change
+   * @param {object} change - { type: 'rescheduled'|'cancelled', previous_date, previous_time_slot, cancelled_by, refund_amount }
+   */
+  async sendBookingChangeEmail(bookingData, change) {
+    this.initialize();
+
+    const results = {
+      customer: { success: false },
+      ca: { success: false },
+      admin: { success: false }
+    };
+
+    const data = { ...bookingData, ...change };
+    const label = change.type === 'rescheduled' ? 'Rescheduled' : 'Cancelled';
+
+    // 1. Send to Customer
+    results.customer = await this.sendBookingChangeTo(
+      { email: bookingData.customer_email, name: bookingData.customer_name },
+      `📅 Booking ${label} - ${bookingData.reference_id} | NAB Consultancy`,
+      this.generateBookingChangeHTML(data, 'customer')
+    );
+
+    // 2. Send to CA (if assigned)
+    if (bookingData.ca_email && bookingData.assigned_ca) {
+      results.ca = await this.sendBookingChangeTo(
+        { email: bookingData.ca_email, name: bookingData.ca_name },
+        `📅 Appointment ${label} - ${bookingData.reference_id}`,
+        this.generateBookingChangeHTML(data, 'ca')
+      );
+    }
+
+    // 3. Send to Admin
+    if (this.adminEmail) {
+      results.admin = await this.sendBookingChangeTo(
+        { email: this.adminEmail, name: this.adminName },
+        `🔔 Booking ${label} - ${bookingData.reference_id}`,
+        this.generateBookingChangeHTML(data, 'admin')
+      );
+    }
+
+    return {
+      success: results.customer.success,
+      messageId: results.customer.messageId,
+      details: results
+    };
+  }
+
+  /**
+   * Send one booking change email
+   */
+  async sendBookingChangeTo(recipient, subject, htmlContent) {
+    try {
+      if (!this.apiKey) throw new Error('BREVO_API_KEY is not configured');
+
+      const payload = {
+        sender: {
+          name: this.senderName,
+          email: this.senderEmail,
+        },
+        to: [recipient],
+        subject,
+        htmlContent,
+      };
+
+      const response = await axios.post(this.apiUrl, payload, {
+        headers: {
+          'api-key': this.apiKey,
+          'Content-Type': 'application/json',
+        },
+        timeout: 10000,
+      });
+
+      return { success: true, messageId: response.data.messageId };
+
+    } catch (error) {
+      console.error(`❌ Booking change email error (${recipient.email}):`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send CUSTOMER status update (confirmed / completed / no_show)
+   */
+  async sendStatusUpdateEmail(bookingData, status) {
+    this.initialize();
+
+    const subjects = {
+      confirmed: `✅ Consultant Confirmed - ${bookingData.reference_id} | NAB Consultancy`,
+      completed: `🙏 Thank You for Your Consultation - ${bookingData.reference_id} | NAB Consultancy`,
+      no_show: `⚠️ We Missed You - ${bookingData.reference_id} | NAB Consultancy`,
+    };
+
+    return this.sendBookingChangeTo(
+      { email: bookingData.customer_email, name: bookingData.customer_name },
+      subjects[status] || `Booking Update - ${bookingData.reference_id} | NAB Consultancy`,
+      this.generateStatusUpdateHTML({ ...bookingData, status })
+    );
+  }
+
+  // ==================== WAITLIST EMAILS ====================
+
+  /**
+   * Send CUSTOMER waitlist offer (held slot + payment link)
+   */
+  async sendWaitlistOfferEmail(bookingData) {
+    this.initialize();
+
+    return this.sendBookingChangeTo(
+      { email: bookingData.customer_email, name: bookingData.customer_name },
+      `🎉 A Slot Opened Up - ${bookingData.reference_id} | NAB Consultancy`,
+      this.generateWaitlistOfferHTML(bookingData)
+    );
+  }
+
+  /**
+   * Send CUSTOMER a payment link (booking an admin made for them, or a balance due)
+   */
+  async sendPaymentRequestEmail(bookingData) {
+    this.initialize();
+
+    const subject = bookingData.purpose === 'balance'
+      ? `💳 Payment Request - ${bookingData.reference_id} | NAB Consultancy`
+      : `💳 Complete Your Booking - ${bookingData.reference_id} | NAB Consultancy`;
+
+    return this.sendBookingChangeTo(
+      { email: bookingData.customer_email, name: bookingData.customer_name },
+      subject,
+      this.generatePaymentRequestHTML(bookingData)
+    );
+  }
+
+  // ==================== PACKAGE CREDIT EMAILS ====================
+
+  /**
+   * Send CUSTOMER the link to book with their package credits
+   * @param {object} data - { customer_name, customer_email, credit_balance, credit_link }
+   */
+  async sendCreditLinkEmail(data) {
+    this.initialize();
+
+    return this.sendBookingChangeTo(
+      { email: data.customer_email, name: data.customer_name },
+      '🎟️ Book With Your Package Credits | NAB Consultancy',
+      this.generateCreditLinkHTML(data)
+    );
+  }
+
+  // ==================== REFUND EMAILS ====================
+
+  /**
+   * Send CUSTOMER refund email
+   * @param {object} bookingData - Appointment data
+   * @param {object} refundData - { refund_id, amount, status, reason }
+   */
+  async sendRefundEmail(bookingData, refundData) {
+    this.initialize();
+
+    try {
+      if (!this.apiKey) throw new Error('BREVO_API_KEY is not configured');
+
+      const emailContent = this.generateCustomerRefundHTML({ ...bookingData, ...refundData });
+
+      const payload = {
+        sender: {
+          name: this.senderName,
+          email: this.senderEmail,
+        },
+        to: [
+          {
+            email: bookingData.customer_email,
+            name: bookingData.customer_name,
+          },
+        ],
+        subject: `💸 Refund Initiated - ${bookingData.reference_id} | NAB Consultancy`,
+        htmlContent: emailContent,
+      };
+
+      const response = await axios.post(this.apiUrl, payload, {
+        headers: {
+          'api-key': this.apiKey,
+          'Content-Type': 'application/json',
+        },
+        timeout: 10000,
+      });
+
+      return { success: true, messageId: response.data.messageId };
+
+    } catch (error) {
+      console.error('❌ Refund email error:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   // ==================== HTML TEMPLATES ====================
 
   /**
    * CUSTOMER Confirmation Email HTML
    */
   generateCustomerConfirmationHTML(data) {
-    const { customer_name, date, time_slot, duration, reference_id, meetLink, consult_note, amount, ca_name } = data;
+    const { customer_name, date, time_slot, duration, reference_id, meetLink, consult_note, amount, ca_name, manage_link, service_name, required_documents = [], invoice_number, balance_due } = data;
 
     return `
 <!DOCTYPE html>
@@ -439,6 +637,12 @@ class BrevoEmailService {
           <div class="detail-label">Reference ID:</div>
           <div class="detail-value"><strong>${reference_id}</strong></div>
         </div>
+        ${service_name ? `
+        <div class="detail-row">
+          <div class="detail-label">Service:</div>
+          <div class="detail-value">${service_name}</div>
+        </div>
+        ` : ''}
         <div class="detail-row">
           <div class="detail-label">Date:</div>
           <div class="detail-value">${new Date(date).toLocaleDateString('en-IN', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</div>
@@ -463,6 +667,18 @@ class BrevoEmailService {
           <div class="detail-value"><strong>₹${amount}</strong></div>
         </div>
         ` : ''}
+        ${balance_due > 0 ? `
+        <div class="detail-row">
+          <div class="detail-label">Balance Due:</div>
+          <div class="detail-value"><strong>₹${balance_due}</strong> (payable at the office)</div>
+        </div>
+        ` : ''}
+        ${invoice_number ? `
+        <div class="detail-row">
+          <div class="detail-label">Invoice No:</div>
+          <div class="detail-value">${invoice_number}</div>
+        </div>
+        ` : ''}
       </div>
 
       ${meetLink ? `
@@ -473,6 +689,15 @@ class BrevoEmailService {
       </div>
       ` : ''}
 
+      ${required_documents.length ? `
+      <div style="margin-bottom: 30px;">
+        <div class="section-title">📎 Documents to Keep Ready</div>
+        <ul style="color: #4b5563; line-height: 1.8; padding-left: 20px;">
+          ${required_documents.map((doc) => `<li>${doc}</li>`).join('')}
+        </ul>
+      </div>
+      ` : ''}
+
       ${consult_note ? `
       <div style="margin-bottom: 30px;">
         <div class="section-title">📝 Your Notes</div>
@@ -488,6 +713,12 @@ class BrevoEmailService {
           <li>Keep your reference ID handy for any future correspondence</li>
         </ul>
       </div>
+
+      ${manage_link ? `
+      <div style="text-align: center; margin: 20px 0;">
+        <p style="color: #6b7280; font-size: 14px;">Need to reschedule or cancel? <a href="${manage_link}">Manage your booking</a></p>
+      </div>
+      ` : ''}
     </div>
 
     <div class="footer">
@@ -505,7 +736,7 @@ class BrevoEmailService {
    * CA Confirmation Email HTML
    */
   generateCAConfirmationHTML(data) {
-    const { customer_name, customer_email, customer_phone, date, time_slot, duration, reference_id, meetLink, consult_note, ca_name } = data;
+    const { customer_name, customer_email, customer_phone, date, time_slot, duration, reference_id, meetLink, consult_note, ca_name, ca_outcome_link, service_name, required_documents = [] } = data;
 
     return `
 <!DOCTYPE html>
@@ -542,6 +773,12 @@ class BrevoEmailService {
           <div class="detail-label">Reference ID:</div>
           <div class="detail-value"><strong>${reference_id}</strong></div>
         </div>
+        ${service_name ? `
+        <div class="detail-row">
+          <div class="detail-label">Service:</div>
+          <div class="detail-value">${service_name}</div>
+        </div>
+        ` : ''}
         <div class="detail-row">
           <div class="detail-label">Date:</div>
           <div class="detail-value">${new Date(date).toLocaleDateString('en-IN', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</div>
@@ -578,12 +815,23 @@ class BrevoEmailService {
         ` : ''}
       </div>
 
+      ${required_documents.length ? `
+      <div style="margin-bottom: 30px;">
+        <div class="section-title">📎 Documents Requested from Client</div>
+        <div class="detail-value">${required_documents.join(', ')}</div>
+      </div>
+      ` : ''}
+
       ${meetLink ? `
       <div style="text-align: center; margin: 30px 0;">
         <div class="section-title">🎥 Meeting Link</div>
         <a href="${meetLink}" class="meet-button">Join Google Meet</a>
       </div>
       ` : ''}
+
+      ${ca_outcome_link ? `
+      <p style="text-align: center; color: #6b7280; font-size: 14px;">After the session, <a href="${ca_outcome_link}">mark it as completed or no-show</a>.</p>
+      ` : ''}
     </div>
 
     <div class="footer">
@@ -599,7 +847,7 @@ class BrevoEmailService {
    * ADMIN Notification Email HTML
    */
   generateAdminNotificationHTML(data) {
-    const { customer_name, customer_email, customer_phone, date, time_slot, duration, reference_id, amount, ca_name } = data;
+    const { customer_name, customer_email, customer_phone, date, time_slot, duration, reference_id, amount, ca_name, service_name, balance_due } = data;
 
     return `
 <!DOCTYPE html>
@@ -633,6 +881,12 @@ class BrevoEmailService {
           <div class="detail-label">Reference ID:</div>
           <div class="detail-value"><strong>${reference_id}</strong></div>
         </div>
+        ${service_name ? `
+        <div class="detail-row">
+          <div class="detail-label">Service:</div>
+          <div class="detail-value">${service_name}</div>
+        </div>
+        ` : ''}
         <div class="detail-row">
           <div class="detail-label">Date:</div>
           <div class="detail-value">${new Date(date).toLocaleDateString('en-IN', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</div>
@@ -657,6 +911,12 @@ class BrevoEmailService {
           <div class="detail-value"><strong>₹${amount}</strong></div>
         </div>
         ` : ''}
+        ${balance_due > 0 ? `
+        <div class="detail-row">
+          <div class="detail-label">Balance Due:</div>
+          <div class="detail-value"><strong>₹${balance_due}</strong></div>
+        </div>
+        ` : ''}
       </div>
 
       <div style="margin-bottom: 30px;">
@@ -848,6 +1108,337 @@ class BrevoEmailService {
     ${ca_name ? `<div class="detail"><strong>CA:</strong> ${ca_name}</div>` : ''}
   </div>
 </body>
+</html>
+    `;
+  }
+
+  /**
+   * Booking Change Email HTML (reschedule / cancellation)
+   * @param {string} audience - 'customer', 'ca' or 'admin'
+   */
+  generateBookingChangeHTML(data, audience) {
+    const { type, customer_name, ca_name, date, time_slot, previous_date, previous_time_slot, reference_id, meet_link, manage_link, refund_amount, cancelled_by } = data;
+    const isReschedule = type === 'rescheduled';
+    const formatDay = (day) => new Date(day).toLocaleDateString('en-IN', { weekday: 'long', month: 'long', day: 'numeric' });
+    const greeting = audience === 'customer' ? customer_name : (audience === 'ca' ? ca_name : 'Admin');
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f5f5f5; padding: 20px; }
+    .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+    .header { background: linear-gradient(135deg, ${isReschedule ? '#f59e0b 0%, #d97706' : '#ef4444 0%, #dc2626'} 100%); color: white; padding: 40px 30px; text-align: center; }
+    .content { padding: 40px 30px; }
+    .detail { padding: 10px 0; border-bottom: 1px solid #e5e7eb; }
+    .old { color: #9ca3af; text-decoration: line-through; }
+    .button { display: inline-block; background-color: #10b981; color: white; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-weight: 600; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>${isReschedule ? '📅 Appointment Rescheduled' : '❌ Appointment Cancelled'}</h1>
+    </div>
+    <div class="content">
+      <p style="font-size: 16px; margin-bottom: 20px;">Dear ${greeting},</p>
+      <p style="font-size: 16px;">
+        ${isReschedule
+          ? `The consultation ${audience === 'customer' ? 'you booked' : `with ${customer_name}`} has been moved to a new time.`
+          : `The consultation ${audience === 'customer' ? 'you booked' : `with ${customer_name}`} has been cancelled${cancelled_by ? ` by the ${cancelled_by}` : ''}.`}
+      </p>
+
+      <div class="detail"><strong>Reference ID:</strong> ${reference_id}</div>
+      ${isReschedule ? `
+      <div class="detail"><strong>Previous:</strong> <span class="old">${formatDay(previous_date)}, ${previous_time_slot}</span></div>
+      <div class="detail"><strong>New:</strong> ${formatDay(date)}, ${time_slot}</div>
+      ` : `
+      <div class="detail"><strong>Appointment:</strong> ${formatDay(date)}, ${time_slot}</div>
+      ${audience !== 'ca' && refund_amount ? `<div class="detail"><strong>Refund:</strong> ₹${refund_amount}</div>` : ''}
+      `}
+
+      ${isReschedule && meet_link ? `
+      <div style="text-align: center;">
+        <a href="${meet_link}" class="button">Join Google Meet</a>
+      </div>
+      ` : ''}
+
+      ${audience === 'customer' && isReschedule && manage_link ? `
+      <p style="margin-top: 20px; font-size: 14px; color: #6b7280; text-align: center;">Need another change? <a href="${manage_link}">Manage your booking</a></p>
+      ` : ''}
+    </div>
+  </div>
+</body>
+</html>
+    `;
+  }
+
+  /**
+   * CUSTOMER Status Update Email HTML
+   */
+  generateStatusUpdateHTML(data) {
+    const { customer_name, date, time_slot, reference_id, ca_name, meet_link, status } = data;
+
+    const content = {
+      confirmed: {
+        color: '#10b981',
+        title: '✅ Appointment Confirmed',
+        message: `${ca_name || 'Your consultant'} has confirmed your consultation. See you there!`,
+      },
+      completed: {
+        color: '#3b82f6',
+        title: '🙏 Thank You',
+        message: 'Thank you for consulting with NAB Consultancy. We hope the session was helpful. Reply to this email if you need any follow-up.',
+      },
+      no_show: {
+        color: '#f59e0b',
+        title: '⚠️ We Missed You',
+        message: "We didn't see you at your scheduled consultation. Please book a new slot whenever you're ready.",
+      },
+    }[status] || { color: '#1f2937', title: 'Booking Update', message: `Your booking status is now ${status}.` };
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f5f5f5; padding: 20px; }
+    .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+    .header { background: ${content.color}; color: white; padding: 40px 30px; text-align: center; }
+    .content { padding: 40px 30px; }
+    .detail { padding: 10px 0; border-bottom: 1px solid #e5e7eb; }
+    .button { display: inline-block; background-color: #10b981; color: white; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-weight: 600; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>${content.title}</h1>
+    </div>
+    <div class="content">
+      <p style="font-size: 16px; margin-bottom: 20px;">Dear ${customer_name},</p>
+      <p style="font-size: 16px;">${content.message}</p>
+
+      <div class="detail"><strong>Reference ID:</strong> ${reference_id}</div>
+      <div class="detail"><strong>Appointment:</strong> ${new Date(date).toLocaleDateString('en-IN', { weekday: 'long', month: 'long', day: 'numeric' })}, ${time_slot}</div>
+
+      ${status === 'confirmed' && meet_link ? `
+      <div style="text-align: center;">
+        <a href="${meet_link}" class="button">Join Google Meet</a>
+      </div>
+      ` : ''}
+    </div>
+  </div>
+</body>
+</html>
+    `;
+  }
+
+  /**
+   * CUSTOMER Waitlist Offer Email HTML
+   */
+  generateWaitlistOfferHTML(data) {
+    const { customer_name, date, time_slot, duration, amount, reference_id, claim_link, offer_minutes, balance_due } = data;
+    const isPayLater = data.payment_mode === 'pay_later';
+    const price = data.total_amount ?? amount;
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f5f5f5; padding: 20px; }
+    .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+    .header { background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 40px 30px; text-align: center; }
+    .content { padding: 40px 30px; }
+    .highlight-box { background-color: #ecfdf5; border: 2px solid #6ee7b7; padding: 20px; border-radius: 8px; text-align: center; margin: 20px 0; }
+    .highlight-box h2 { color: #065f46; font-size: 24px; margin-bottom: 8px; }
+    .button { display: inline-block; background-color: #10b981; color: white; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-weight: 600; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🎉 A Slot Opened Up!</h1>
+      <p>We're holding it for you</p>
+    </div>
+    <div class="content">
+      <p style="font-size: 16px; margin-bottom: 20px;">Dear ${customer_name},</p>
+      <p style="font-size: 16px;">A slot matching your waitlist request is now available and reserved in your name.</p>
+
+      <div class="highlight-box">
+        <h2>${new Date(date).toLocaleDateString('en-IN', { weekday: 'long', month: 'long', day: 'numeric' })}</h2>
+        <p>${time_slot} · ${duration} minutes · ₹${price}</p>
+        ${balance_due > 0 ? `<p>${isPayLater ? 'Pay at the office' : `₹${amount} now, ₹${balance_due} at the office`}</p>` : ''}
+      </div>
+
+      ${claim_link ? `
+      <div style="text-align: center;">
+        <a href="${claim_link}" class="button">${isPayLater ? 'Confirm Booking' : 'Pay & Confirm Booking'}</a>
+      </div>
+      ` : ''}
+
+      <p style="font-size: 14px; color: #b45309; text-align: center;">The slot is held for ${offer_minutes} minutes. After that it goes to the next person on the waitlist.</p>
+      <p style="margin-top: 20px; font-size: 14px; color: #6b7280; text-align: center;">Reference ID: <strong>${reference_id}</strong></p>
+    </div>
+  </div>
+</body>
+</html>
+    `;
+  }
+
+  /**
+   * CUSTOMER Payment Request Email HTML
+   */
+  generatePaymentRequestHTML(data) {
+    const { customer_name, date, time_slot, duration, amount, reference_id, payment_link, link_expires_at, purpose } = data;
+    const isBalance = purpose === 'balance';
+    const expiresText = link_expires_at
+      ? new Date(link_expires_at).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' })
+      : null;
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f5f5f5; padding: 20px; }
+    .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+    .header { background: linear-gradient(135deg, #3b82f6 0%, #2563eb 100%); color: white; padding: 40px 30px; text-align: center; }
+    .content { padding: 40px 30px; }
+    .highlight-box { background-color: #eff6ff; border: 2px solid #93c5fd; padding: 20px; border-radius: 8px; text-align: center; margin: 20px 0; }
+    .highlight-box h2 { color: #1e40af; font-size: 24px; margin-bottom: 8px; }
+    .button { display: inline-block; background-color: #2563eb; color: white; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-weight: 600; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>💳 ${isBalance ? 'Payment Request' : 'Complete Your Booking'}</h1>
+      <p>${isBalance ? 'Balance for your consultation' : 'Your slot is reserved'}</p>
+    </div>
+    <div class="content">
+      <p style="font-size: 16px; margin-bottom: 20px;">Dear ${customer_name},</p>
+      <p style="font-size: 16px;">${isBalance
+        ? `Please pay the remaining ₹${amount} for your consultation online using the link below.`
+        : 'As discussed with our team, we have reserved this consultation for you. Please pay to confirm it.'}</p>
+
+      <div class="highlight-box">
+        <h2>${new Date(date).toLocaleDateString('en-IN', { weekday: 'long', month: 'long', day: 'numeric' })}</h2>
+        <p>${time_slot} · ${duration} minutes${isBalance ? '' : ` · ₹${amount}`}</p>
+      </div>
+
+      ${payment_link ? `
+      <div style="text-align: center;">
+        <a href="${payment_link}" class="button">${isBalance ? `Pay ₹${amount}` : 'Pay & Confirm Booking'}</a>
+      </div>
+      ` : ''}
+
+      ${expiresText ? `<p style="font-size: 14px; color: #b45309; text-align: center;">${isBalance
+        ? `This link is valid until ${expiresText}.`
+        : `The slot is held until ${expiresText}. After that it is released.`}</p>` : ''}
+      <p style="margin-top: 20px; font-size: 14px; color: #6b7280; text-align: center;">Reference ID: <strong>${reference_id}</strong></p>
+    </div>
+  </div>
+</body>
+</html>
+    `;
+  }
+
+  /**
+   * CUSTOMER Credit Booking Link Email HTML
+   */
+  generateCreditLinkHTML(data) {
+    const { customer_name, credit_balance, credit_link } = data;
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f5f5f5; padding: 20px; }
+    .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+    .header { background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 40px 30px; text-align: center; }
+    .content { padding: 40px 30px; }
+    .button { display: inline-block; background-color: #10b981; color: white; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-weight: 600; margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🎟️ Your Package Credits</h1>
+      <p>You have ${credit_balance} credit${credit_balance === 1 ? '' : 's'} left</p>
+    </div>
+    <div class="content">
+      <p style="font-size: 16px; margin-bottom: 20px;">${customer_name ? `Dear ${customer_name},` : 'Hello,'}</p>
+      <p style="font-size: 16px;">Use the button below to book a consultation with your package credits.</p>
+
+      ${credit_link ? `
+      <div style="text-align: center;">
+        <a href="${credit_link}" class="button">Book With Credits</a>
+      </div>
+      ` : ''}
+
+      <p style="font-size: 14px; color: #6b7280; text-align: center;">The link works for 24 hours. If you didn't ask for it, you can ignore this email.</p>
+    </div>
+  </div>
+</body>
+</html>
+    `;
+  }
+
+  /**
+   * CUSTOMER Refund Email HTML
+   */
+  generateCustomerRefundHTML(data) {
+    const { customer_name, date, time_slot, reference_id, amount, refund_id, reason } = data;
+    const paidAmount = data.paid_amount || 0;
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f5f5f5; padding: 20px; }
+    .container { max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+    .header { background: linear-gradient(135deg, #3b82f6 0%, #2563eb 100%); color: white; padding: 40px 30px; text-align: center; }
+    .content { padding: 40px 30px; }
+    .detail { padding: 10px 0; border-bottom: 1px solid #e5e7eb; }
+    .amount-box { background-color: #eff6ff; border: 2px solid #93c5fd; padding: 20px; border-radius: 8px; text-align: center; margin: 20px 0; }
+    .amount-box h2 { color: #1e40af; font-size: 28px; margin: 0; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>💸 Refund Initiated</h1>
+      <p>Your refund is on its way</p>
+    </div>
+    <div class="content">
+      <p style="font-size: 16px; margin-bottom: 20px;">Dear ${customer_name},</p>
+      <p style="font-size: 16px;">We have initiated a refund for your consultation booking.</p>
+
+      <div class="amount-box">
+        <h2>₹${amount}</h2>
+        ${paidAmount ? `<p style="color: #1e3a8a;">of ₹${paidAmount} paid</p>` : ''}
+      </div>
+
+      <div class="detail"><strong>Reference ID:</strong> ${reference_id}</div>
+      <div class="detail"><strong>Appointment:</strong> ${new Date(date).toLocaleDateString('en-IN', { weekday: 'long', month: 'long', day: 'numeric' })}, ${time_slot}</div>
+      ${refund_id ? `<div class="detail"><strong>Refund ID:</strong> ${refund_id}</div>` : ''}
+      ${reason ? `<div class="detail"><strong>Reason:</strong> ${reason}</div>` : ''}
+
+      <p style="margin-top: 20px; font-size: 14px; color: #6b7280;">Refunds usually reach your account within 5-7 working days, depending on your bank.</p>
+    </div>
+  </div>
+</body>
 </html>
     `;
   }
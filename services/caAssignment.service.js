@@ -0,0 +1,240 @@
+// Backend/services/caAssignment.service.js - AUTO-ASSIGNMENT STRATEGIES
+import admin from 'firebase-admin';
+import { isCAWorking } from './caAvailability.service.js';
+import { getDayBookings, isRangeBlocked } from './slotAvailability.service.js';
+import { getSchedulingRules, isAtDailyCap } from './schedulingRules.service.js';
+import { isCAEligible } from './serviceCatalog.service.js';
+import { timeToMinutes } from '../utils/helpers.js';
+
+// Used when settings.ca_assignment_strategy is missing or invalid
+const DEFAULT_STRATEGIES = ['least_booked'];
+
+// Statuses that count as real bookings for a CA's workload
+const BOOKED_STATUSES = ['pending', 'confirmed', 'completed'];
+
+/**
+ * Get the Monday-Sunday week around a date
+ * @returns {{ start: string, end: string }} - YYYY-MM-DD
+ */
+const getWeekRange = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  const offset = (day.getUTCDay() + 6) % 7; // Days since Monday
+  const start = new Date(day.getTime() - offset * 24 * 60 * 60 * 1000);
+  const end = new Date(start.getTime() + 6 * 24 * 60 * 60 * 1000);
+
+  return {
+    start: start.toISOString().split('T')[0],
+    end: end.toISOString().split('T')[0],
+  };
+};
+
+/**
+ * Get the round-robin state document
+ */
+const getAssignmentRef = (businessRef) => {
+  return businessRef.collection('system').doc('assignment');
+};
+
+/**
+ * Remember the auto-assigned CA for round robin
+ * Written in the transaction that reserves the slot, so a failed reservation
+ * doesn't move the rotation on.
+ * @param {FirebaseFirestore.Transaction} transaction - Firestore transaction
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} caId - Assigned CA
+ */
+export const recordAssignment = (transaction, businessRef, caId) => {
+  transaction.set(getAssignmentRef(businessRef), {
+    last_assigned_ca: caId,
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+};
+
+// ==================== STRATEGIES ====================
+// Each strategy gets the free CAs (sorted by ID) and the booking context and
+// returns one of them, or null to let the next strategy decide.
+
+/**
+ * The CA after the one that was assigned last, wrapping around
+ */
+const roundRobin = async (candidates, { businessRef }) => {
+  const stateDoc = await getAssignmentRef(businessRef).get();
+  const lastCA = stateDoc.exists ? stateDoc.data().last_assigned_ca : null;
+
+  return candidates.find((ca) => !lastCA || ca.id > lastCA) || candidates[0];
+};
+
+/**
+ * The CA with the fewest bookings in the appointment's week
+ */
+const leastBooked = async (candidates, { businessRef, date }) => {
+  const week = getWeekRange(date);
+  const snapshot = await businessRef
+    .collection('appointments')
+    .where('date', '>=', week.start)
+    .where('date', '<=', week.end)
+    .get();
+
+  const counts = {};
+  snapshot.forEach((doc) => {
+    const data = doc.data();
+    if (data.assigned_ca && BOOKED_STATUSES.includes(data.status)) {
+      counts[data.assigned_ca] = (counts[data.assigned_ca] || 0) + 1;
+    }
+  });
+
+  return candidates.reduce((best, ca) =>
+    (counts[ca.id] || 0) < (counts[best.id] || 0) ? ca : best
+  );
+};
+
+/**
+ * The CA whose specialization best matches the consult note / service name
+ */
+const specializationMatch = async (candidates, { consult_note = '', service = null }) => {
+  const text = `${consult_note || ''} ${service?.name || ''}`.toLowerCase();
+  if (!text.trim()) return null;
+
+  let best = null;
+  let bestScore = 0;
+
+  for (const ca of candidates) {
+    const terms = String(ca.specialization || '')
+      .toLowerCase()
+      .split(/,|\/|&|\band\b/)
+      .map((term) => term.trim())
+      .filter((term) => term.length >= 3);
+
+    const score = terms.filter((term) => text.includes(term)).length;
+
+    if (score > bestScore) {
+      best = ca;
+      bestScore = score;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * The CA who saw this customer most recently, if they are free
+ */
+const previousCA = async (candidates, { businessRef, customer_email }) => {
+  if (!customer_email) return null;
+
+  const snapshot = await businessRef
+    .collection('appointments')
+    .where('customer_email', '==', customer_email)
+    .get();
+
+  const previous = snapshot.docs
+    .map((doc) => doc.data())
+    .filter((data) => data.assigned_ca && BOOKED_STATUSES.includes(data.status))
+    .sort((a, b) => `${b.date} ${b.time_slot}`.localeCompare(`${a.date} ${a.time_slot}`));
+
+  for (const appointment of previous) {
+    const ca = candidates.find((candidate) => candidate.id === appointment.assigned_ca);
+    if (ca) return ca;
+  }
+
+  return null;
+};
+
+export const ASSIGNMENT_STRATEGIES = {
+  round_robin: roundRobin,
+  least_booked: leastBooked,
+  specialization: specializationMatch,
+  previous_ca: previousCA,
+};
+
+/**
+ * Get the configured strategies in order
+ * settings.ca_assignment_strategy is a strategy name or a list tried in order
+ * (e.g. ['previous_ca', 'specialization', 'least_booked']).
+ */
+export const getAssignmentStrategies = (settings = {}) => {
+  const configured = [].concat(settings.ca_assignment_strategy || [])
+    .filter((name) => ASSIGNMENT_STRATEGIES[name]);
+
+  return configured.length > 0 ? configured : DEFAULT_STRATEGIES;
+};
+
+/**
+ * Get the active CAs that can take a slot right now
+ * Service eligibility, working hours, leave, blocked time, existing bookings,
+ * buffers and daily caps.
+ * @param {object|null} [service] - Service being booked
+ * @returns {Promise<Array>} - CA objects sorted by ID
+ */
+export const getFreeCAs = async (businessRef, settings, date, timeSlot, duration, service = null) => {
+  const rules = getSchedulingRules(settings);
+  const { booked, held } = await getDayBookings(businessRef, date);
+  const occupied = [...booked, ...held];
+  const start = timeToMinutes(timeSlot);
+  const end = start + duration;
+
+  const casSnapshot = await businessRef
+    .collection('CA')
+    .where('status', '==', 'active')
+    .get();
+
+  return casSnapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((ca) =>
+      isCAEligible(service, ca.id) &&
+      isCAWorking(ca, date, start, end, rules) &&
+      !isRangeBlocked(occupied, ca.id, start, end, rules) &&
+      !isAtDailyCap(occupied, ca.id, rules)
+    )
+    .sort((a, b) => a.id.localeCompare(b.id));
+};
+
+/**
+ * Pick a CA for a booking where the customer didn't choose one
+ * The final check happens when the slot is reserved, so a CA taken in the
+ * meantime makes the reservation fail instead of double-booking. reserveSlot
+ * also records the pick for round robin.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {object} settings - System settings
+ * @param {object} booking - { date, time_slot, duration, customer_email, consult_note, service (object) }
+ * @returns {Promise<{ ca: object, strategy: string } | null>} - null if no CA is free
+ */
+export const autoAssignCA = async (businessRef, settings, booking) => {
+  const candidates = await getFreeCAs(
+    businessRef,
+    settings,
+    booking.date,
+    booking.time_slot,
+    booking.duration,
+    booking.service
+  );
+
+  if (candidates.length === 0) {
+    console.log(`⚠️  No free CA for ${booking.date} ${booking.time_slot}`);
+    return null;
+  }
+
+  const context = { businessRef, ...booking };
+  let ca = null;
+  let strategy = 'first_available';
+
+  for (const name of getAssignmentStrategies(settings)) {
+    ca = await ASSIGNMENT_STRATEGIES[name](candidates, context);
+    if (ca) {
+      strategy = name;
+      break;
+    }
+  }
+
+  ca = ca || candidates[0];
+
+  return {
+    ca: {
+      id: ca.id,
+      name: ca.name,
+      email: ca.email,
+      specialization: ca.specialization,
+    },
+    strategy,
+  };
+};
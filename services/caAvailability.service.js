@@ -1,5 +1,7 @@
 // Backend/services/caAvailability.service.js - PRODUCTION READY
 import admin from 'firebase-admin';
+import { timeToMinutes, getDayOfWeek } from '../utils/helpers.js';
+import { getSchedulingRules, NO_BUFFERS } from './schedulingRules.service.js';
 
 const getDb = () => admin.firestore();
 
@@ -10,6 +12,116 @@ const getBusinessRef = (businessId) => {
   return getDb().collection('businesses').doc(businessId);
 };
 
+const loadSchedulingRules = async (businessRef) => {
+  const settingsDoc = await businessRef.collection('system').doc('settings').get();
+  return getSchedulingRules(settingsDoc.exists ? settingsDoc.data() : {});
+};
+
+/**
+ * Get the CA's blocked time on a date
+ * One-off unavailable_slots for that date plus recurring_blocks for that weekday
+ * @param {object} caData - CA document data
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Array<{ date: string, start_time: string, end_time: string, reason: string, type: string }>}
+ */
+export const getCABlocksForDate = (caData, date) => {
+  const day = getDayOfWeek(date);
+
+  const oneOff = (caData.unavailable_slots || [])
+    .filter((slot) => slot.date === date)
+    .map((slot) => ({ ...slot, reason: slot.reason || '', type: 'unavailable' }));
+
+  const recurring = (caData.recurring_blocks || [])
+    .filter((block) => block.day === day)
+    .map((block) => ({
+      id: block.id,
+      date,
+      start_time: block.start_time,
+      end_time: block.end_time,
+      reason: block.reason || '',
+      type: 'recurring',
+    }));
+
+  return [...oneOff, ...recurring];
+};
+
+/**
+ * Resolve whether a CA works on a date, and their hours if they have their own
+ * Leave wins over everything. A CA without a weekly_schedule follows the business hours.
+ * @param {object} caData - CA document data
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {{ available: boolean, reason?: string, hours?: { start: string, end: string } | null }}
+ */
+export const getCADaySchedule = (caData, date) => {
+  const leave = (caData.leave || []).find(
+    (entry) => date >= entry.start_date && date <= entry.end_date
+  );
+
+  if (leave) {
+    return { available: false, reason: leave.reason || 'On leave' };
+  }
+
+  const daySchedule = caData.weekly_schedule?.[getDayOfWeek(date)];
+
+  if (!daySchedule) {
+    return { available: true, hours: null };
+  }
+
+  if (!daySchedule.enabled) {
+    return { available: false, reason: 'Not working on this day' };
+  }
+
+  return { available: true, hours: { start: daySchedule.start, end: daySchedule.end } };
+};
+
+/**
+ * Check if a time range overlaps any of the CA's blocked time on a date
+ * The range is widened by the appointment buffers, so a CA also gets a break
+ * before and after their blocked time.
+ * @param {object} caData - CA document data
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} startMinutes - Range start in minutes since midnight
+ * @param {number} endMinutes - Range end in minutes since midnight
+ * @param {object} [rules] - Scheduling rules (buffers)
+ * @returns {boolean} - True if the CA is marked unavailable during the range
+ */
+export const hasUnavailableOverlap = (caData, date, startMinutes, endMinutes, rules = NO_BUFFERS) => {
+  const paddedStart = startMinutes - (rules.buffer_before_minutes || 0);
+  const paddedEnd = endMinutes + (rules.buffer_after_minutes || 0);
+
+  return getCABlocksForDate(caData, date).some((block) => {
+    const blockStartMinutes = timeToMinutes(block.start_time);
+    const blockEndMinutes = timeToMinutes(block.end_time);
+
+    return paddedStart < blockEndMinutes && paddedEnd > blockStartMinutes;
+  });
+};
+
+/**
+ * Check a time range against the CA's own calendar
+ * Leave, personal working hours, recurring blocks and one-off unavailable slots.
+ * Bookings are checked separately (isRangeBlocked in slotAvailability.service.js).
+ * @param {object} caData - CA document data
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} startMinutes - Range start in minutes since midnight
+ * @param {number} endMinutes - Range end in minutes since midnight
+ * @param {object} [rules] - Scheduling rules (buffers)
+ * @returns {boolean} - True if the CA can take the range
+ */
+export const isCAWorking = (caData, date, startMinutes, endMinutes, rules = NO_BUFFERS) => {
+  const day = getCADaySchedule(caData, date);
+
+  if (!day.available) {
+    return false;
+  }
+
+  if (day.hours && (startMinutes < timeToMinutes(day.hours.start) || endMinutes > timeToMinutes(day.hours.end))) {
+    return false;
+  }
+
+  return !hasUnavailableOverlap(caData, date, startMinutes, endMinutes, rules);
+};
+
 /**
  * Check if a CA is available for a specific date and time
  * @param {string} businessId - Business ID
@@ -17,9 +129,10 @@ const getBusinessRef = (businessId) => {
  * @param {string} date - Date (YYYY-MM-DD)
  * @param {string} timeSlot - Time slot (HH:MM)
  * @param {number} duration - Duration in minutes
+ * @param {object} [rules] - Scheduling rules (loaded from settings if omitted)
  * @returns {Promise<boolean>} - True if available, false if unavailable
  */
-export const isCAAvailable = async (businessId, caId, date, timeSlot, duration) => {
+export const isCAAvailable = async (businessId, caId, date, timeSlot, duration, rules = null) => {
   try {
     if (!caId) {
       return true; // If no CA assigned, consider available
@@ -34,39 +147,17 @@ export const isCAAvailable = async (businessId, caId, date, timeSlot, duration)
     }
 
     const caData = caDoc.data();
-    const unavailableSlots = caData.unavailable_slots || [];
 
-    if (unavailableSlots.length === 0) {
-      return true; // No unavailable slots, CA is available
+    if (!rules) {
+      rules = await loadSchedulingRules(businessRef);
     }
 
     // Parse appointment time
-    const [appointmentHour, appointmentMinute] = timeSlot.split(':').map(Number);
-    const appointmentStartMinutes = appointmentHour * 60 + appointmentMinute;
+    const appointmentStartMinutes = timeToMinutes(timeSlot);
     const appointmentEndMinutes = appointmentStartMinutes + duration;
 
-    // Check if appointment overlaps with any unavailable slot on this date
-    for (const slot of unavailableSlots) {
-      if (slot.date !== date) {
-        continue; // Different date, skip
-      }
-
-      // Parse unavailable slot times
-      const [slotStartHour, slotStartMinute] = slot.start_time.split(':').map(Number);
-      const [slotEndHour, slotEndMinute] = slot.end_time.split(':').map(Number);
-      
-      const slotStartMinutes = slotStartHour * 60 + slotStartMinute;
-      const slotEndMinutes = slotEndHour * 60 + slotEndMinute;
-
-      // Check for overlap
-      const hasOverlap = appointmentStartMinutes < slotEndMinutes && appointmentEndMinutes > slotStartMinutes;
-
-      if (hasOverlap) {
-        return false;
-      }
-    }
-
-    return true; // No conflicts found, CA is available
+    // Leave, personal hours and blocked time
+    return isCAWorking(caData, date, appointmentStartMinutes, appointmentEndMinutes, rules);
 
   } catch (error) {
     console.error('❌ Error checking CA availability:', error);
@@ -86,12 +177,13 @@ export const getAvailableCAs = async (businessId, date, timeSlot, duration) => {
   try {
     const businessRef = getBusinessRef(businessId);
     const casSnapshot = await businessRef.collection('CA').where('status', '==', 'active').get();
+    const rules = await loadSchedulingRules(businessRef);
 
     const availableCAs = [];
 
     for (const doc of casSnapshot.docs) {
       const caId = doc.id;
-      const isAvailable = await isCAAvailable(businessId, caId, date, timeSlot, duration);
+      const isAvailable = await isCAAvailable(businessId, caId, date, timeSlot, duration, rules);
 
       if (isAvailable) {
         const caData = doc.data();
@@ -111,33 +203,4 @@ export const getAvailableCAs = async (businessId, date, timeSlot, duration) => {
     console.error('❌ Error getting available CAs:', error);
     return [];
   }
-};
-
-/**
- * Auto-assign an available CA to an appointment
- * @param {string} businessId - Business ID
- * @param {string} date - Date (YYYY-MM-DD)
- * @param {string} timeSlot - Time slot (HH:MM)
- * @param {number} duration - Duration in minutes
- * @returns {Promise<object|null>} - Assigned CA object or null
- */
-export const autoAssignCA = async (businessId, date, timeSlot, duration) => {
-  try {
-    const availableCAs = await getAvailableCAs(businessId, date, timeSlot, duration);
-
-    if (availableCAs.length === 0) {
-      console.error('❌ No available CAs for auto-assignment');
-      return null;
-    }
-
-    // Simple strategy: assign to the first available CA
-    // You can implement more complex logic here (e.g., load balancing, specialization matching)
-    const assignedCA = availableCAs[0];
-    
-    return assignedCA;
-
-  } catch (error) {
-    console.error('❌ Error auto-assigning CA:', error);
-    return null;
-  }
 };
\ No newline at end of file
@@ -0,0 +1,148 @@
+// Backend/services/cancellation.service.js - CANCEL APPOINTMENT + POLICY REFUND
+import admin from 'firebase-admin';
+import googleMeetService from './googleMeet.service.js';
+import brevoService from './brevo.service.js';
+import { attachCADetails } from './bookingConfirmation.service.js';
+import { releaseHold } from './slotHold.service.js';
+import { applyTransition, getTransitionError } from './appointmentStatus.service.js';
+import { calculatePolicyRefund, getRefundableAmount, issueRefund } from './refund.service.js';
+import { notifySlotFreed } from './waitlist.service.js';
+import { restoreCredit } from './credit.service.js';
+import { isPaymentSecured } from './paymentPlan.service.js';
+
+const getDb = () => admin.firestore();
+
+/**
+ * Cancel an appointment and refund it according to the cancellation policy
+ * The status change runs in a transaction, so a double cancel can't refund twice.
+ * Customer, CA and admin are notified for paid bookings.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {object} options
+ * @param {string} [options.cancelled_by] - 'customer' or 'admin'
+ * @param {string} [options.reason] - Cancellation reason
+ * @param {'policy'|'full'|'none'} [options.refund] - How much to refund (default: policy)
+ * @returns {Promise<{ success: boolean, error?: string, notFound?: boolean, refund?: object }>}
+ */
+export const cancelAppointment = async (businessRef, appointmentId, { cancelled_by = 'customer', reason = '', refund = 'policy' } = {}) => {
+  const appointmentRef = businessRef.collection('appointments').doc(appointmentId);
+  const settingsDoc = await businessRef.collection('system').doc('settings').get();
+  const settings = settingsDoc.exists ? settingsDoc.data() : {};
+
+  const result = await getDb().runTransaction(async (transaction) => {
+    const doc = await transaction.get(appointmentRef);
+
+    if (!doc.exists) {
+      return { success: false, notFound: true, error: 'Booking not found' };
+    }
+
+    const appointment = doc.data();
+    const transitionError = getTransitionError(appointment.status, 'cancelled');
+
+    if (transitionError) {
+      return { success: false, error: transitionError };
+    }
+
+    let refundPlan = { rule: 'none', percent: 0, amount: 0 };
+    if (isPaymentSecured(appointment)) {
+      if (refund === 'policy') {
+        refundPlan = calculatePolicyRefund(appointment, settings);
+      } else if (refund === 'full') {
+        refundPlan = { rule: 'full', percent: 100, amount: getRefundableAmount(appointment) };
+      }
+    }
+
+    applyTransition(transaction, appointmentRef, appointment, 'cancelled', {
+      actor: cancelled_by,
+      reason,
+      fields: {
+        cancelled_at: admin.firestore.FieldValue.serverTimestamp(),
+        cancelled_by,
+        cancellation_reason: reason,
+        cancellation_refund_rule: refundPlan.rule,
+      },
+    });
+
+    return { success: true, appointment, refundPlan };
+  });
+
+  if (!result.success) {
+    return result;
+  }
+
+  const { appointment, refundPlan } = result;
+
+  await releaseHold(businessRef, appointmentId, 'cancelled');
+  await notifySlotFreed(businessRef, appointment.date);
+
+  // Cancel Google Meet event
+  if (appointment.meet_event_id) {
+    try {
+      const meetResult = await googleMeetService.cancelMeetLink(appointment.meet_event_id);
+
+      if (!meetResult.success) {
+        console.error('❌ Failed to cancel Meet event:', meetResult.error);
+      }
+    } catch (error) {
+      console.error('❌ Error cancelling Meet event:', error);
+    }
+  }
+
+  // Cancellation emails (Customer + CA + Admin)
+  if (isPaymentSecured(appointment)) {
+    try {
+      const bookingData = await attachCADetails(businessRef, { reference_id: appointmentId, ...appointment });
+      const emailResult = await brevoService.sendBookingChangeEmail(bookingData, {
+        type: 'cancelled',
+        cancelled_by,
+        refund_amount: refundPlan.amount,
+      });
+
+      if (!emailResult.success) {
+        console.error('❌ Failed to send cancellation emails:', emailResult.error);
+      }
+    } catch (emailError) {
+      console.error('❌ Brevo cancellation email error:', emailError.message);
+    }
+  }
+
+  // Bookings paid with a package credit get the credit back instead of money
+  if (appointment.payment_method === 'credit') {
+    const creditRestored = refundPlan.rule === 'full' &&
+      await restoreCredit(businessRef, appointmentId, appointment, {
+        reason: reason || 'Appointment cancelled',
+        actor: cancelled_by,
+      });
+
+    return { success: true, refund: { rule: refundPlan.rule, amount: 0, credit_restored: creditRestored } };
+  }
+
+  if (refundPlan.amount <= 0) {
+    return { success: true, refund: { rule: refundPlan.rule, amount: 0 } };
+  }
+
+  const refundResult = await issueRefund(businessRef, appointmentId, {
+    amount: refundPlan.amount,
+    reason: reason || 'Appointment cancelled',
+    initiated_by: cancelled_by,
+  });
+
+  if (!refundResult.success) {
+    // Booking stays cancelled; the admin can retry the refund manually
+    console.error(`❌ Refund failed for cancelled appointment ${appointmentId}:`, refundResult.error);
+    await appointmentRef.update({
+      refund_status: 'failed',
+      refund_error: refundResult.error,
+    });
+  }
+
+  return {
+    success: true,
+    refund: {
+      rule: refundPlan.rule,
+      percent: refundPlan.percent,
+      amount: refundPlan.amount,
+      ...(refundResult.success ? refundResult.refund : { status: 'failed', error: refundResult.error }),
+    },
+  };
+};
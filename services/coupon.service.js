@@ -0,0 +1,304 @@
+// Backend/services/coupon.service.js - COUPON & DISCOUNT CODES
+import admin from 'firebase-admin';
+import { flagForReview } from './paymentVerification.service.js';
+import { getCurrentDateTime, isValidDate } from '../utils/helpers.js';
+
+// Razorpay can't take a zero amount, so a discount always leaves this much to pay
+export const MIN_PAYABLE_AMOUNT = 1;
+
+// Payments that count as a previous booking for first_booking_only coupons
+const PAID_STATUSES = ['pending', 'confirmed', 'completed', 'no_show'];
+
+/**
+ * Coupons are stored at businesses/{businessId}/coupons/{CODE}
+ * Each paid booking that used one adds coupons/{CODE}/redemptions/{appointmentId}.
+ */
+const getCouponsRef = (businessRef) => businessRef.collection('coupons');
+
+/**
+ * Codes are case-insensitive and stored uppercase
+ */
+export const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Validate coupon fields (partial for updates)
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const getCouponError = (data, { partial = false } = {}) => {
+  if (!partial && !/^[A-Z0-9_-]{3,30}$/.test(normalizeCode(data.code))) {
+    return 'Code must be 3-30 letters, digits, - or _';
+  }
+
+  if (!partial || data.discount_type !== undefined) {
+    if (!['percentage', 'flat'].includes(data.discount_type)) {
+      return "discount_type must be 'percentage' or 'flat'";
+    }
+  }
+
+  if (!partial || data.discount_value !== undefined) {
+    const value = Number(data.discount_value);
+    if (!(value > 0) || (data.discount_type === 'percentage' && value > 100)) {
+      return 'discount_value must be a positive amount (at most 100 for percentage)';
+    }
+  }
+
+  for (const field of ['valid_from', 'valid_until']) {
+    if (data[field] && !isValidDate(data[field])) {
+      return `${field} must be a date (YYYY-MM-DD)`;
+    }
+  }
+
+  if (data.valid_from && data.valid_until && data.valid_from > data.valid_until) {
+    return 'valid_from must be before valid_until';
+  }
+
+  for (const field of ['service_ids', 'durations']) {
+    if (data[field] !== undefined && !Array.isArray(data[field])) {
+      return `${field} must be a list`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Keep only the fields a coupon document may have
+ */
+const toCouponFields = (data) => {
+  const fields = {};
+
+  if (data.description !== undefined) fields.description = data.description || '';
+  if (data.discount_type !== undefined) fields.discount_type = data.discount_type;
+  if (data.discount_value !== undefined) fields.discount_value = Number(data.discount_value);
+  if (data.max_discount !== undefined) fields.max_discount = Number(data.max_discount) || 0;
+  if (data.valid_from !== undefined) fields.valid_from = data.valid_from || null;
+  if (data.valid_until !== undefined) fields.valid_until = data.valid_until || null;
+  if (data.max_uses !== undefined) fields.max_uses = parseInt(data.max_uses) || 0;
+  if (data.max_uses_per_customer !== undefined) {
+    fields.max_uses_per_customer = parseInt(data.max_uses_per_customer) || 0;
+  }
+  if (data.service_ids !== undefined) fields.service_ids = data.service_ids;
+  if (data.durations !== undefined) fields.durations = data.durations.map((duration) => parseInt(duration));
+  if (data.first_booking_only !== undefined) fields.first_booking_only = Boolean(data.first_booking_only);
+  if (data.status !== undefined) fields.status = data.status === 'inactive' ? 'inactive' : 'active';
+
+  return fields;
+};
+
+export const getCoupons = async (businessRef) => {
+  const snapshot = await getCouponsRef(businessRef).get();
+  return snapshot.docs.map((doc) => ({ code: doc.id, ...doc.data() }));
+};
+
+/**
+ * @returns {Promise<object|null>} - null if it doesn't exist
+ */
+export const getCoupon = async (businessRef, code) => {
+  const doc = await getCouponsRef(businessRef).doc(normalizeCode(code)).get();
+  return doc.exists ? { code: doc.id, ...doc.data() } : null;
+};
+
+/**
+ * @returns {Promise<object|null>} - null if the code is already taken
+ */
+export const createCoupon = async (businessRef, data) => {
+  const code = normalizeCode(data.code);
+  const couponRef = getCouponsRef(businessRef).doc(code);
+  const coupon = {
+    description: '',
+    max_discount: 0,
+    valid_from: null,
+    valid_until: null,
+    max_uses: 0,
+    max_uses_per_customer: 0,
+    service_ids: [],
+    durations: [],
+    first_booking_only: false,
+    status: 'active',
+    ...toCouponFields(data),
+    used_count: 0,
+  };
+
+  try {
+    await couponRef.create({
+      ...coupon,
+      created_at: admin.firestore.FieldValue.serverTimestamp(),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    if (error.code === 6) return null; // ALREADY_EXISTS
+    throw error;
+  }
+
+  return { code, ...coupon };
+};
+
+export const updateCoupon = async (businessRef, code, data) => {
+  await getCouponsRef(businessRef).doc(normalizeCode(code)).update({
+    ...toCouponFields(data),
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+export const deleteCoupon = async (businessRef, code) => {
+  await getCouponsRef(businessRef).doc(normalizeCode(code)).delete();
+};
+
+/**
+ * Work out the discount a coupon gives on an amount
+ * Percentage discounts are rounded to the rupee and capped by max_discount (0 = no cap).
+ * @returns {{ discount: number, final_amount: number }}
+ */
+export const calculateDiscount = (coupon, amount) => {
+  let discount = coupon.discount_type === 'percentage'
+    ? Math.round((amount * coupon.discount_value) / 100)
+    : coupon.discount_value;
+
+  if (coupon.max_discount > 0) {
+    discount = Math.min(discount, coupon.max_discount);
+  }
+
+  discount = Math.max(0, Math.min(discount, amount - MIN_PAYABLE_AMOUNT));
+
+  return { discount, final_amount: amount - discount };
+};
+
+/**
+ * Check whether a customer already has a paid booking
+ */
+const hasPaidBooking = async (businessRef, email) => {
+  const snapshot = await businessRef
+    .collection('appointments')
+    .where('customer_email', '==', email)
+    .get();
+
+  return snapshot.docs.some((doc) => {
+    const data = doc.data();
+    return data.payment_status === 'completed' && PAID_STATUSES.includes(data.status);
+  });
+};
+
+/**
+ * Check a code against a booking and work out the price
+ * Usage limits count paid redemptions, so a code can't be used up by abandoned drafts.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} code - Coupon code as entered
+ * @param {object} booking - { amount, duration, service_id, customer_email (optional) }
+ * @returns {Promise<{ success: boolean, error?: string, coupon?: object, discount?: number, final_amount?: number }>}
+ */
+export const validateCoupon = async (businessRef, code, booking) => {
+  const coupon = await getCoupon(businessRef, code);
+
+  if (!coupon || coupon.status !== 'active') {
+    return { success: false, error: 'Invalid coupon code' };
+  }
+
+  const today = getCurrentDateTime().date;
+
+  if (coupon.valid_from && today < coupon.valid_from) {
+    return { success: false, error: 'This coupon is not active yet' };
+  }
+
+  if (coupon.valid_until && today > coupon.valid_until) {
+    return { success: false, error: 'This coupon has expired' };
+  }
+
+  if (coupon.max_uses > 0 && (coupon.used_count || 0) >= coupon.max_uses) {
+    return { success: false, error: 'This coupon has been fully redeemed' };
+  }
+
+  if (coupon.service_ids?.length && !coupon.service_ids.includes(booking.service_id)) {
+    return { success: false, error: "This coupon doesn't apply to the selected service" };
+  }
+
+  if (coupon.durations?.length && !coupon.durations.includes(parseInt(booking.duration))) {
+    return { success: false, error: "This coupon doesn't apply to the selected duration" };
+  }
+
+  if (booking.customer_email) {
+    const email = String(booking.customer_email).trim().toLowerCase();
+
+    if (coupon.max_uses_per_customer > 0) {
+      const redemptions = await getCouponsRef(businessRef)
+        .doc(coupon.code)
+        .collection('redemptions')
+        .where('customer_email', '==', email)
+        .get();
+
+      if (redemptions.size >= coupon.max_uses_per_customer) {
+        return { success: false, error: 'You have already used this coupon' };
+      }
+    }
+
+    if (coupon.first_booking_only && await hasPaidBooking(businessRef, booking.customer_email)) {
+      return { success: false, error: 'This coupon is only valid on your first booking' };
+    }
+  }
+
+  return { success: true, coupon, ...calculateDiscount(coupon, booking.amount) };
+};
+
+/**
+ * Record a paid booking against its coupon (once per appointment)
+ * The usage limits are checked again in the same transaction as the write, since
+ * parallel checkouts can all pass validateCoupon. The booking is already paid by
+ * then, so a redemption over a limit is still recorded and the appointment goes
+ * to the admin review queue (coupon_over_limit).
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {object} appointment - Appointment data with id, coupon_code and discount_amount
+ */
+export const redeemCoupon = async (businessRef, appointment) => {
+  if (!appointment.coupon_code) return;
+
+  const couponRef = getCouponsRef(businessRef).doc(appointment.coupon_code);
+  const redemptionRef = couponRef.collection('redemptions').doc(appointment.id);
+  const email = String(appointment.customer_email).trim().toLowerCase();
+
+  const overLimit = await admin.firestore().runTransaction(async (transaction) => {
+    const redemption = await transaction.get(redemptionRef);
+    if (redemption.exists) return [];
+
+    const couponDoc = await transaction.get(couponRef);
+    const coupon = couponDoc.data() || {};
+    const exceeded = [];
+
+    if (coupon.max_uses > 0 && (coupon.used_count || 0) >= coupon.max_uses) {
+      exceeded.push(`max_uses ${coupon.max_uses} already reached`);
+    }
+
+    if (coupon.max_uses_per_customer > 0) {
+      const customerRedemptions = await transaction.get(
+        couponRef.collection('redemptions').where('customer_email', '==', email)
+      );
+
+      if (customerRedemptions.size >= coupon.max_uses_per_customer) {
+        exceeded.push(`${email} already used it ${customerRedemptions.size} time(s), max_uses_per_customer ${coupon.max_uses_per_customer}`);
+      }
+    }
+
+    transaction.set(redemptionRef, {
+      appointment_id: appointment.id,
+      customer_email: email,
+      discount_amount: appointment.discount_amount || 0,
+      ...(exceeded.length && { over_limit: true }),
+      created_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.update(couponRef, {
+      used_count: admin.firestore.FieldValue.increment(1),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return exceeded;
+  });
+
+  if (overLimit.length) {
+    await flagForReview(businessRef, appointment.id, {
+      reason: 'coupon_over_limit',
+      details: [`Coupon ${appointment.coupon_code}: ${overLimit.join('; ')}`],
+      source: 'coupon',
+    });
+    return;
+  }
+
+  console.log(`✅ Coupon ${appointment.coupon_code} redeemed by ${appointment.id}`);
+};
@@ -0,0 +1,363 @@
+// Backend/services/credit.service.js - PACKAGE CREDITS + LEDGER
+import cron from 'node-cron';
+import admin from 'firebase-admin';
+import { getCustomerRef } from './customer.service.js';
+import { getCurrentDateTime } from '../utils/helpers.js';
+
+const getDb = () => admin.firestore();
+
+/**
+ * Credits are kept per customer in lots, one per purchase or admin grant:
+ *   customers/{email}/credits/{lotId}        - remaining sessions of one duration (and service)
+ *   customers/{email}/credit_ledger/{autoId} - every change, with the reason
+ * customers/{email}.credit_balance is the sum of remaining credits across active lots.
+ */
+const getCreditsRef = (businessRef, email) => getCustomerRef(businessRef, email).collection('credits');
+const getLedgerRef = (businessRef, email) => getCustomerRef(businessRef, email).collection('credit_ledger');
+
+/**
+ * Add a ledger entry and move the customer's balance inside a transaction
+ * @param {object} [customerFields] - Extra fields for the customer document (name, phone)
+ */
+const writeLedgerEntry = (transaction, businessRef, email, entry, customerFields = {}) => {
+  transaction.set(getLedgerRef(businessRef, email).doc(), {
+    appointment_id: null,
+    purchase_id: null,
+    reason: '',
+    actor: 'system',
+    ...entry,
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  transaction.set(getCustomerRef(businessRef, email), {
+    ...customerFields,
+    email: String(email).trim().toLowerCase(),
+    credit_balance: admin.firestore.FieldValue.increment(entry.change),
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+};
+
+/**
+ * Change in the customer's balance when a lot goes from one state to another
+ * The balance only counts credits in active lots.
+ */
+const getBalanceChange = (before, after) => {
+  const count = (lot) => (lot.status === 'active' ? lot.remaining : 0);
+  return count(after) - count(before);
+};
+
+/**
+ * Get the expiry date for credits bought today
+ * @param {number} validityDays - 0 = never expire
+ * @returns {string|null} - Last valid date (YYYY-MM-DD)
+ */
+export const getCreditExpiryDate = (validityDays) => {
+  if (!validityDays) return null;
+
+  const today = new Date(`${getCurrentDateTime().date}T00:00:00Z`);
+  return new Date(today.getTime() + validityDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+};
+
+/**
+ * Check whether a credit lot can pay for a booking
+ * The duration and service must match, and the appointment date must be on or
+ * before the lot's expiry date.
+ * @param {object} lot - Credit lot data
+ * @param {object} booking - { date, duration, service_id }
+ */
+export const isLotUsable = (lot, { date, duration, service_id }) => {
+  return lot.status === 'active' &&
+    lot.remaining > 0 &&
+    lot.duration === parseInt(duration) &&
+    (lot.service_id || null) === (service_id || null) &&
+    (!lot.expires_at || date <= lot.expires_at);
+};
+
+/**
+ * Pick the lot that expires first among the usable ones
+ */
+const pickLot = (lots, booking) => {
+  return lots
+    .filter((lot) => isLotUsable(lot, booking))
+    .sort((a, b) => (a.expires_at || '9999-12-31').localeCompare(b.expires_at || '9999-12-31'))[0] || null;
+};
+
+/**
+ * Create a credit lot inside a transaction (writes only)
+ * @param {FirebaseFirestore.Transaction} transaction - Running transaction
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {object} customer - { email, name, phone }
+ * @param {object} lot - { credits, duration, service_id, expires_at, package_id, package_name, purchase_id, source }
+ * @param {object} entry - Ledger fields { type, reason, actor }
+ * @returns {string} - Lot ID
+ */
+export const addCreditLot = (transaction, businessRef, customer, lot, entry) => {
+  const lotRef = getCreditsRef(businessRef, customer.email).doc();
+
+  transaction.set(lotRef, {
+    package_id: lot.package_id || null,
+    package_name: lot.package_name || '',
+    purchase_id: lot.purchase_id || null,
+    source: lot.source || 'purchase',
+    duration: parseInt(lot.duration),
+    service_id: lot.service_id || null,
+    total: lot.credits,
+    remaining: lot.credits,
+    expires_at: lot.expires_at || null,
+    status: 'active',
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  const customerFields = {
+    ...(customer.name && { name: customer.name }),
+    ...(customer.phone && { phone: customer.phone }),
+  };
+
+  writeLedgerEntry(transaction, businessRef, customer.email, {
+    ...entry,
+    lot_id: lotRef.id,
+    purchase_id: lot.purchase_id || null,
+    change: lot.credits,
+  }, customerFields);
+
+  return lotRef.id;
+};
+
+/**
+ * Find a credit that could pay for a booking (no reservation, for early errors)
+ * @returns {Promise<object|null>} - { id, ...lot } or null
+ */
+export const findUsableCredit = async (businessRef, email, booking) => {
+  const snapshot = await getCreditsRef(businessRef, email).where('status', '==', 'active').get();
+  return pickLot(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })), booking);
+};
+
+/**
+ * Use one credit for an appointment
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} email - Customer email
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {object} booking - { date, duration, service_id }
+ * @returns {Promise<{ success: boolean, error?: string, lot_id?: string }>}
+ */
+export const consumeCredit = async (businessRef, email, appointmentId, booking) => {
+  const creditsRef = getCreditsRef(businessRef, email);
+
+  return getDb().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(creditsRef.where('status', '==', 'active'));
+    const lot = pickLot(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })), booking);
+
+    if (!lot) {
+      return { success: false, error: 'No package credit available for this booking' };
+    }
+
+    const remaining = lot.remaining - 1;
+
+    transaction.update(creditsRef.doc(lot.id), {
+      remaining,
+      status: remaining > 0 ? 'active' : 'used_up',
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    writeLedgerEntry(transaction, businessRef, email, {
+      type: 'use',
+      lot_id: lot.id,
+      appointment_id: appointmentId,
+      change: -1,
+      actor: 'customer',
+    });
+
+    return { success: true, lot_id: lot.id };
+  });
+};
+
+/**
+ * Give back the credit an appointment used (cancellation, failed booking)
+ * A restored credit keeps its lot's expiry date.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {object} appointment - Appointment data with customer_email and credit_lot_id
+ * @param {object} [details] - Ledger fields { reason, actor }
+ * @returns {Promise<boolean>} - false if there was nothing to restore
+ */
+export const restoreCredit = async (businessRef, appointmentId, appointment, details = {}) => {
+  if (!appointment.credit_lot_id) return false;
+
+  const email = appointment.customer_email;
+  const lotRef = getCreditsRef(businessRef, email).doc(appointment.credit_lot_id);
+  const today = getCurrentDateTime().date;
+
+  return getDb().runTransaction(async (transaction) => {
+    const lotDoc = await transaction.get(lotRef);
+    const restored = await transaction.get(
+      getLedgerRef(businessRef, email)
+        .where('appointment_id', '==', appointmentId)
+        .where('type', '==', 'restore')
+        .limit(1)
+    );
+
+    if (!lotDoc.exists || !restored.empty) {
+      return false;
+    }
+
+    const lot = lotDoc.data();
+    const expired = Boolean(lot.expires_at && lot.expires_at < today);
+    const updated = { remaining: lot.remaining + 1, status: expired ? 'expired' : 'active' };
+
+    transaction.update(lotRef, {
+      ...updated,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    writeLedgerEntry(transaction, businessRef, email, {
+      type: 'restore',
+      lot_id: lotRef.id,
+      appointment_id: appointmentId,
+      change: getBalanceChange(lot, updated),
+      ...details,
+    });
+
+    return true;
+  });
+};
+
+/**
+ * Admin correction of a lot: add or remove credits and/or change the expiry date
+ * @param {object} adjustment - { change, expires_at, reason }
+ * @returns {Promise<{ success: boolean, error?: string, notFound?: boolean, lot?: object }>}
+ */
+export const adjustCreditLot = async (businessRef, email, lotId, { change = 0, expires_at, reason = '' }) => {
+  const lotRef = getCreditsRef(businessRef, email).doc(lotId);
+  const today = getCurrentDateTime().date;
+
+  return getDb().runTransaction(async (transaction) => {
+    const lotDoc = await transaction.get(lotRef);
+
+    if (!lotDoc.exists) {
+      return { success: false, notFound: true, error: 'Credit lot not found' };
+    }
+
+    const lot = lotDoc.data();
+    const remaining = lot.remaining + change;
+
+    if (remaining < 0) {
+      return { success: false, error: `Only ${lot.remaining} credits left in this lot` };
+    }
+
+    const expiresAt = expires_at === undefined ? lot.expires_at : expires_at || null;
+    const isExpired = Boolean(expiresAt && expiresAt < today);
+    const status = isExpired ? 'expired' : remaining > 0 ? 'active' : 'used_up';
+
+    const updated = { ...lot, remaining, expires_at: expiresAt, status };
+
+    transaction.update(lotRef, {
+      remaining,
+      expires_at: expiresAt,
+      status,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    writeLedgerEntry(transaction, businessRef, email, {
+      type: 'adjust',
+      lot_id: lotId,
+      change: getBalanceChange(lot, updated),
+      credits_change: change,
+      expires_at: expiresAt,
+      reason,
+      actor: 'admin',
+    });
+
+    return { success: true, lot: { id: lotId, ...updated } };
+  });
+};
+
+/**
+ * Get a customer's credit lots and recent ledger entries
+ */
+export const getCustomerCredits = async (businessRef, email) => {
+  const [lotsSnapshot, ledgerSnapshot] = await Promise.all([
+    getCreditsRef(businessRef, email).get(),
+    getLedgerRef(businessRef, email).orderBy('created_at', 'desc').limit(100).get(),
+  ]);
+
+  const lots = lotsSnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+  return {
+    balance: lots
+      .filter((lot) => lot.status === 'active')
+      .reduce((sum, lot) => sum + lot.remaining, 0),
+    lots,
+    ledger: ledgerSnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+  };
+};
+
+// ==================== EXPIRY ====================
+
+/**
+ * Expire credit lots past their expiry date, in every business
+ * Requires a collection group index on credits (status, expires_at).
+ * @returns {Promise<number>} - Number of lots expired
+ */
+export const expireCredits = async () => {
+  const today = getCurrentDateTime().date;
+  const snapshot = await getDb()
+    .collectionGroup('credits')
+    .where('status', '==', 'active')
+    .where('expires_at', '<', today)
+    .get();
+
+  let expired = 0;
+
+  for (const doc of snapshot.docs) {
+    const customerRef = doc.ref.parent.parent;
+    const businessRef = customerRef.parent.parent;
+
+    const didExpire = await getDb().runTransaction(async (transaction) => {
+      const lotDoc = await transaction.get(doc.ref);
+      const lot = lotDoc.data();
+
+      if (lot.status !== 'active') return false;
+
+      transaction.update(doc.ref, {
+        status: 'expired',
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      writeLedgerEntry(transaction, businessRef, customerRef.id, {
+        type: 'expire',
+        lot_id: doc.id,
+        change: -lot.remaining,
+        reason: `Expired on ${lot.expires_at}`,
+      });
+
+      return true;
+    });
+
+    if (didExpire) expired++;
+  }
+
+  if (expired > 0) {
+    console.log(`🧹 Expired ${expired} package credit lots`);
+  }
+
+  return expired;
+};
+
+/**
+ * Expire credits every night (Asia/Kolkata)
+ * Expired lots can't be used anyway; the job records the ledger entry and balance change.
+ */
+export const startCreditExpiryJob = () => {
+  cron.schedule('15 0 * * *', async () => {
+    try {
+      await expireCredits();
+    } catch (error) {
+      console.error('❌ Error expiring package credits:', error);
+    }
+  }, {
+    timezone: 'Asia/Kolkata'
+  });
+
+  console.log('✅ Credit expiry job scheduled');
+};
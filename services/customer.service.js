@@ -0,0 +1,79 @@
+// Backend/services/customer.service.js - CUSTOMER RELIABILITY (NO-SHOWS)
+import admin from 'firebase-admin';
+
+// Used when system/settings has no no_show_policy; 0 disables a rule, so both are off until configured
+export const DEFAULT_NO_SHOW_POLICY = {
+  prepay_only_after: 0,  // No pay-later/deposit options after this many no-shows
+  block_after: 0,        // No online bookings at all after this many no-shows
+};
+
+/**
+ * Customers are keyed by lowercase email
+ * Stored at businesses/{businessId}/customers/{email}
+ */
+export const getCustomerRef = (businessRef, email) => {
+  return businessRef.collection('customers').doc(String(email).trim().toLowerCase());
+};
+
+/**
+ * Get the no-show policy from system settings (falls back to defaults)
+ */
+export const getNoShowPolicy = (settings = {}) => ({
+  ...DEFAULT_NO_SHOW_POLICY,
+  ...(settings.no_show_policy || {}),
+});
+
+/**
+ * Record a no-show against the customer of an appointment
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {object} appointment - Appointment data
+ */
+export const recordNoShow = async (businessRef, appointmentId, appointment) => {
+  await getCustomerRef(businessRef, appointment.customer_email).set({
+    email: String(appointment.customer_email).trim().toLowerCase(),
+    name: appointment.customer_name || '',
+    phone: appointment.customer_phone || '',
+    no_show_count: admin.firestore.FieldValue.increment(1),
+    last_no_show_at: admin.firestore.FieldValue.serverTimestamp(),
+    last_no_show_appointment: appointmentId,
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+
+  console.log(`⚠️  No-show recorded for ${appointment.customer_email} (${appointmentId})`);
+};
+
+/**
+ * Apply the no-show policy to a customer document
+ * @param {object} customer - Customer document data (may be empty)
+ * @param {object} policy - No-show policy
+ * @returns {{ no_show_count: number, blocked: boolean, prepay_only: boolean }}
+ */
+export const evaluateRestrictions = (customer, policy) => {
+  const noShowCount = customer.no_show_count || 0;
+
+  // An admin can clear the flags without resetting the history
+  if (customer.reliability_override) {
+    return { no_show_count: noShowCount, blocked: false, prepay_only: false };
+  }
+
+  return {
+    no_show_count: noShowCount,
+    blocked: policy.block_after > 0 && noShowCount >= policy.block_after,
+    prepay_only: policy.prepay_only_after > 0 && noShowCount >= policy.prepay_only_after,
+  };
+};
+
+/**
+ * Work out what a customer may book based on their no-show history
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} email - Customer email
+ * @param {object} settings - System settings
+ * @returns {Promise<{ no_show_count: number, blocked: boolean, prepay_only: boolean }>}
+ */
+export const getBookingRestrictions = async (businessRef, email, settings) => {
+  const customerDoc = await getCustomerRef(businessRef, email).get();
+  const customer = customerDoc.exists ? customerDoc.data() : {};
+
+  return evaluateRestrictions(customer, getNoShowPolicy(settings));
+};
@@ -0,0 +1,132 @@
+// Backend/services/draftExpiry.service.js - ABANDONED DRAFT CLEANUP
+import cron from 'node-cron';
+import admin from 'firebase-admin';
+import { releaseHold } from './slotHold.service.js';
+import { applyTransition } from './appointmentStatus.service.js';
+import { notifySlotFreed } from './waitlist.service.js';
+
+const DEFAULT_DRAFT_EXPIRY_MINUTES = 30;
+
+class DraftExpiryService {
+  constructor() {
+    this.db = null;
+    this.isRunning = false;
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = admin.firestore();
+    }
+    return this.db;
+  }
+
+  /**
+   * Start the scheduler
+   * Runs every 5 minutes to expire drafts whose payment never completed
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('⚠️  Draft expiry scheduler already running');
+      return;
+    }
+
+    cron.schedule('*/5 * * * *', async () => {
+      await this.expireAbandonedDrafts();
+    }, {
+      timezone: 'Asia/Kolkata'
+    });
+
+    this.isRunning = true;
+    console.log('✅ Draft expiry scheduler started');
+  }
+
+  /**
+   * Expire abandoned drafts for every business
+   * @returns {Promise<number>} - Number of drafts expired
+   */
+  async expireAbandonedDrafts() {
+    try {
+      const db = this.getDb();
+      const businessesSnapshot = await db.collection('businesses').get();
+
+      let totalExpired = 0;
+
+      for (const businessDoc of businessesSnapshot.docs) {
+        totalExpired += await this.expireDraftsForBusiness(businessDoc.ref);
+      }
+
+      if (totalExpired > 0) {
+        console.log(`🧹 Expired ${totalExpired} abandoned draft appointments`);
+      }
+
+      return totalExpired;
+    } catch (error) {
+      console.error('❌ Error expiring draft appointments:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Expire drafts older than settings.draft_expiry_minutes for one business
+   * Waitlist offers carry their own draft_expires_at instead.
+   * Drafts with a completed payment (e.g. flagged for review) are never expired.
+   * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+   * @returns {Promise<number>} - Number of drafts expired
+   */
+  async expireDraftsForBusiness(businessRef) {
+    try {
+      const settingsDoc = await businessRef.collection('system').doc('settings').get();
+      const settings = settingsDoc.exists ? settingsDoc.data() : {};
+      const expiryMinutes = settings.draft_expiry_minutes || DEFAULT_DRAFT_EXPIRY_MINUTES;
+      const now = Date.now();
+      const cutoff = now - expiryMinutes * 60 * 1000;
+
+      const snapshot = await businessRef
+        .collection('appointments')
+        .where('status', '==', 'draft')
+        .get();
+
+      let expiredCount = 0;
+
+      for (const doc of snapshot.docs) {
+        const data = doc.data();
+        const createdAt = data.created_at?.toMillis?.();
+        const expiresAt = data.draft_expires_at?.toMillis?.();
+
+        if (expiresAt ? expiresAt > now : (!createdAt || createdAt > cutoff)) continue;
+        if (data.payment_status === 'completed') continue;
+
+        // Re-check inside a transaction in case the payment landed meanwhile
+        const result = await this.getDb().runTransaction(async (transaction) => {
+          const current = await transaction.get(doc.ref);
+          const appointment = current.data();
+
+          if (appointment.status !== 'draft' || appointment.payment_status === 'completed') {
+            return { success: false };
+          }
+
+          return applyTransition(transaction, doc.ref, appointment, 'expired', {
+            actor: 'system',
+            reason: expiresAt ? 'Waitlist offer not paid in time' : `Unpaid for ${expiryMinutes} minutes`,
+            fields: {
+              expired_at: admin.firestore.FieldValue.serverTimestamp(),
+            },
+          });
+        });
+
+        if (!result.success) continue;
+
+        await releaseHold(businessRef, doc.id, 'draft expired');
+        await notifySlotFreed(businessRef, data.date);
+        expiredCount++;
+      }
+
+      return expiredCount;
+    } catch (error) {
+      console.error(`❌ Error expiring drafts for ${businessRef.id}:`, error);
+      return 0;
+    }
+  }
+}
+
+export default new DraftExpiryService();
@@ -0,0 +1,371 @@
+// Backend/services/invoice.service.js - GST INVOICES
+import admin from 'firebase-admin';
+import PDFDocument from 'pdfkit';
+import { allocateInvoiceNumber } from '../utils/invoiceNumberHelper.js';
+import { GST_STATES, resolveStateCode } from '../utils/gstStates.js';
+import { getCurrentDateTime } from '../utils/helpers.js';
+import { getBookingTotal } from './paymentPlan.service.js';
+
+// Used when system/settings doesn't set them
+export const DEFAULT_INVOICE_SETTINGS = {
+  gst_rate: 18,          // Percent, included in every price
+  sac_code: '9982',      // Legal and accounting services
+  invoice_prefix: 'INV',
+};
+
+// Payment states of an appointment that was sold: paid (or refunded since), or owed at the office
+const INVOICEABLE_PAYMENT_STATUSES = ['completed', 'refunded', 'pending_offline'];
+
+/**
+ * Invoices are stored at businesses/{businessId}/invoices/{appointmentId}
+ * (package purchases: invoices/{purchaseId})
+ */
+const getInvoiceRef = (businessRef, invoiceId) => {
+  return businessRef.collection('invoices').doc(invoiceId);
+};
+
+/**
+ * Get the invoice settings from system settings (falls back to defaults)
+ * Without a gstin the firm isn't GST-registered and invoices carry no tax.
+ */
+export const getInvoiceSettings = (settings = {}) => ({
+  ...DEFAULT_INVOICE_SETTINGS,
+  gst_rate: settings.gst_rate ?? DEFAULT_INVOICE_SETTINGS.gst_rate,
+  sac_code: settings.sac_code || DEFAULT_INVOICE_SETTINGS.sac_code,
+  invoice_prefix: settings.invoice_prefix || DEFAULT_INVOICE_SETTINGS.invoice_prefix,
+  gstin: settings.gstin ? String(settings.gstin).trim().toUpperCase() : null,
+});
+
+/**
+ * Split a GST-inclusive amount into taxable value and tax
+ * Within the firm's state the tax is half CGST, half SGST; otherwise it is IGST.
+ * Calculated in paise so the parts always add up to the amount.
+ * @param {number} amount - Amount invoiced (rupees, GST included)
+ * @param {number} rate - GST rate in percent
+ * @param {boolean} intraState - Place of supply is the firm's state
+ * @returns {{ taxable_value: number, cgst: number, sgst: number, igst: number, total_tax: number, total: number }}
+ */
+export const calculateGST = (amount, rate, intraState) => {
+  const totalPaise = Math.round(amount * 100);
+  const taxablePaise = Math.round((totalPaise * 100) / (100 + rate));
+  const taxPaise = totalPaise - taxablePaise;
+  const cgstPaise = intraState ? Math.round(taxPaise / 2) : 0;
+  const sgstPaise = intraState ? taxPaise - cgstPaise : 0;
+
+  const toRupees = (paise) => paise / 100;
+
+  return {
+    taxable_value: toRupees(taxablePaise),
+    cgst: toRupees(cgstPaise),
+    sgst: toRupees(sgstPaise),
+    igst: toRupees(intraState ? 0 : taxPaise),
+    total_tax: toRupees(taxPaise),
+    total: toRupees(totalPaise),
+  };
+};
+
+/**
+ * Expand a state code to { code, name }
+ */
+const toStateInfo = (code) => (code ? { code, name: GST_STATES[code] } : null);
+
+/**
+ * What an appointment invoice is for
+ */
+const toAppointmentSale = (appointmentId, appointment) => ({
+  appointment_id: appointmentId,
+  customer: appointment,
+  description: `${appointment.service_name || 'Consultation'} - ${appointment.duration} min (${appointment.date} ${appointment.time_slot})`,
+  amount: getBookingTotal(appointment),
+  payment_id: appointment.payment_id || null,
+  discount: appointment.coupon_code
+    ? { coupon_code: appointment.coupon_code, amount: appointment.discount_amount || 0 }
+    : null,
+});
+
+/**
+ * What a package purchase invoice is for
+ */
+const toPurchaseSale = (purchaseId, purchase) => ({
+  appointment_id: null,
+  purchase_id: purchaseId,
+  customer: purchase,
+  description: `${purchase.package_name} - ${purchase.sessions} x ${purchase.duration} min consultations`,
+  amount: purchase.amount,
+  payment_id: purchase.payment_id || null,
+  discount: null,
+});
+
+/**
+ * Build the invoice document for a sale (appointment or package purchase)
+ */
+const buildInvoice = (sale, settings, invoiceSettings, numbering) => {
+  const { gstin } = invoiceSettings;
+  const { customer } = sale;
+  const sellerState = gstin ? gstin.slice(0, 2) : resolveStateCode(settings.business_state);
+  const placeOfSupply = resolveStateCode(customer.customer_state) || sellerState;
+  const rate = gstin ? invoiceSettings.gst_rate : 0;
+
+  return {
+    invoice_number: numbering.invoiceNumber,
+    financial_year: numbering.financialYear,
+    invoice_date: getCurrentDateTime().date,
+    type: gstin ? 'tax_invoice' : 'invoice',
+    appointment_id: sale.appointment_id,
+    ...(sale.purchase_id && { purchase_id: sale.purchase_id }),
+    payment_id: sale.payment_id,
+    seller: {
+      name: settings.business_name || '',
+      address: settings.business_address || '',
+      gstin,
+      state: toStateInfo(sellerState),
+    },
+    buyer: {
+      name: customer.customer_name,
+      email: customer.customer_email,
+      phone: customer.customer_phone || '',
+      gstin: customer.customer_gstin || null,
+      state: toStateInfo(resolveStateCode(customer.customer_state)),
+    },
+    place_of_supply: toStateInfo(placeOfSupply),
+    description: sale.description,
+    sac_code: invoiceSettings.sac_code,
+    discount: sale.discount,
+    gst_rate: rate,
+    ...calculateGST(sale.amount, rate, !placeOfSupply || placeOfSupply === sellerState),
+  };
+};
+
+/**
+ * Get the invoice of an appointment
+ * @returns {Promise<object|null>} - null if none was issued
+ */
+export const getInvoice = async (businessRef, appointmentId) => {
+  const invoiceDoc = await getInvoiceRef(businessRef, appointmentId).get();
+  return invoiceDoc.exists ? invoiceDoc.data() : null;
+};
+
+/**
+ * Issue the invoice for a sale (once)
+ * The number is allocated in the same transaction that writes the invoice,
+ * so numbers have no gaps and a sale never gets two.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} invoiceId - Invoice document ID (appointment or purchase ID)
+ * @param {FirebaseFirestore.DocumentReference} sourceRef - The appointment or purchase
+ * @param {function} toSale - (sourceData) => sale, or null if there is nothing to invoice
+ * @returns {Promise<object|null>}
+ */
+const issueInvoiceFor = async (businessRef, invoiceId, sourceRef, toSale) => {
+  const settingsDoc = await businessRef.collection('system').doc('settings').get();
+  const settings = settingsDoc.exists ? settingsDoc.data() : {};
+  const invoiceSettings = getInvoiceSettings(settings);
+
+  const invoiceRef = getInvoiceRef(businessRef, invoiceId);
+
+  const invoice = await admin.firestore().runTransaction(async (transaction) => {
+    const invoiceDoc = await transaction.get(invoiceRef);
+    if (invoiceDoc.exists) {
+      return invoiceDoc.data();
+    }
+
+    const sourceDoc = await transaction.get(sourceRef);
+    const sale = sourceDoc.exists ? toSale(sourceDoc.data()) : null;
+
+    if (!sale) {
+      return null;
+    }
+
+    const numbering = await allocateInvoiceNumber(transaction, businessRef, invoiceSettings.invoice_prefix);
+    const newInvoice = buildInvoice(sale, settings, invoiceSettings, numbering);
+
+    transaction.set(invoiceRef, {
+      ...newInvoice,
+      created_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.update(sourceRef, {
+      invoice_number: newInvoice.invoice_number,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    console.log(`✅ Invoice ${newInvoice.invoice_number} issued for ${invoiceId}`);
+    return newInvoice;
+  });
+
+  return invoice;
+};
+
+/**
+ * Issue the invoice for a booked appointment (once)
+ * It is for the full price, so deposit and pay-at-office bookings need no
+ * further invoice when the balance is paid.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @returns {Promise<object|null>} - The invoice, or null if the appointment isn't booked or has no price
+ */
+export const issueInvoice = (businessRef, appointmentId) => {
+  const appointmentRef = businessRef.collection('appointments').doc(appointmentId);
+
+  return issueInvoiceFor(businessRef, appointmentId, appointmentRef, (appointment) => {
+    if (!INVOICEABLE_PAYMENT_STATUSES.includes(appointment.payment_status)) {
+      return null;
+    }
+
+    // Paid with a package credit: the package purchase was invoiced when it was paid.
+    // Complimentary bookings have no price to invoice.
+    if (appointment.payment_method === 'credit' || !getBookingTotal(appointment)) {
+      return null;
+    }
+
+    return toAppointmentSale(appointmentId, appointment);
+  });
+};
+
+/**
+ * Issue the invoice for a paid package purchase (once)
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} purchaseId - Purchase ID
+ * @returns {Promise<object|null>} - The invoice, or null if the purchase isn't paid
+ */
+export const issuePackageInvoice = (businessRef, purchaseId) => {
+  const purchaseRef = businessRef.collection('package_purchases').doc(purchaseId);
+
+  return issueInvoiceFor(businessRef, purchaseId, purchaseRef, (purchase) => {
+    return purchase.status === 'paid' ? toPurchaseSale(purchaseId, purchase) : null;
+  });
+};
+
+// ==================== PDF ====================
+
+// The standard PDF fonts have no ₹ glyph
+const formatAmount = (amount) => `Rs. ${Number(amount).toFixed(2)}`;
+
+const formatState = (state) => (state ? `${state.code} - ${state.name}` : '-');
+
+/**
+ * Render an invoice as a PDF
+ * @param {object} invoice - Invoice document
+ * @returns {Promise<Buffer>}
+ */
+export const generateInvoicePDF = (invoice) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = 50;
+    const right = 545;
+    const width = right - left;
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(18)
+      .text(invoice.type === 'tax_invoice' ? 'TAX INVOICE' : 'INVOICE', left, 50, { width, align: 'center' });
+    doc.moveDown();
+
+    // Seller
+    doc.fontSize(12).text(invoice.seller.name, left);
+    doc.font('Helvetica').fontSize(9).text(invoice.seller.address, { width: 280 });
+    if (invoice.seller.gstin) {
+      doc.text(`GSTIN: ${invoice.seller.gstin}`);
+    }
+    doc.text(`State: ${formatState(invoice.seller.state)}`);
+    const sellerEnd = doc.y;
+
+    // Invoice details
+    doc.fontSize(9).text(
+      [
+        `Invoice No: ${invoice.invoice_number}`,
+        `Invoice Date: ${invoice.invoice_date}`,
+        invoice.appointment_id ? `Booking Ref: ${invoice.appointment_id}` : `Purchase Ref: ${invoice.purchase_id}`,
+        invoice.payment_id ? `Payment ID: ${invoice.payment_id}` : null,
+      ].filter(Boolean).join('\n'),
+      350,
+      95,
+      { width: right - 350, align: 'right' }
+    );
+
+    // Buyer
+    doc.y = Math.max(doc.y, sellerEnd);
+    doc.moveDown(2);
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To', left);
+    doc.font('Helvetica').fontSize(9);
+    doc.text(invoice.buyer.name);
+    doc.text(invoice.buyer.email);
+    if (invoice.buyer.phone) doc.text(invoice.buyer.phone);
+    if (invoice.buyer.gstin) doc.text(`GSTIN: ${invoice.buyer.gstin}`);
+    doc.text(`Place of Supply: ${formatState(invoice.place_of_supply)}`);
+
+    // Line item
+    doc.moveDown(2);
+    let y = doc.y;
+    const columns = { description: left, sac: 360, amount: 430 };
+
+    doc.font('Helvetica-Bold')
+      .text('Description', columns.description, y)
+      .text('SAC', columns.sac, y)
+      .text('Taxable Value', columns.amount, y, { width: right - columns.amount, align: 'right' });
+    doc.moveTo(left, doc.y + 4).lineTo(right, doc.y + 4).stroke();
+
+    y = doc.y + 10;
+    doc.font('Helvetica')
+      .text(invoice.description, columns.description, y, { width: columns.sac - columns.description - 10 })
+      .text(invoice.sac_code, columns.sac, y)
+      .text(formatAmount(invoice.taxable_value), columns.amount, y, { width: right - columns.amount, align: 'right' });
+
+    // Totals
+    const rows = [['Taxable Value', invoice.taxable_value]];
+
+    if (invoice.cgst || invoice.sgst) {
+      rows.push([`CGST @ ${invoice.gst_rate / 2}%`, invoice.cgst]);
+      rows.push([`SGST @ ${invoice.gst_rate / 2}%`, invoice.sgst]);
+    } else if (invoice.igst) {
+      rows.push([`IGST @ ${invoice.gst_rate}%`, invoice.igst]);
+    }
+
+    y = Math.max(doc.y, y) + 20;
+    doc.moveTo(left, y - 8).lineTo(right, y - 8).stroke();
+
+    for (const [label, amount] of rows) {
+      doc.text(label, 330, y).text(formatAmount(amount), columns.amount, y, { width: right - columns.amount, align: 'right' });
+      y += 15;
+    }
+
+    doc.font('Helvetica-Bold')
+      .text('Total', 330, y + 5)
+      .text(formatAmount(invoice.total), columns.amount, y + 5, { width: right - columns.amount, align: 'right' });
+
+    // Notes
+    doc.font('Helvetica').fontSize(8).moveDown(3);
+    if (invoice.discount) {
+      doc.text(`Includes a discount of ${formatAmount(invoice.discount.amount)} (coupon ${invoice.discount.coupon_code}).`, left);
+    }
+    if (invoice.type === 'tax_invoice') {
+      doc.text('Prices are inclusive of GST. Tax is not payable on reverse charge basis.', left);
+    }
+    doc.text('This is a computer-generated invoice and does not require a signature.', left);
+
+    doc.end();
+  });
+};
+
+/**
+ * File name for an invoice PDF (invoice numbers contain slashes)
+ */
+export const getInvoiceFileName = (invoice) => {
+  return `Invoice-${invoice.invoice_number.replace(/\//g, '-')}.pdf`;
+};
+
+/**
+ * Build a Brevo email attachment for an invoice
+ * @returns {Promise<{ name: string, content: string }>} - content is base64
+ */
+export const getInvoiceAttachment = async (invoice) => {
+  const pdf = await generateInvoicePDF(invoice);
+
+  return {
+    name: getInvoiceFileName(invoice),
+    content: pdf.toString('base64'),
+  };
+};
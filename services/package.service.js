@@ -0,0 +1,317 @@
+// Backend/services/package.service.js - PREPAID CONSULTATION PACKAGES
+import admin from 'firebase-admin';
+import { createOrder } from './razorpay.service.js';
+import { getPaymentMismatches } from './paymentVerification.service.js';
+import { addCreditLot, getCreditExpiryDate } from './credit.service.js';
+import { issuePackageInvoice } from './invoice.service.js';
+
+const getDb = () => admin.firestore();
+
+/**
+ * Packages are stored at businesses/{businessId}/packages/{packageId}
+ * Purchases at businesses/{businessId}/package_purchases/{purchaseId}
+ */
+const getPackagesRef = (businessRef) => businessRef.collection('packages');
+const getPurchasesRef = (businessRef) => businessRef.collection('package_purchases');
+
+const generatePackageId = (name) => {
+  const slug = name
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .substring(0, 30);
+
+  const timestamp = Date.now().toString().slice(-6);
+  return `${slug}-${timestamp}`;
+};
+
+/**
+ * Validate package fields (partial for updates)
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const getPackageError = (data, { partial = false } = {}) => {
+  if (!partial || data.name !== undefined) {
+    if (!data.name || typeof data.name !== 'string') {
+      return 'Package name is required';
+    }
+  }
+
+  if (!partial || data.sessions !== undefined) {
+    if (!(parseInt(data.sessions) > 0)) {
+      return 'sessions must be a positive number';
+    }
+  }
+
+  if (!partial || data.duration !== undefined) {
+    if (!(parseInt(data.duration) > 0)) {
+      return 'duration (minutes per session) is required';
+    }
+  }
+
+  if (!partial || data.price !== undefined) {
+    if (!(Number(data.price) > 0)) {
+      return 'price must be a positive amount';
+    }
+  }
+
+  if (data.validity_days !== undefined && !(parseInt(data.validity_days) >= 0)) {
+    return 'validity_days must be 0 (no expiry) or more';
+  }
+
+  return null;
+};
+
+/**
+ * Keep only the fields a package document may have
+ */
+const toPackageFields = (data) => {
+  const fields = {};
+
+  if (data.name !== undefined) fields.name = data.name.trim();
+  if (data.description !== undefined) fields.description = data.description || '';
+  if (data.sessions !== undefined) fields.sessions = parseInt(data.sessions);
+  if (data.duration !== undefined) fields.duration = parseInt(data.duration);
+  if (data.service_id !== undefined) fields.service_id = data.service_id || null;
+  if (data.price !== undefined) fields.price = Number(data.price);
+  if (data.validity_days !== undefined) fields.validity_days = parseInt(data.validity_days) || 0;
+  if (data.status !== undefined) fields.status = data.status === 'inactive' ? 'inactive' : 'active';
+  if (data.sort_order !== undefined) fields.sort_order = parseInt(data.sort_order) || 0;
+
+  return fields;
+};
+
+/**
+ * Get the packages, ordered by sort_order then name
+ * @param {object} [options] - { activeOnly }
+ */
+export const getPackages = async (businessRef, { activeOnly = false } = {}) => {
+  let query = getPackagesRef(businessRef);
+
+  if (activeOnly) {
+    query = query.where('status', '==', 'active');
+  }
+
+  const snapshot = await query.get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0) || a.name.localeCompare(b.name));
+};
+
+/**
+ * @returns {Promise<object|null>} - null if it doesn't exist
+ */
+export const getPackage = async (businessRef, packageId) => {
+  const doc = await getPackagesRef(businessRef).doc(packageId).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+};
+
+export const createPackage = async (businessRef, data) => {
+  const packageId = generatePackageId(data.name);
+  const pkg = {
+    description: '',
+    service_id: null,
+    validity_days: 0,
+    status: 'active',
+    sort_order: 0,
+    ...toPackageFields(data),
+  };
+
+  await getPackagesRef(businessRef).doc(packageId).set({
+    ...pkg,
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return { id: packageId, ...pkg };
+};
+
+export const updatePackage = async (businessRef, packageId, data) => {
+  await getPackagesRef(businessRef).doc(packageId).update({
+    ...toPackageFields(data),
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+export const deletePackage = async (businessRef, packageId) => {
+  await getPackagesRef(businessRef).doc(packageId).delete();
+};
+
+/**
+ * Public view of a package
+ */
+export const toPublicPackage = (pkg) => ({
+  id: pkg.id,
+  name: pkg.name,
+  description: pkg.description || '',
+  sessions: pkg.sessions,
+  duration: pkg.duration,
+  service_id: pkg.service_id || null,
+  price: pkg.price,
+  validity_days: pkg.validity_days || 0,
+});
+
+// ==================== PURCHASES ====================
+
+/**
+ * Start a package purchase: store it as pending and create the Razorpay order
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {object} pkg - Package (with id)
+ * @param {object} customer - { customer_name, customer_email, customer_phone, customer_state, customer_gstin }
+ * @returns {Promise<{ purchaseId: string, order: object }>}
+ */
+export const createPackagePurchase = async (businessRef, pkg, customer) => {
+  const purchaseRef = getPurchasesRef(businessRef).doc();
+
+  await purchaseRef.set({
+    package_id: pkg.id,
+    package_name: pkg.name,
+    sessions: pkg.sessions,
+    duration: pkg.duration,
+    service_id: pkg.service_id || null,
+    validity_days: pkg.validity_days || 0,
+    amount: pkg.price,
+    customer_name: customer.customer_name,
+    customer_email: String(customer.customer_email).trim().toLowerCase(),
+    customer_phone: customer.customer_phone || '',
+    ...(customer.customer_state && { customer_state: customer.customer_state }),
+    ...(customer.customer_gstin && { customer_gstin: customer.customer_gstin }),
+    status: 'pending',
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  let order;
+  try {
+    order = await createOrder(pkg.price, 'INR', purchaseRef.id);
+  } catch (orderError) {
+    await purchaseRef.delete();
+    throw orderError;
+  }
+
+  await purchaseRef.update({
+    order_id: order.id,
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return { purchaseId: purchaseRef.id, order };
+};
+
+/**
+ * Mark a package purchase as paid, grant its credits and issue its invoice
+ * Used by POST /packages/verify-payment, the Razorpay webhook and reconciliation.
+ * Safe to call repeatedly: the credits are granted and the invoice issued once.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} purchaseId - Purchase ID
+ * @param {object} options - { orderId, payment, source }
+ * @returns {Promise<{ success: boolean, error?: string, notFound?: boolean, pending?: boolean, alreadyPaid?: boolean, purchase?: object }>}
+ */
+export const confirmPackagePurchase = async (businessRef, purchaseId, { orderId, payment, source }) => {
+  const purchaseRef = getPurchasesRef(businessRef).doc(purchaseId);
+
+  const result = await getDb().runTransaction(async (transaction) => {
+    const purchaseDoc = await transaction.get(purchaseRef);
+
+    if (!purchaseDoc.exists) {
+      return { success: false, notFound: true, error: 'Purchase not found' };
+    }
+
+    const purchase = purchaseDoc.data();
+
+    if (purchase.status === 'paid') {
+      return { success: true, alreadyPaid: true, purchase: { id: purchaseId, ...purchase } };
+    }
+
+    const mismatches = orderId === purchase.order_id
+      ? getPaymentMismatches(purchase, payment)
+      : [`order_id ${orderId} does not belong to this purchase`];
+
+    if (mismatches.length > 0) {
+      console.error(`❌ Package purchase ${purchaseId} payment mismatch:`, mismatches);
+      transaction.update(purchaseRef, {
+        status: 'review',
+        review_details: mismatches,
+        payment_id: payment.id,
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return {
+        success: false,
+        error: 'Payment details do not match this purchase. Our team will review it and contact you.',
+      };
+    }
+
+    if (payment.status !== 'captured') {
+      return {
+        success: false,
+        pending: true,
+        error: 'Payment is still being processed. Your credits will be added shortly.',
+      };
+    }
+
+    const expiresAt = getCreditExpiryDate(purchase.validity_days);
+
+    const lotId = addCreditLot(transaction, businessRef, {
+      email: purchase.customer_email,
+      name: purchase.customer_name,
+      phone: purchase.customer_phone,
+    }, {
+      credits: purchase.sessions,
+      duration: purchase.duration,
+      service_id: purchase.service_id,
+      expires_at: expiresAt,
+      package_id: purchase.package_id,
+      package_name: purchase.package_name,
+      purchase_id: purchaseId,
+      source: 'purchase',
+    }, {
+      type: 'purchase',
+      reason: `Bought ${purchase.package_name}`,
+      actor: 'customer',
+    });
+
+    const paidFields = {
+      status: 'paid',
+      payment_id: payment.id,
+      payment_source: source,
+      credit_lot_id: lotId,
+      expires_at: expiresAt,
+      paid_at: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    transaction.update(purchaseRef, {
+      ...paidFields,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    console.log(`✅ Package purchase ${purchaseId} paid: ${purchase.sessions} credits for ${purchase.customer_email}`);
+
+    return { success: true, purchase: { id: purchaseId, ...purchase, ...paidFields } };
+  });
+
+  // The package is the sale: credit bookings get no invoice of their own
+  if (result.success) {
+    try {
+      const invoice = await issuePackageInvoice(businessRef, purchaseId);
+      result.purchase.invoice_number = invoice?.invoice_number || null;
+    } catch (invoiceError) {
+      console.error('❌ Package invoice error:', invoiceError.message);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Get a customer's package purchases, newest first
+ */
+export const getCustomerPurchases = async (businessRef, email) => {
+  const snapshot = await getPurchasesRef(businessRef)
+    .where('customer_email', '==', String(email).trim().toLowerCase())
+    .get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => (b.created_at?.toMillis?.() || 0) - (a.created_at?.toMillis?.() || 0));
+};
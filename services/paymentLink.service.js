@@ -0,0 +1,379 @@
+// Backend/services/paymentLink.service.js - RAZORPAY PAYMENT LINKS FOR APPOINTMENTS
+import admin from 'firebase-admin';
+import { createPaymentLink, cancelPaymentLink } from './razorpay.service.js';
+import { confirmAppointmentPayment } from './bookingConfirmation.service.js';
+import { getPaymentMismatches, flagForReview } from './paymentVerification.service.js';
+import { COLLECTABLE_STATUSES, getBalanceFields, isPaymentSecured } from './paymentPlan.service.js';
+import { MIN_PAYABLE_AMOUNT } from './coupon.service.js';
+import brevoService from './brevo.service.js';
+
+const getDb = () => admin.firestore();
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * What a payment link pays for
+ *   booking - an admin booking held as a draft; paying confirms it
+ *   balance - (part of) the balance_due of a secured booking
+ */
+export const PAYMENT_LINK_PURPOSES = ['booking', 'balance'];
+
+export const DEFAULT_LINK_EXPIRY_HOURS = 24;
+
+// Razorpay rejects links that expire sooner than this
+const MIN_LINK_MINUTES = 15;
+
+/**
+ * Links are kept on the appointment as payment_links.{paymentLinkId} =
+ * { purpose, amount, short_url, status, expires_at, ... }
+ * The Razorpay link carries business_id / appointment_id / payment_link_purpose notes,
+ * which are copied to its payments.
+ */
+const getCallbackUrl = (businessId, appointmentId) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${frontendUrl}/payment-link/complete?businessId=${encodeURIComponent(businessId)}&appointmentId=${encodeURIComponent(appointmentId)}`;
+};
+
+/**
+ * Check an appointment can be paid by a link for this purpose
+ * @returns {{ error?: string, amount?: number, expiresAt?: admin.firestore.Timestamp }}
+ */
+const getLinkTerms = (appointment, { purpose, amount, expiryHours }) => {
+  if (purpose === 'booking') {
+    if (appointment.booked_by !== 'admin' || appointment.status !== 'draft' || appointment.payment_status === 'completed') {
+      return { error: 'Only unpaid admin bookings can be paid by a booking link' };
+    }
+
+    // The link expires with the slot hold
+    return { amount: appointment.amount, expiresAt: appointment.draft_expires_at };
+  }
+
+  if (!isPaymentSecured(appointment) || !COLLECTABLE_STATUSES.includes(appointment.status)) {
+    return { error: `Can't collect a balance for a ${appointment.status} appointment` };
+  }
+
+  const balanceDue = appointment.balance_due || 0;
+  const linkAmount = amount === undefined ? balanceDue : roundAmount(Number(amount));
+
+  if (balanceDue <= 0) {
+    return { error: 'This appointment has no balance due' };
+  }
+
+  if (linkAmount > balanceDue) {
+    return { error: `Amount is more than the balance due (₹${balanceDue})` };
+  }
+
+  if (linkAmount < MIN_PAYABLE_AMOUNT) {
+    return { error: `Amount must be at least ₹${MIN_PAYABLE_AMOUNT}` };
+  }
+
+  return {
+    amount: linkAmount,
+    expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + (expiryHours || DEFAULT_LINK_EXPIRY_HOURS) * 60 * 60 * 1000),
+  };
+};
+
+/**
+ * Email the customer a payment link
+ */
+const sendPaymentLinkEmail = async (appointmentId, appointment, link) => {
+  try {
+    const emailResult = await brevoService.sendPaymentRequestEmail({
+      ...appointment,
+      reference_id: appointmentId,
+      purpose: link.purpose,
+      amount: link.amount,
+      payment_link: link.short_url,
+      link_expires_at: link.expires_at.toDate(),
+    });
+
+    if (!emailResult.success) {
+      console.error('❌ Failed to send payment link email:', emailResult.error);
+    }
+
+    return emailResult.success;
+  } catch (emailError) {
+    console.error('❌ Brevo payment link email error:', emailError.message);
+    return false;
+  }
+};
+
+// ==================== SENDING ====================
+
+/**
+ * Create a Razorpay payment link for an appointment and email it to the customer
+ * Earlier open links for the same purpose are cancelled, so only the newest can be paid.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {object} options - { purpose, amount (balance only, defaults to balance_due), expiryHours (balance only), sent_by }
+ * @returns {Promise<{ success: boolean, error?: string, notFound?: boolean, payment_link?: object }>}
+ */
+export const sendPaymentLink = async (businessRef, appointmentId, { purpose, amount, expiryHours, sent_by = 'admin' }) => {
+  const appointmentRef = businessRef.collection('appointments').doc(appointmentId);
+  const appointmentDoc = await appointmentRef.get();
+
+  if (!appointmentDoc.exists) {
+    return { success: false, notFound: true, error: 'Appointment not found' };
+  }
+
+  const appointment = appointmentDoc.data();
+  const terms = getLinkTerms(appointment, { purpose, amount, expiryHours });
+
+  if (terms.error) {
+    return { success: false, error: terms.error };
+  }
+
+  if (!terms.expiresAt || terms.expiresAt.toMillis() - Date.now() < MIN_LINK_MINUTES * 60 * 1000) {
+    return { success: false, error: `A payment link must stay valid for at least ${MIN_LINK_MINUTES} minutes` };
+  }
+
+  const paymentLink = await createPaymentLink({
+    amount: terms.amount,
+    referenceId: `${appointmentId}-${Date.now().toString(36)}`,
+    description: purpose === 'booking'
+      ? `Consultation on ${appointment.date} at ${appointment.time_slot} (${appointmentId})`
+      : `Balance payment for ${appointmentId}`,
+    customer: {
+      name: appointment.customer_name,
+      email: appointment.customer_email,
+      contact: appointment.customer_phone,
+    },
+    expireBy: Math.floor(terms.expiresAt.toMillis() / 1000),
+    callbackUrl: getCallbackUrl(businessRef.id, appointmentId),
+    notes: {
+      business_id: businessRef.id,
+      appointment_id: appointmentId,
+      payment_link_purpose: purpose,
+    },
+  });
+
+  const link = {
+    purpose,
+    amount: terms.amount,
+    short_url: paymentLink.short_url,
+    reference_id: paymentLink.reference_id,
+    status: 'created',
+    expires_at: terms.expiresAt,
+    sent_by,
+    created_at: admin.firestore.Timestamp.now(),
+  };
+
+  const update = {
+    [`payment_links.${paymentLink.id}`]: link,
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  const openLinks = Object.entries(appointment.payment_links || {})
+    .filter(([, existing]) => existing.purpose === purpose && existing.status === 'created');
+
+  for (const [linkId] of openLinks) {
+    try {
+      await cancelPaymentLink(linkId);
+      update[`payment_links.${linkId}.status`] = 'cancelled';
+    } catch (cancelError) {
+      console.error(`⚠️  Could not cancel payment link ${linkId}:`, cancelError.message);
+    }
+  }
+
+  await appointmentRef.update(update);
+
+  const emailSent = await sendPaymentLinkEmail(appointmentId, appointment, link);
+
+  console.log(`📨 Payment link ${paymentLink.id} (${purpose}, ₹${terms.amount}) created for ${appointmentId}`);
+
+  return {
+    success: true,
+    payment_link: { id: paymentLink.id, ...link, email_sent: emailSent },
+  };
+};
+
+// ==================== PAYMENTS ====================
+
+/**
+ * Mark a link as closed (expired or cancelled on Razorpay)
+ */
+export const closePaymentLink = async (businessRef, appointmentId, paymentLinkId, status) => {
+  const appointmentRef = businessRef.collection('appointments').doc(appointmentId);
+  const appointmentDoc = await appointmentRef.get();
+  const link = appointmentDoc.data()?.payment_links?.[paymentLinkId];
+
+  if (!link || link.status !== 'created') {
+    return false;
+  }
+
+  await appointmentRef.update({
+    [`payment_links.${paymentLinkId}.status`]: status,
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return true;
+};
+
+/**
+ * Record a balance payment made through a link
+ * Lowers balance_due and adds to link_paid, in one transaction.
+ */
+const applyBalancePayment = async (businessRef, appointmentId, paymentLinkId, payment, source) => {
+  const appointmentRef = businessRef.collection('appointments').doc(appointmentId);
+
+  const result = await getDb().runTransaction(async (transaction) => {
+    const doc = await transaction.get(appointmentRef);
+    const appointment = doc.data();
+    const link = appointment.payment_links[paymentLinkId];
+    const linkFields = {
+      [`payment_links.${paymentLinkId}.status`]: 'paid',
+      [`payment_links.${paymentLinkId}.payment_id`]: payment.id,
+      [`payment_links.${paymentLinkId}.paid_at`]: admin.firestore.Timestamp.now(),
+      [`payment_links.${paymentLinkId}.payment_source`]: source,
+      // Lets refund webhooks find the appointment by payment ID
+      link_payment_ids: admin.firestore.FieldValue.arrayUnion(payment.id),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    if (link.status === 'paid') {
+      return { alreadyPaid: true, balance_due: appointment.balance_due || 0 };
+    }
+
+    const balanceDue = appointment.balance_due || 0;
+
+    // Settled at the office (or cancelled) after the link was sent: keep the money on record, let an admin sort it out
+    if (!COLLECTABLE_STATUSES.includes(appointment.status) || link.amount > balanceDue) {
+      transaction.update(appointmentRef, linkFields);
+      return {
+        review: [`payment link ${paymentLinkId} paid ₹${link.amount}, but ₹${balanceDue} was due on a ${appointment.status} appointment`],
+      };
+    }
+
+    const remaining = roundAmount(balanceDue - link.amount);
+
+    transaction.update(appointmentRef, {
+      ...linkFields,
+      link_paid: roundAmount((appointment.link_paid || 0) + link.amount),
+      ...getBalanceFields(appointment, remaining),
+    });
+
+    return { balance_due: remaining, amount: link.amount };
+  });
+
+  if (result.review) {
+    await flagForReview(businessRef, appointmentId, {
+      reason: 'balance_overpaid',
+      details: result.review,
+      payment_id: payment.id,
+      order_id: payment.order_id,
+      source,
+    });
+    return {
+      success: false,
+      error: 'This balance was already settled. Our team will review the payment and contact you.',
+    };
+  }
+
+  if (!result.alreadyPaid) {
+    console.log(`✅ Balance payment of ₹${result.amount} received by link for ${appointmentId}, ₹${result.balance_due} still due`);
+  }
+
+  return {
+    success: true,
+    purpose: 'balance',
+    alreadyPaid: Boolean(result.alreadyPaid),
+    balance_due: result.balance_due,
+  };
+};
+
+/**
+ * Apply a payment made through a payment link
+ * Used by the payment link callback (POST /payment-link/verify) and the
+ * payment_link.paid webhook. Safe to call repeatedly.
+ * - booking links confirm the held draft through the normal confirmation flow
+ * - balance links lower balance_due
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {object} options
+ * @param {string} options.paymentLinkId - Razorpay payment link ID
+ * @param {object} options.payment - Razorpay payment entity
+ * @param {string} options.source - 'payment_link' or 'webhook'
+ * @returns {Promise<{ success: boolean, error?: string, notFound?: boolean, pending?: boolean, purpose?: string, alreadyPaid?: boolean, appointment?: object, balance_due?: number }>}
+ */
+export const applyPaymentLinkPayment = async (businessRef, appointmentId, { paymentLinkId, payment, source }) => {
+  const appointmentRef = businessRef.collection('appointments').doc(appointmentId);
+  const appointmentDoc = await appointmentRef.get();
+  const appointment = appointmentDoc.data();
+  const link = appointment?.payment_links?.[paymentLinkId];
+
+  if (!link) {
+    return { success: false, notFound: true, error: 'Payment link not found' };
+  }
+
+  if (link.status === 'paid' && link.payment_id !== payment.id) {
+    await flagForReview(businessRef, appointmentId, {
+      reason: 'duplicate_payment',
+      details: [`payment ${payment.id} received for link ${paymentLinkId} after ${link.payment_id}`],
+      payment_id: payment.id,
+      order_id: payment.order_id,
+      source,
+    });
+    return {
+      success: false,
+      error: 'This link is already paid. Our team will review the extra payment and contact you.',
+    };
+  }
+
+  const mismatches = getPaymentMismatches({ order_id: payment.order_id, amount: link.amount }, payment);
+
+  if (mismatches.length > 0) {
+    await flagForReview(businessRef, appointmentId, {
+      reason: 'payment_mismatch',
+      details: mismatches,
+      payment_id: payment.id,
+      order_id: payment.order_id,
+      source,
+    });
+    return {
+      success: false,
+      error: 'Payment details do not match this booking. Our team will review it and contact you.',
+    };
+  }
+
+  if (payment.status !== 'captured') {
+    return {
+      success: false,
+      pending: true,
+      error: 'Payment is still being processed. You will receive a confirmation email shortly.',
+    };
+  }
+
+  if (link.purpose === 'balance') {
+    return applyBalancePayment(businessRef, appointmentId, paymentLinkId, payment, source);
+  }
+
+  // Razorpay creates the order when the link is paid; it becomes the booking's order
+  if (appointment.payment_status !== 'completed' && appointment.order_id !== payment.order_id) {
+    await appointmentRef.update({
+      order_id: payment.order_id,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  const result = await confirmAppointmentPayment(businessRef, appointmentId, {
+    orderId: payment.order_id,
+    payment,
+    source,
+  });
+
+  if (result.success && link.status !== 'paid') {
+    await appointmentRef.update({
+      [`payment_links.${paymentLinkId}.status`]: 'paid',
+      [`payment_links.${paymentLinkId}.payment_id`]: payment.id,
+      [`payment_links.${paymentLinkId}.paid_at`]: admin.firestore.Timestamp.now(),
+      [`payment_links.${paymentLinkId}.payment_source`]: source,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  return {
+    ...result,
+    purpose: 'booking',
+    alreadyPaid: link.status === 'paid',
+  };
+};
@@ -0,0 +1,221 @@
+// Backend/services/paymentPlan.service.js - DEPOSITS + PAY AT OFFICE
+import crypto from 'crypto';
+import admin from 'firebase-admin';
+import { MIN_PAYABLE_AMOUNT } from './coupon.service.js';
+
+const getDb = () => admin.firestore();
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * How much of the price is paid online when booking
+ *   full            - everything (default)
+ *   deposit_fixed   - deposit_value rupees, the rest at the office
+ *   deposit_percent - deposit_value percent, the rest at the office
+ *   pay_later       - nothing online, everything at the office
+ */
+export const PAYMENT_MODES = ['full', 'deposit_fixed', 'deposit_percent', 'pay_later'];
+
+export const OFFLINE_PAYMENT_METHODS = ['cash', 'upi', 'card', 'bank_transfer', 'other'];
+
+// Appointment statuses that can still take balance payments
+export const COLLECTABLE_STATUSES = ['pending', 'confirmed', 'completed', 'no_show'];
+
+/**
+ * Payment statuses of a booking that goes ahead
+ *   completed       - paid online when booking (in full or the deposit), or fully paid later
+ *   pending_offline - pay at office, nothing paid yet
+ *   not_required    - complimentary
+ */
+export const SECURED_PAYMENT_STATUSES = ['completed', 'pending_offline', 'not_required'];
+
+/**
+ * Check whether an appointment's payment lets the booking go ahead
+ */
+export const isPaymentSecured = (appointment) => {
+  return SECURED_PAYMENT_STATUSES.includes(appointment.payment_status);
+};
+
+/**
+ * Validate payment_mode / deposit_value (on a service or in system settings)
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const getPaymentModeError = (data) => {
+  if (data.payment_mode === undefined || data.payment_mode === null) {
+    return null;
+  }
+
+  if (!PAYMENT_MODES.includes(data.payment_mode)) {
+    return `payment_mode must be one of: ${PAYMENT_MODES.join(', ')}`;
+  }
+
+  if (data.payment_mode.startsWith('deposit_')) {
+    const value = Number(data.deposit_value);
+
+    if (!(value > 0)) {
+      return 'deposit_value must be a positive number';
+    }
+
+    if (data.payment_mode === 'deposit_percent' && value >= 100) {
+      return 'deposit_value must be below 100 for a percentage deposit';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Keep only the payment mode fields
+ */
+export const toPaymentModeFields = (data) => {
+  const fields = {};
+
+  if (data.payment_mode !== undefined) fields.payment_mode = data.payment_mode || null;
+  if (data.deposit_value !== undefined) fields.deposit_value = Number(data.deposit_value) || 0;
+
+  return fields;
+};
+
+/**
+ * Get the payment mode of a booking
+ * A service's own setting wins over the business-wide one in system settings.
+ * @returns {{ payment_mode: string, deposit_value: number }}
+ */
+export const getPaymentModeConfig = (settings = {}, service = null) => {
+  const source = service?.payment_mode ? service : settings;
+
+  return {
+    payment_mode: source.payment_mode || 'full',
+    deposit_value: Number(source.deposit_value) || 0,
+  };
+};
+
+/**
+ * Split a booking price into what is paid online now and what is due at the office
+ * Online payments are at least MIN_PAYABLE_AMOUNT, as Razorpay can't take less.
+ * @param {object} config - { payment_mode, deposit_value }
+ * @param {number} total - Price of the booking (after any discount)
+ * @returns {{ payment_mode: string, total_amount: number, online_amount: number, balance_due: number }}
+ */
+export const getPaymentPlan = ({ payment_mode, deposit_value }, total) => {
+  let online = total;
+
+  if (payment_mode === 'pay_later') {
+    online = 0;
+  } else if (payment_mode === 'deposit_fixed') {
+    online = deposit_value;
+  } else if (payment_mode === 'deposit_percent') {
+    online = roundAmount((total * deposit_value) / 100);
+  }
+
+  if (payment_mode !== 'pay_later') {
+    online = Math.min(total, Math.max(online, MIN_PAYABLE_AMOUNT));
+  }
+
+  return {
+    payment_mode: online >= total ? 'full' : payment_mode,
+    total_amount: total,
+    online_amount: online,
+    balance_due: roundAmount(total - online),
+  };
+};
+
+/**
+ * Fields stored on an appointment for its payment plan
+ * Fully prepaid bookings don't get any, so they look like they always have.
+ */
+export const getPaymentPlanFields = (plan) => {
+  if (plan.balance_due <= 0) return {};
+
+  return {
+    payment_mode: plan.payment_mode,
+    total_amount: plan.total_amount,
+    balance_due: plan.balance_due,
+    offline_paid: 0,
+  };
+};
+
+/**
+ * Fields to store when a balance payment leaves `remaining` due
+ * A pay-at-office booking becomes 'completed' once it is fully paid.
+ */
+export const getBalanceFields = (appointment, remaining) => {
+  return {
+    balance_due: remaining,
+    ...(remaining <= 0 && appointment.payment_status === 'pending_offline' && { payment_status: 'completed' }),
+  };
+};
+
+/**
+ * Full price of an appointment
+ * Deposit and pay-at-office bookings keep it in total_amount; other bookings are paid in full online.
+ */
+export const getBookingTotal = (appointment) => {
+  return appointment.total_amount ?? (appointment.amount || 0);
+};
+
+/**
+ * Everything paid for an appointment so far: at booking, at the office and by payment link
+ */
+export const getAmountPaid = (appointment) => {
+  return roundAmount((appointment.amount || 0) + (appointment.offline_paid || 0) + (appointment.link_paid || 0));
+};
+
+/**
+ * Record a payment taken at the office (cash, UPI, card...)
+ * Kept as offline_payments.{paymentId} = { amount, method, reference, note, ... }
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {object} payment - { amount, method, reference, note, recorded_by }
+ * @returns {Promise<{ success: boolean, error?: string, notFound?: boolean, payment?: object, balance_due?: number }>}
+ */
+export const recordOfflinePayment = async (businessRef, appointmentId, { amount, method, reference = '', note = '', recorded_by = 'admin' }) => {
+  const appointmentRef = businessRef.collection('appointments').doc(appointmentId);
+
+  return getDb().runTransaction(async (transaction) => {
+    const doc = await transaction.get(appointmentRef);
+
+    if (!doc.exists) {
+      return { success: false, notFound: true, error: 'Appointment not found' };
+    }
+
+    const appointment = doc.data();
+
+    if (!isPaymentSecured(appointment) || !COLLECTABLE_STATUSES.includes(appointment.status)) {
+      return { success: false, error: `Can't record a payment for a ${appointment.status} appointment` };
+    }
+
+    const balanceDue = appointment.balance_due || 0;
+    const paid = roundAmount(Number(amount));
+
+    if (balanceDue <= 0) {
+      return { success: false, error: 'This appointment has no balance due' };
+    }
+
+    if (paid > balanceDue) {
+      return { success: false, error: `Amount is more than the balance due (₹${balanceDue})` };
+    }
+
+    const paymentId = crypto.randomUUID();
+    const entry = {
+      amount: paid,
+      method,
+      reference,
+      note,
+      recorded_by,
+      recorded_at: admin.firestore.Timestamp.now(),
+    };
+    const remaining = roundAmount(balanceDue - paid);
+
+    transaction.update(appointmentRef, {
+      [`offline_payments.${paymentId}`]: entry,
+      offline_paid: roundAmount((appointment.offline_paid || 0) + paid),
+      ...getBalanceFields(appointment, remaining),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    console.log(`✅ Offline payment of ₹${paid} (${method}) recorded for ${appointmentId}, ₹${remaining} still due`);
+
+    return { success: true, payment: { id: paymentId, ...entry }, balance_due: remaining };
+  });
+};
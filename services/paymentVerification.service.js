@@ -0,0 +1,81 @@
+// Backend/services/paymentVerification.service.js - PAYMENT CROSS-CHECKS + REVIEW QUEUE
+import admin from 'firebase-admin';
+import { getPaymentMode } from './razorpay.service.js';
+
+/**
+ * Compare a provider payment against the stored appointment
+ * Mock payments carry no real order/amount, so only live/test payments are checked.
+ * @param {object} appointment - Appointment document data
+ * @param {object} payment - Razorpay payment entity
+ * @returns {Array<string>} - Human readable mismatches (empty if everything matches)
+ */
+export const getPaymentMismatches = (appointment, payment) => {
+  if (getPaymentMode() === 'mock') {
+    return [];
+  }
+
+  const mismatches = [];
+  const expectedAmount = Math.round((appointment.amount || 0) * 100); // Rupees to paise
+
+  if (payment.order_id !== appointment.order_id) {
+    mismatches.push(`order_id ${payment.order_id} does not match ${appointment.order_id}`);
+  }
+
+  if (payment.amount !== expectedAmount) {
+    mismatches.push(`amount ${payment.amount} does not match ${expectedAmount}`);
+  }
+
+  if (payment.currency !== 'INR') {
+    mismatches.push(`currency ${payment.currency} is not INR`);
+  }
+
+  return mismatches;
+};
+
+/**
+ * Add an appointment to the admin review queue
+ * Stored at businesses/{businessId}/payment_reviews/{autoId}
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {object} review - { reason, details, payment_id, order_id, source }
+ * @returns {Promise<string>} - Review ID
+ */
+export const flagForReview = async (businessRef, appointmentId, review) => {
+  const reviewsRef = businessRef.collection('payment_reviews');
+
+  // Repeated verify/webhook calls reuse the open review instead of adding another
+  const existing = await reviewsRef
+    .where('appointment_id', '==', appointmentId)
+    .where('reason', '==', review.reason)
+    .where('status', '==', 'open')
+    .limit(1)
+    .get();
+
+  if (!existing.empty) {
+    return existing.docs[0].id;
+  }
+
+  const reviewRef = reviewsRef.doc();
+
+  await reviewRef.set({
+    appointment_id: appointmentId,
+    reason: review.reason,
+    details: review.details || [],
+    payment_id: review.payment_id || '',
+    order_id: review.order_id || '',
+    source: review.source || '',
+    status: 'open',
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  await businessRef.collection('appointments').doc(appointmentId).update({
+    requires_review: true,
+    review_reason: review.reason,
+    review_id: reviewRef.id,
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  console.error(`⚠️  Appointment ${appointmentId} flagged for review: ${review.reason}`);
+
+  return reviewRef.id;
+};
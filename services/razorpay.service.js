@@ -1,7 +1,8 @@
-// Backend/services/razorpay.service.js - PRODUCTION READY (MOCK VERSION)
+// Backend/services/razorpay.service.js - PRODUCTION READY (REAL CLIENT + MOCK MODE)
 import crypto from 'crypto';
+import Razorpay from 'razorpay';
 
-// MOCK RAZORPAY FOR TESTING - NO REAL API NEEDED
+// MOCK RAZORPAY FOR TESTING - ONLY USED WHEN RAZORPAY_MOCK_MODE=true
 const mockRazorpay = {
   orders: {
     create: async (options) => {
@@ -32,39 +33,213 @@ const mockRazorpay = {
         method: 'card',
         captured: true,
       };
+    },
+    all: async () => {
+      await new Promise(resolve => setTimeout(resolve, 300));
+      return { entity: 'collection', count: 0, items: [] };
+    },
+    refund: async (paymentId, options) => {
+      await new Promise(resolve => setTimeout(resolve, 300));
+      return {
+        id: 'rfnd_mock_' + Date.now(),
+        entity: 'refund',
+        amount: options.amount,
+        currency: 'INR',
+        payment_id: paymentId,
+        notes: options.notes || {},
+        status: 'processed',
+        created_at: Math.floor(Date.now() / 1000),
+      };
+    }
+  },
+  paymentLink: {
+    create: async (options) => {
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const id = 'plink_mock_' + Date.now();
+      return {
+        id,
+        entity: 'payment_link',
+        amount: options.amount,
+        amount_paid: 0,
+        currency: options.currency,
+        reference_id: options.reference_id,
+        description: options.description,
+        expire_by: options.expire_by,
+        notes: options.notes || {},
+        short_url: 'https://rzp.io/i/' + id,
+        status: 'created',
+        created_at: Math.floor(Date.now() / 1000),
+      };
+    },
+    cancel: async (paymentLinkId) => {
+      await new Promise(resolve => setTimeout(resolve, 300));
+      return { id: paymentLinkId, entity: 'payment_link', status: 'cancelled' };
     }
   }
 };
 
+let razorpayClient = null;
+
+/**
+ * Get the active payment mode
+ * Read lazily because environment variables are loaded after imports
+ * @returns {'mock'|'live'|'test'|'unconfigured'}
+ */
+export const getPaymentMode = () => {
+  if (process.env.RAZORPAY_MOCK_MODE === 'true') {
+    return 'mock';
+  }
+
+  if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
+    return process.env.RAZORPAY_KEY_ID.startsWith('rzp_live_') ? 'live' : 'test';
+  }
+
+  return 'unconfigured';
+};
+
+/**
+ * Get the Razorpay client for the current mode
+ */
+const getClient = () => {
+  const mode = getPaymentMode();
+
+  if (mode === 'mock') {
+    return mockRazorpay;
+  }
+
+  if (mode === 'unconfigured') {
+    throw new Error('Razorpay is not configured. Set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET (or RAZORPAY_MOCK_MODE=true for testing)');
+  }
+
+  if (!razorpayClient) {
+    razorpayClient = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET,
+    });
+  }
+
+  return razorpayClient;
+};
+
 export const createOrder = async (amount, currency = 'INR', receipt) => {
   try {
     const options = {
-      amount: amount * 100, // Convert to paise
+      amount: Math.round(amount * 100), // Convert to paise
       currency,
       receipt,
       payment_capture: 1,
     };
 
-    const order = await mockRazorpay.orders.create(options);
+    const order = await getClient().orders.create(options);
     return order;
   } catch (error) {
     console.error('❌ Order creation error:', error);
-    throw new Error(`Failed to create payment order: ${error.message}`);
+    throw new Error(`Failed to create payment order: ${error.message || error.error?.description}`);
   }
 };
 
+/**
+ * Verify the checkout signature: HMAC-SHA256 of "order_id|payment_id" with the key secret
+ */
 export const verifyPaymentSignature = (
   razorpay_order_id,
   razorpay_payment_id,
   razorpay_signature
 ) => {
-  // Always return true in mock mode
-  return true;
+  const mode = getPaymentMode();
+
+  if (mode === 'mock') {
+    return true;
+  }
+
+  if (mode === 'unconfigured') {
+    console.error('❌ Cannot verify payment signature: Razorpay is not configured');
+    return false;
+  }
+
+  if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+    return false;
+  }
+
+  const expectedSignature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(`${razorpay_order_id}|${razorpay_payment_id}`)
+    .digest('hex');
+
+  const expected = Buffer.from(expectedSignature);
+  const received = Buffer.from(String(razorpay_signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Verify the payment link callback signature:
+ * HMAC-SHA256 of "payment_link_id|reference_id|status|payment_id" with the key secret
+ */
+export const verifyPaymentLinkSignature = ({
+  razorpay_payment_link_id,
+  razorpay_payment_link_reference_id,
+  razorpay_payment_link_status,
+  razorpay_payment_id,
+  razorpay_signature,
+}) => {
+  const mode = getPaymentMode();
+
+  if (mode === 'mock') {
+    return true;
+  }
+
+  if (mode === 'unconfigured') {
+    console.error('❌ Cannot verify payment link signature: Razorpay is not configured');
+    return false;
+  }
+
+  if (!razorpay_payment_link_id || !razorpay_payment_id || !razorpay_signature) {
+    return false;
+  }
+
+  const expectedSignature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(`${razorpay_payment_link_id}|${razorpay_payment_link_reference_id || ''}|${razorpay_payment_link_status}|${razorpay_payment_id}`)
+    .digest('hex');
+
+  const expected = Buffer.from(expectedSignature);
+  const received = Buffer.from(String(razorpay_signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Verify a webhook signature: HMAC-SHA256 of the raw request body with the webhook secret
+ * @param {Buffer|string} rawBody - Exact request body received from Razorpay
+ * @param {string} signature - Value of the X-Razorpay-Signature header
+ */
+export const verifyWebhookSignature = (rawBody, signature) => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+  if (!secret) {
+    console.error('❌ Cannot verify webhook: RAZORPAY_WEBHOOK_SECRET is not configured');
+    return false;
+  }
+
+  if (!rawBody || !signature) {
+    return false;
+  }
+
+  const expectedSignature = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('hex');
+
+  const expected = Buffer.from(expectedSignature);
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
 };
 
 export const fetchPaymentDetails = async (paymentId) => {
   try {
-    const payment = await mockRazorpay.payments.fetch(paymentId);
+    const payment = await getClient().payments.fetch(paymentId);
     return payment;
   } catch (error) {
     console.error('❌ Payment fetch error:', error);
@@ -72,5 +247,105 @@ export const fetchPaymentDetails = async (paymentId) => {
   }
 };
 
-export default mockRazorpay;
-export const createRazorpayOrder = createOrder;
\ No newline at end of file
+/**
+ * List all payments created in a time range (follows pagination)
+ * @param {number} from - Unix timestamp (seconds)
+ * @param {number} to - Unix timestamp (seconds)
+ * @returns {Promise<Array<object>>} - Razorpay payment entities
+ */
+export const fetchPaymentsBetween = async (from, to) => {
+  const pageSize = 100;
+  const payments = [];
+
+  try {
+    for (let skip = 0; ; skip += pageSize) {
+      const page = await getClient().payments.all({ from, to, count: pageSize, skip });
+      payments.push(...page.items);
+
+      if (page.items.length < pageSize) break;
+    }
+  } catch (error) {
+    console.error('❌ Payment list error:', error);
+    throw new Error(`Failed to list payments: ${error.message || error.error?.description}`);
+  }
+
+  return payments;
+};
+
+/**
+ * Create a payment link (Razorpay hosted payment page)
+ * Razorpay doesn't notify the customer; the link is emailed by us.
+ * @param {object} options
+ * @param {number} options.amount - Amount in rupees
+ * @param {string} options.referenceId - Unique reference (max 40 characters)
+ * @param {string} options.description - Shown on the payment page
+ * @param {object} options.customer - { name, email, contact }
+ * @param {number} options.expireBy - Unix timestamp (seconds), at least 15 minutes ahead
+ * @param {string} [options.callbackUrl] - Where the customer is sent after paying
+ * @param {object} [options.notes] - Key/value notes, copied to the payment
+ */
+export const createPaymentLink = async ({ amount, referenceId, description, customer, expireBy, callbackUrl, notes = {} }) => {
+  try {
+    const paymentLink = await getClient().paymentLink.create({
+      amount: Math.round(amount * 100), // Convert to paise
+      currency: 'INR',
+      accept_partial: false,
+      reference_id: referenceId,
+      description,
+      customer,
+      expire_by: expireBy,
+      notify: { sms: false, email: false },
+      reminder_enable: false,
+      notes,
+      ...(callbackUrl && { callback_url: callbackUrl, callback_method: 'get' }),
+    });
+    return paymentLink;
+  } catch (error) {
+    console.error('❌ Payment link creation error:', error);
+    throw new Error(`Failed to create payment link: ${error.message || error.error?.description}`);
+  }
+};
+
+export const cancelPaymentLink = async (paymentLinkId) => {
+  try {
+    const paymentLink = await getClient().paymentLink.cancel(paymentLinkId);
+    return paymentLink;
+  } catch (error) {
+    console.error('❌ Payment link cancel error:', error);
+    throw new Error(`Failed to cancel payment link: ${error.message || error.error?.description}`);
+  }
+};
+
+/**
+ * Refund a captured payment (full or partial)
+ * @param {string} paymentId - Razorpay payment ID
+ * @param {number} amount - Amount to refund in rupees
+ * @param {object} notes - Key/value notes stored on the refund
+ */
+export const createRefund = async (paymentId, amount, notes = {}) => {
+  try {
+    const refund = await getClient().payments.refund(paymentId, {
+      amount: Math.round(amount * 100), // Convert to paise
+      speed: 'normal',
+      notes,
+    });
+    return refund;
+  } catch (error) {
+    console.error('❌ Refund creation error:', error);
+    throw new Error(`Failed to create refund: ${error.message || error.error?.description}`);
+  }
+};
+
+export default {
+  getPaymentMode,
+  createOrder,
+  verifyPaymentSignature,
+  verifyPaymentLinkSignature,
+  verifyWebhookSignature,
+  fetchPaymentDetails,
+  fetchPaymentsBetween,
+  createPaymentLink,
+  cancelPaymentLink,
+  createRefund,
+};
+export const createRazorpayOrder = createOrder;
@@ -0,0 +1,364 @@
+// Backend/services/reconciliation.service.js - PAYMENT RECONCILIATION WITH RAZORPAY
+import cron from 'node-cron';
+import admin from 'firebase-admin';
+import { fetchPaymentsBetween, fetchPaymentDetails } from './razorpay.service.js';
+import { confirmAppointmentPayment } from './bookingConfirmation.service.js';
+import { confirmPackagePurchase } from './package.service.js';
+import { flagForReview, getPaymentMismatches } from './paymentVerification.service.js';
+
+const getDb = () => admin.firestore();
+
+// The scheduled run looks this far back, so every payment is checked more than once
+const DEFAULT_LOOKBACK_HOURS = 48;
+
+// Newer payments are left to checkout and the webhook
+const SETTLE_MINUTES = 15;
+
+// Razorpay payment states where the money was taken
+const PAID_PAYMENT_STATES = ['captured', 'refunded'];
+
+/**
+ * Runs are stored at reconciliation_runs/{runId} (top level: one Razorpay
+ * account serves every business). Each item carries its business_id.
+ */
+const getRunsRef = () => getDb().collection('reconciliation_runs');
+
+/**
+ * Find a document in any business by order_id
+ * Requires a collection group index on {collection}.order_id
+ */
+const findByOrderId = async (collection, orderId) => {
+  const snapshot = await getDb()
+    .collectionGroup(collection)
+    .where('order_id', '==', orderId)
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? null : snapshot.docs[0];
+};
+
+const toRupees = (paise) => paise / 100;
+
+/**
+ * Report entry for one payment or appointment
+ */
+const toItem = (type, doc, payment, details = []) => ({
+  type,
+  business_id: doc ? doc.ref.parent.parent.id : null,
+  appointment_id: doc?.ref.parent.id === 'appointments' ? doc.id : null,
+  purchase_id: doc?.ref.parent.id === 'package_purchases' ? doc.id : null,
+  order_id: payment.order_id || null,
+  payment_id: payment.id,
+  amount: toRupees(payment.amount || 0),
+  details,
+});
+
+// ==================== CHECKS ====================
+
+/**
+ * Check a paid Razorpay payment against the appointment that owns its order
+ * Unpaid drafts are confirmed through the normal confirmation flow.
+ * @returns {Promise<object|null>} - Report item, or null if everything matches
+ */
+const reconcileAppointment = async (appointmentDoc, payment) => {
+  const appointment = appointmentDoc.data();
+  const businessRef = appointmentDoc.ref.parent.parent;
+  const review = { payment_id: payment.id, order_id: payment.order_id, source: 'reconciliation' };
+
+  if (['completed', 'refunded'].includes(appointment.payment_status)) {
+    if (appointment.payment_id && appointment.payment_id !== payment.id) {
+      const details = [`payment ${payment.id} received after ${appointment.payment_id}`];
+      await flagForReview(businessRef, appointmentDoc.id, { ...review, reason: 'duplicate_payment', details });
+      return toItem('duplicate_payment', appointmentDoc, payment, details);
+    }
+
+    const mismatches = getPaymentMismatches(appointment, payment);
+    if (mismatches.length > 0) {
+      await flagForReview(businessRef, appointmentDoc.id, { ...review, reason: 'payment_mismatch', details: mismatches });
+      return toItem('amount_mismatch', appointmentDoc, payment, mismatches);
+    }
+
+    return null;
+  }
+
+  if (payment.status !== 'captured') {
+    return toItem('review', appointmentDoc, payment, [`payment is ${payment.status} but the booking was never confirmed`]);
+  }
+
+  // Checkout and webhook both missed it (closed tab, webhook not delivered).
+  // A draft that already expired or was cancelled gets the payment recorded and is flagged.
+  const result = await confirmAppointmentPayment(businessRef, appointmentDoc.id, {
+    orderId: payment.order_id,
+    payment,
+    source: 'reconciliation',
+  });
+
+  if (result.closed) {
+    return toItem('paid_after_expiry', appointmentDoc, payment, [`payment captured while the appointment is ${appointment.status}`]);
+  }
+
+  return result.success
+    ? toItem('fixed', appointmentDoc, payment, ['unpaid draft confirmed'])
+    : toItem('review', appointmentDoc, payment, [result.error]);
+};
+
+/**
+ * Check a paid Razorpay payment against the package purchase that owns its order
+ * @returns {Promise<object|null>} - Report item, or null if everything matches
+ */
+const reconcilePurchase = async (purchaseDoc, payment) => {
+  const purchase = purchaseDoc.data();
+
+  if (purchase.status === 'paid') {
+    if (purchase.payment_id !== payment.id) {
+      return toItem('duplicate_payment', purchaseDoc, payment, [`payment ${payment.id} received after ${purchase.payment_id}`]);
+    }
+
+    const mismatches = getPaymentMismatches(purchase, payment);
+    return mismatches.length > 0 ? toItem('amount_mismatch', purchaseDoc, payment, mismatches) : null;
+  }
+
+  if (payment.status !== 'captured') {
+    return toItem('review', purchaseDoc, payment, [`payment is ${payment.status} but the purchase is ${purchase.status}`]);
+  }
+
+  const result = await confirmPackagePurchase(purchaseDoc.ref.parent.parent, purchaseDoc.id, {
+    orderId: payment.order_id,
+    payment,
+    source: 'reconciliation',
+  });
+
+  return result.success
+    ? toItem('fixed', purchaseDoc, payment, ['unpaid package purchase confirmed'])
+    : toItem('review', purchaseDoc, payment, [result.error]);
+};
+
+/**
+ * Check a payment made through a payment link against the appointment it was sent for
+ * The payment names the appointment (link notes) but not the link, so a payment
+ * that was never recorded is left for an admin instead of being applied here.
+ * @returns {Promise<object|null>} - Report item, or null if it was recorded
+ */
+const reconcilePaymentLinkPayment = async (payment) => {
+  const { business_id, appointment_id } = payment.notes;
+  const appointmentDoc = await getDb()
+    .collection('businesses')
+    .doc(business_id)
+    .collection('appointments')
+    .doc(appointment_id)
+    .get();
+
+  if (!appointmentDoc.exists) {
+    return toItem('orphan_payment', null, payment, [`no appointment ${appointment_id} for this payment link payment`]);
+  }
+
+  const links = Object.values(appointmentDoc.data().payment_links || {});
+
+  return links.some((link) => link.payment_id === payment.id)
+    ? null
+    : toItem('review', appointmentDoc, payment, ['payment link paid, but the payment is not recorded on the appointment']);
+};
+
+/**
+ * Appointments created in the range that Firestore marks as paid, but whose
+ * payment wasn't in Razorpay's list: fetch each one and check it was really taken
+ * Requires a collection group index on appointments.created_at
+ */
+const findUncapturedPayments = async (from, to, seenPaymentIds, businessId = null) => {
+  const snapshot = await getDb()
+    .collectionGroup('appointments')
+    .where('created_at', '>=', admin.firestore.Timestamp.fromDate(from))
+    .where('created_at', '<=', admin.firestore.Timestamp.fromDate(to))
+    .get();
+
+  const items = [];
+
+  for (const doc of snapshot.docs) {
+    const appointment = doc.data();
+
+    if (businessId && doc.ref.parent.parent.id !== businessId) {
+      continue;
+    }
+
+    if (appointment.payment_status !== 'completed' || !appointment.payment_id || seenPaymentIds.has(appointment.payment_id)) {
+      continue;
+    }
+
+    const payment = await fetchPaymentDetails(appointment.payment_id);
+
+    if (!PAID_PAYMENT_STATES.includes(payment.status)) {
+      const details = [`Razorpay payment is ${payment.status}, but the appointment is marked paid`];
+      await flagForReview(doc.ref.parent.parent, doc.id, {
+        reason: 'payment_not_captured',
+        details,
+        payment_id: payment.id,
+        order_id: appointment.order_id,
+        source: 'reconciliation',
+      });
+      items.push(toItem('not_captured', doc, payment, details));
+    }
+  }
+
+  return items;
+};
+
+// ==================== RUN ====================
+
+/**
+ * Count a run's findings by type
+ * Also used to rebuild the summary of one business's share of a run.
+ * @param {object[]} items - Report items
+ * @param {object} counts - { payments_checked, matched }
+ * @returns {object} - Run summary
+ */
+export const getRunSummary = (items, { payments_checked, matched }) => {
+  const count = (type) => items.filter((item) => item.type === type).length;
+
+  return {
+    payments_checked,
+    matched,
+    fixed: count('fixed'),
+    orphan_payments: count('orphan_payment'),
+    amount_mismatches: count('amount_mismatch'),
+    duplicate_payments: count('duplicate_payment'),
+    paid_after_expiry: count('paid_after_expiry'),
+    not_captured: count('not_captured'),
+    needs_review: count('review'),
+    errors: count('error'),
+  };
+};
+
+/**
+ * Reconcile Razorpay payments created in a time range with Firestore
+ * - Unpaid drafts and package purchases whose payment was captured are confirmed
+ * - Captured payments without an appointment or purchase are reported as orphans
+ * - Payment link payments not recorded on their appointment go to the report for review
+ * - Amount mismatches, extra payments and payments on expired drafts go to the review queue
+ * - Appointments marked paid whose payment wasn't captured go to the review queue
+ * The scheduled run covers every business. A run for one business (admin trigger)
+ * only acts on that business's appointments and purchases, and skips orphan payments.
+ * @param {object} options
+ * @param {Date} options.from - Start of the range
+ * @param {Date} options.to - End of the range
+ * @param {string} [options.trigger] - 'schedule' or 'admin'
+ * @param {string} [options.businessId] - Only reconcile this business
+ * @returns {Promise<object>} - The stored run, with id
+ */
+export const reconcilePayments = async ({ from, to, trigger = 'schedule', businessId = null }) => {
+  const startedAt = admin.firestore.Timestamp.now();
+  const payments = await fetchPaymentsBetween(
+    Math.floor(from.getTime() / 1000),
+    Math.floor(to.getTime() / 1000)
+  );
+
+  const items = [];
+  const seenPaymentIds = new Set();
+  const matchedByBusiness = {};
+  let checked = 0;
+  let matched = 0;
+
+  for (const payment of payments) {
+    if (!PAID_PAYMENT_STATES.includes(payment.status)) continue;
+
+    seenPaymentIds.add(payment.id);
+
+    try {
+      let item;
+      let ownerId = null;
+
+      if (!payment.order_id) {
+        if (businessId) continue;
+        item = toItem('orphan_payment', null, payment, ['payment has no order']);
+      } else {
+        const appointmentDoc = await findByOrderId('appointments', payment.order_id);
+        const purchaseDoc = appointmentDoc ? null : await findByOrderId('package_purchases', payment.order_id);
+        const ownerDoc = appointmentDoc || purchaseDoc;
+        ownerId = ownerDoc ? ownerDoc.ref.parent.parent.id : payment.notes?.business_id || null;
+
+        // Payments of other businesses (and orphans) are left to the scheduled run
+        if (businessId && ownerId !== businessId) continue;
+
+        if (appointmentDoc) {
+          item = await reconcileAppointment(appointmentDoc, payment);
+        } else if (purchaseDoc) {
+          item = await reconcilePurchase(purchaseDoc, payment);
+        } else if (payment.notes?.payment_link_purpose && payment.notes.business_id && payment.notes.appointment_id) {
+          item = await reconcilePaymentLinkPayment(payment);
+        } else {
+          item = toItem('orphan_payment', null, payment, [`no appointment or package purchase for order ${payment.order_id}`]);
+        }
+      }
+
+      checked++;
+
+      if (item) {
+        items.push(item);
+      } else {
+        matched++;
+        if (ownerId) {
+          matchedByBusiness[ownerId] = (matchedByBusiness[ownerId] || 0) + 1;
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Reconciliation failed for payment ${payment.id}:`, error.message);
+      items.push(toItem('error', null, payment, [error.message]));
+    }
+  }
+
+  items.push(...await findUncapturedPayments(from, to, seenPaymentIds, businessId));
+
+  const run = {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    trigger,
+    business_id: businessId,
+    summary: getRunSummary(items, { payments_checked: checked, matched }),
+    matched_by_business: matchedByBusiness,
+    items,
+    started_at: startedAt,
+    finished_at: admin.firestore.Timestamp.now(),
+  };
+
+  const runRef = await getRunsRef().add(run);
+
+  const problems = items.length - run.summary.fixed;
+  console.log(`🔄 Reconciled ${checked} payments: ${run.summary.fixed} fixed, ${problems} need attention`);
+
+  return { id: runRef.id, ...run };
+};
+
+/**
+ * Get recent reconciliation runs, newest first
+ */
+export const getReconciliationRuns = async (limit = 10) => {
+  const snapshot = await getRunsRef().orderBy('started_at', 'desc').limit(limit).get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+/**
+ * @returns {Promise<object|null>} - null if it doesn't exist
+ */
+export const getReconciliationRun = async (runId) => {
+  const doc = await getRunsRef().doc(runId).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+};
+
+/**
+ * Reconcile the last DEFAULT_LOOKBACK_HOURS every day at 03:30 (Asia/Kolkata)
+ */
+export const startReconciliationJob = () => {
+  cron.schedule('30 3 * * *', async () => {
+    const to = new Date(Date.now() - SETTLE_MINUTES * 60 * 1000);
+    const from = new Date(to.getTime() - DEFAULT_LOOKBACK_HOURS * 60 * 60 * 1000);
+
+    try {
+      await reconcilePayments({ from, to });
+    } catch (error) {
+      console.error('❌ Error reconciling payments:', error);
+    }
+  }, {
+    timezone: 'Asia/Kolkata'
+  });
+
+  console.log('✅ Payment reconciliation job scheduled');
+};
@@ -0,0 +1,316 @@
+// Backend/services/refund.service.js - REFUNDS + CANCELLATION POLICY
+import crypto from 'crypto';
+import admin from 'firebase-admin';
+import { createRefund } from './razorpay.service.js';
+import brevoService from './brevo.service.js';
+import { getMinutesUntil } from '../utils/helpers.js';
+
+const getDb = () => admin.firestore();
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Used when system/settings has no cancellation_policy
+export const DEFAULT_CANCELLATION_POLICY = {
+  full_refund_hours: 24,       // Full refund when cancelled at least this many hours before the start
+  partial_refund_percent: 50,  // Refund percentage inside that window, until the appointment starts
+};
+
+/**
+ * Get the cancellation policy from system settings (falls back to defaults)
+ */
+export const getCancellationPolicy = (settings = {}) => ({
+  ...DEFAULT_CANCELLATION_POLICY,
+  ...(settings.cancellation_policy || {}),
+});
+
+/**
+ * Razorpay payments of an appointment: the booking payment and balance payments by payment link
+ * (a booking link's payment is the booking payment itself)
+ * @returns {Array<{ payment_id: string, amount: number }>}
+ */
+export const getOnlinePayments = (appointment) => {
+  const payments = [];
+
+  if (appointment.payment_id && appointment.amount > 0) {
+    payments.push({ payment_id: appointment.payment_id, amount: appointment.amount });
+  }
+
+  Object.values(appointment.payment_links || {})
+    .filter((link) => link.purpose === 'balance' && link.status === 'paid' && link.payment_id)
+    .forEach((link) => payments.push({ payment_id: link.payment_id, amount: link.amount }));
+
+  return payments;
+};
+
+/**
+ * Total paid through Razorpay (rupees)
+ */
+export const getOnlinePaid = (appointment) => {
+  return roundAmount(getOnlinePayments(appointment).reduce((sum, payment) => sum + payment.amount, 0));
+};
+
+/**
+ * What can still be refunded on each Razorpay payment
+ * Reserved, pending and processed refunds count against their payment, failed ones don't.
+ * Refunds recorded without a payment_id were made on the booking payment.
+ * @returns {Array<{ payment_id: string, amount: number, refundable: number }>}
+ */
+const getRefundablePayments = (appointment) => {
+  const committed = {};
+
+  Object.values(appointment.refunds || {})
+    .filter((entry) => entry.status !== 'failed')
+    .forEach((entry) => {
+      const paymentId = entry.payment_id || appointment.payment_id;
+      committed[paymentId] = (committed[paymentId] || 0) + (entry.amount || 0);
+    });
+
+  return getOnlinePayments(appointment).map((payment) => ({
+    ...payment,
+    refundable: Math.max(0, roundAmount(payment.amount - (committed[payment.payment_id] || 0))),
+  }));
+};
+
+/**
+ * Amount (rupees) that can still be refunded, across all Razorpay payments
+ */
+export const getRefundableAmount = (appointment) => {
+  return roundAmount(getRefundablePayments(appointment).reduce((sum, payment) => sum + payment.refundable, 0));
+};
+
+/**
+ * Split a refund across the Razorpay payments, booking payment first
+ * @returns {Array<{ payment_id: string, amount: number }>}
+ */
+const splitRefund = (appointment, amount) => {
+  const parts = [];
+  let left = amount;
+
+  for (const payment of getRefundablePayments(appointment)) {
+    if (left <= 0) break;
+
+    const part = roundAmount(Math.min(left, payment.refundable));
+    if (part > 0) {
+      parts.push({ payment_id: payment.payment_id, amount: part });
+      left = roundAmount(left - part);
+    }
+  }
+
+  return parts;
+};
+
+/**
+ * Work out the refund the policy allows if the appointment is cancelled now
+ * @param {object} appointment - Appointment document data
+ * @param {object} settings - System settings
+ * @returns {{ rule: 'full'|'partial'|'none', percent: number, amount: number }}
+ */
+export const calculatePolicyRefund = (appointment, settings) => {
+  const policy = getCancellationPolicy(settings);
+  const minutesUntilStart = getMinutesUntil(appointment.date, appointment.time_slot);
+
+  let rule = 'none';
+  let percent = 0;
+
+  if (minutesUntilStart >= policy.full_refund_hours * 60) {
+    rule = 'full';
+    percent = 100;
+  } else if (minutesUntilStart > 0) {
+    rule = 'partial';
+    percent = policy.partial_refund_percent;
+  }
+
+  const amount = Math.min(
+    roundAmount((getOnlinePaid(appointment) * percent) / 100),
+    getRefundableAmount(appointment),
+  );
+
+  return { rule, percent, amount };
+};
+
+/**
+ * Store a Razorpay refund on the appointment
+ * Kept as refunds.{refundId} = { amount, status, ... }; shared with the refund webhooks.
+ * @param {FirebaseFirestore.DocumentReference} appointmentRef - Appointment reference
+ * @param {object} refund - Razorpay refund entity
+ * @param {object} details - Extra fields for the refund entry (reason, initiated_by)
+ * @param {string} [reservationId] - Reservation the refund replaces (see issueRefund)
+ */
+export const recordRefund = async (appointmentRef, refund, details = {}, reservationId = null) => {
+  await getDb().runTransaction(async (transaction) => {
+    const doc = await transaction.get(appointmentRef);
+    const appointment = doc.data();
+
+    const existing = { ...(appointment.refunds || {}) };
+    if (reservationId) delete existing[reservationId];
+
+    const refunds = {
+      ...existing,
+      [refund.id]: {
+        ...(appointment.refunds?.[refund.id] || {}),
+        ...details,
+        payment_id: refund.payment_id,
+        amount: refund.amount / 100, // Paise to rupees
+        status: refund.status,
+        updated_at: admin.firestore.Timestamp.now(),
+      },
+    };
+
+    const refundedAmount = Object.values(refunds)
+      .filter((entry) => entry.status === 'processed')
+      .reduce((sum, entry) => sum + entry.amount, 0);
+
+    const update = {
+      refunds,
+      refund_status: refund.status,
+      refunded_amount: refundedAmount,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    if (refundedAmount > 0 && refundedAmount >= getOnlinePaid(appointment)) {
+      update.payment_status = 'refunded';
+    }
+
+    transaction.update(appointmentRef, update);
+  });
+};
+
+/**
+ * Give back refund amounts that were reserved but not refunded
+ */
+const releaseRefunds = async (appointmentRef, reservationIds) => {
+  if (reservationIds.length === 0) return;
+
+  await appointmentRef.update({
+    ...Object.fromEntries(reservationIds.map((id) => [`refunds.${id}`, admin.firestore.FieldValue.delete()])),
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+/**
+ * Refund (part of) an appointment's online payments and email the customer
+ * The booking payment is refunded first, then balance payments made by link,
+ * with one Razorpay refund per payment.
+ * The amounts are reserved on the appointment in a transaction before Razorpay
+ * is called, so two refunds at the same time can't exceed what was paid.
+ * A reservation is replaced by its refund, or released if Razorpay fails.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {object} options
+ * @param {number} [options.amount] - Amount in rupees (defaults to the whole refundable balance)
+ * @param {string} [options.reason] - Shown to the customer and stored on the refund
+ * @param {string} [options.initiated_by] - 'customer', 'admin' or 'system'
+ * @returns {Promise<{ success: boolean, error?: string, notFound?: boolean, refund?: object }>}
+ * refund.id is the first Razorpay refund; refund.ids lists all of them.
+ */
+export const issueRefund = async (businessRef, appointmentId, { amount, reason = '', initiated_by = 'system' } = {}) => {
+  const appointmentRef = businessRef.collection('appointments').doc(appointmentId);
+
+  const reservation = await getDb().runTransaction(async (transaction) => {
+    const appointmentDoc = await transaction.get(appointmentRef);
+
+    if (!appointmentDoc.exists) {
+      return { success: false, notFound: true, error: 'Appointment not found' };
+    }
+
+    const appointment = appointmentDoc.data();
+
+    if (getOnlinePayments(appointment).length === 0) {
+      return { success: false, error: 'No captured payment to refund' };
+    }
+
+    const refundable = getRefundableAmount(appointment);
+    const refundAmount = amount === undefined ? refundable : roundAmount(Number(amount));
+
+    if (!(refundAmount > 0)) {
+      return { success: false, error: 'Refund amount must be greater than zero' };
+    }
+
+    if (refundAmount > refundable) {
+      return { success: false, error: `Refund amount exceeds the refundable balance of ₹${refundable}` };
+    }
+
+    const parts = splitRefund(appointment, refundAmount).map((part) => ({
+      ...part,
+      reservation_id: `reserved_${crypto.randomUUID()}`,
+    }));
+
+    const update = { updated_at: admin.firestore.FieldValue.serverTimestamp() };
+    for (const part of parts) {
+      update[`refunds.${part.reservation_id}`] = {
+        payment_id: part.payment_id,
+        amount: part.amount,
+        status: 'reserved',
+        reason,
+        initiated_by,
+        updated_at: admin.firestore.Timestamp.now(),
+      };
+    }
+    transaction.update(appointmentRef, update);
+
+    return { success: true, appointment, parts };
+  });
+
+  if (!reservation.success) {
+    return reservation;
+  }
+
+  const { appointment, parts } = reservation;
+  const refunds = [];
+  let refundError = null;
+
+  for (const [index, part] of parts.entries()) {
+    let refund;
+    try {
+      refund = await createRefund(part.payment_id, part.amount, {
+        appointment_id: appointmentId,
+        reason,
+      });
+    } catch (error) {
+      refundError = error.message;
+      await releaseRefunds(appointmentRef, parts.slice(index).map((p) => p.reservation_id));
+      break;
+    }
+
+    await recordRefund(appointmentRef, refund, { reason, initiated_by }, part.reservation_id);
+    refunds.push(refund);
+
+    console.log(`✅ Refund ${refund.id} of ₹${part.amount} created for ${appointmentId} (${part.payment_id})`);
+  }
+
+  if (refunds.length === 0) {
+    return { success: false, error: refundError };
+  }
+
+  const refunded = roundAmount(refunds.reduce((sum, refund) => sum + refund.amount / 100, 0));
+
+  if (refundError) {
+    // Some payments were refunded: report that, the rest can be retried
+    console.error(`❌ Refund for ${appointmentId} stopped after ₹${refunded}:`, refundError);
+  }
+
+  // Refund email (Customer)
+  try {
+    const emailResult = await brevoService.sendRefundEmail(
+      { reference_id: appointmentId, ...appointment },
+      { refund_id: refunds[0].id, amount: refunded, paid_amount: getOnlinePaid(appointment), reason },
+    );
+
+    if (!emailResult.success) {
+      console.error('❌ Failed to send refund email:', emailResult.error);
+    }
+  } catch (emailError) {
+    console.error('❌ Brevo refund email error:', emailError.message);
+  }
+
+  return {
+    success: true,
+    refund: {
+      id: refunds[0].id,
+      ids: refunds.map((refund) => refund.id),
+      amount: refunded,
+      status: refunds[0].status,
+      ...(refundError && { error: refundError }),
+    },
+  };
+};
@@ -2,6 +2,7 @@
 import cron from 'node-cron';
 import admin from 'firebase-admin';
 import brevoService from './brevo.service.js';
+import { isPaymentSecured } from './paymentPlan.service.js';
 
 class ReminderSchedulerService {
   constructor() {
@@ -150,7 +151,6 @@ class ReminderSchedulerService {
 
       const snapshot = await appointmentsRef
         .where('date', '==', targetDateStr)
-        .where('payment_status', '==', 'completed')
         .where('status', 'in', ['pending', 'confirmed'])
         .get();
 
@@ -162,6 +162,9 @@ class ReminderSchedulerService {
 
       for (const doc of snapshot.docs) {
         const booking = { id: doc.id, ...doc.data() };
+
+        // Paid online, pay at office or complimentary
+        if (!isPaymentSecured(booking)) continue;
         
         // Parse appointment time
         const appointmentTime = this.parseAppointmentTime(booking.date, booking.time_slot);
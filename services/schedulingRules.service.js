@@ -0,0 +1,100 @@
+// Backend/services/schedulingRules.service.js - BUFFERS, MINIMUM NOTICE, DAILY CAPS
+import { getMinutesUntil } from '../utils/helpers.js';
+
+// Used when system/settings has no value; 0 disables a rule
+export const DEFAULT_SCHEDULING_RULES = {
+  buffer_before_minutes: 0,            // Free time a CA needs before each appointment
+  buffer_after_minutes: 0,             // Free time a CA needs after each appointment
+  min_notice_minutes: 0,               // How far ahead of its start a slot can still be booked
+  max_appointments_per_ca_per_day: 0,  // Paid bookings + held slots per CA per date
+};
+
+// Plain interval overlap (no rules configured)
+export const NO_BUFFERS = {
+  buffer_before_minutes: 0,
+  buffer_after_minutes: 0,
+};
+
+/**
+ * Get the scheduling rules from system settings (falls back to defaults)
+ * @param {object} settings - System settings
+ * @returns {object} - Same keys as DEFAULT_SCHEDULING_RULES
+ */
+export const getSchedulingRules = (settings = {}) => {
+  const rules = { ...DEFAULT_SCHEDULING_RULES };
+
+  for (const key of Object.keys(DEFAULT_SCHEDULING_RULES)) {
+    const value = parseInt(settings[key]);
+    if (value > 0) {
+      rules[key] = value;
+    }
+  }
+
+  return rules;
+};
+
+/**
+ * Check whether two appointments collide once buffers are applied
+ * Buffers may overlap each other, but neither appointment may start or end
+ * inside the other's buffer.
+ * @param {number} start - Range start in minutes
+ * @param {number} end - Range end in minutes
+ * @param {number} otherStart - Existing appointment start in minutes
+ * @param {number} otherEnd - Existing appointment end in minutes
+ * @param {object} [rules] - Scheduling rules
+ * @returns {boolean}
+ */
+export const overlapsWithBuffer = (start, end, otherStart, otherEnd, rules = NO_BUFFERS) => {
+  const before = rules.buffer_before_minutes || 0;
+  const after = rules.buffer_after_minutes || 0;
+
+  // The new appointment's buffers against the existing appointment,
+  // then the existing appointment's buffers against the new one
+  return (start - before < otherEnd && end + after > otherStart) ||
+    (start < otherEnd + after && end > otherStart - before);
+};
+
+/**
+ * Check whether a CA already has the maximum number of appointments on a date
+ * @param {Array} entries - Entries from getDayBookings (booked + held)
+ * @param {string} caId - CA ID
+ * @param {object} rules - Scheduling rules
+ * @returns {boolean}
+ */
+export const isAtDailyCap = (entries, caId, rules) => {
+  const max = rules.max_appointments_per_ca_per_day;
+
+  if (!max || !caId) {
+    return false;
+  }
+
+  return entries.filter((entry) => entry.assigned_ca === caId).length >= max;
+};
+
+/**
+ * Check whether a slot starts far enough in the future to be booked
+ * Slots that already started are never bookable, even without a notice rule.
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} time - Start time (HH:MM)
+ * @param {object} rules - Scheduling rules
+ * @returns {boolean}
+ */
+export const hasMinimumNotice = (date, time, rules) => {
+  return getMinutesUntil(date, time) >= Math.max(rules.min_notice_minutes || 0, 1);
+};
+
+/**
+ * Explain why a start time is too soon, for API responses
+ * @returns {string|null} - Error message, or null if the slot can be booked
+ */
+export const getNoticeError = (date, time, rules) => {
+  if (getMinutesUntil(date, time) <= 0) {
+    return 'Selected time is in the past';
+  }
+
+  if (!hasMinimumNotice(date, time, rules)) {
+    return `Bookings must be made at least ${rules.min_notice_minutes} minutes in advance`;
+  }
+
+  return null;
+};
@@ -0,0 +1,203 @@
+// Backend/services/serviceCatalog.service.js - SERVICE CATALOG
+import admin from 'firebase-admin';
+import { getPaymentModeError, toPaymentModeFields } from './paymentPlan.service.js';
+import { MIN_PAYABLE_AMOUNT } from './coupon.service.js';
+
+/**
+ * Services are stored at businesses/{businessId}/services/{serviceId}
+ * A service without ca_ids can be delivered by every CA.
+ */
+const getServicesRef = (businessRef) => businessRef.collection('services');
+
+const generateServiceId = (name) => {
+  const slug = name
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .substring(0, 30);
+
+  const timestamp = Date.now().toString().slice(-6);
+  return `${slug}-${timestamp}`;
+};
+
+/**
+ * Validate service fields (partial for updates)
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const getServiceError = (data, { partial = false } = {}) => {
+  if (!partial || data.name !== undefined) {
+    if (!data.name || typeof data.name !== 'string') {
+      return 'Service name is required';
+    }
+  }
+
+  if (!partial || data.durations !== undefined) {
+    if (!Array.isArray(data.durations) || data.durations.length === 0) {
+      return 'At least one duration with a price is required';
+    }
+
+    // Razorpay can't take a zero amount, so free durations aren't bookable
+    const invalid = data.durations.some(
+      (option) => !(parseInt(option.duration) > 0) || !(Number(option.price) >= MIN_PAYABLE_AMOUNT)
+    );
+    if (invalid) {
+      return `Each duration needs a positive duration (minutes) and a price of at least ₹${MIN_PAYABLE_AMOUNT}`;
+    }
+  }
+
+  if (data.ca_ids !== undefined && !Array.isArray(data.ca_ids)) {
+    return 'ca_ids must be a list of CA IDs';
+  }
+
+  if (data.required_documents !== undefined && !Array.isArray(data.required_documents)) {
+    return 'required_documents must be a list';
+  }
+
+  return getPaymentModeError(data);
+};
+
+/**
+ * Keep only the fields a service document may have
+ */
+const toServiceFields = (data) => {
+  const fields = {};
+
+  if (data.name !== undefined) fields.name = data.name.trim();
+  if (data.description !== undefined) fields.description = data.description || '';
+  if (data.durations !== undefined) {
+    fields.durations = data.durations.map((option) => ({
+      duration: parseInt(option.duration),
+      price: Number(option.price),
+    }));
+  }
+  if (data.required_documents !== undefined) fields.required_documents = data.required_documents;
+  if (data.ca_ids !== undefined) fields.ca_ids = data.ca_ids;
+  if (data.status !== undefined) fields.status = data.status === 'inactive' ? 'inactive' : 'active';
+  if (data.sort_order !== undefined) fields.sort_order = parseInt(data.sort_order) || 0;
+
+  return { ...fields, ...toPaymentModeFields(data) };
+};
+
+/**
+ * Get the service catalog, ordered by sort_order then name
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {object} [options] - { activeOnly }
+ */
+export const getServices = async (businessRef, { activeOnly = false } = {}) => {
+  let query = getServicesRef(businessRef);
+
+  if (activeOnly) {
+    query = query.where('status', '==', 'active');
+  }
+
+  const snapshot = await query.get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0) || a.name.localeCompare(b.name));
+};
+
+/**
+ * Get one service
+ * @returns {Promise<object|null>} - null if it doesn't exist
+ */
+export const getService = async (businessRef, serviceId) => {
+  const doc = await getServicesRef(businessRef).doc(serviceId).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+};
+
+export const createService = async (businessRef, data) => {
+  const serviceId = generateServiceId(data.name);
+  const service = {
+    description: '',
+    required_documents: [],
+    ca_ids: [],
+    status: 'active',
+    sort_order: 0,
+    ...toServiceFields(data),
+  };
+
+  await getServicesRef(businessRef).doc(serviceId).set({
+    ...service,
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return { id: serviceId, ...service };
+};
+
+export const updateService = async (businessRef, serviceId, data) => {
+  const fields = toServiceFields(data);
+
+  await getServicesRef(businessRef).doc(serviceId).update({
+    ...fields,
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return { id: serviceId, ...fields };
+};
+
+export const deleteService = async (businessRef, serviceId) => {
+  await getServicesRef(businessRef).doc(serviceId).delete();
+};
+
+/**
+ * Duration/price options for a booking
+ * A service has its own; without a service the business-wide slot_durations apply.
+ * A chosen CA may override the price of some of those durations: ca.pricing.durations
+ * for plain bookings, ca.pricing.services[serviceId] for a service. Overrides never
+ * add durations.
+ * @param {object} settings - System settings
+ * @param {object|null} [service] - Service being booked
+ * @param {object|null} [ca] - CA document data of the chosen CA
+ * @returns {Array<{ duration: number, price: number }>}
+ */
+export const getDurationOptions = (settings, service = null, ca = null) => {
+  const options = service ? service.durations || [] : settings.slot_durations || [];
+  const overrides = service ? ca?.pricing?.services?.[service.id] : ca?.pricing?.durations;
+
+  if (!overrides?.length) {
+    return options;
+  }
+
+  return options.map((option) => {
+    const override = overrides.find((entry) => entry.duration === option.duration);
+    return override ? { ...option, price: override.price } : option;
+  });
+};
+
+/**
+ * Check whether a CA may deliver a service
+ */
+export const isCAEligible = (service, caId) => {
+  return !service || !service.ca_ids?.length || service.ca_ids.includes(caId);
+};
+
+/**
+ * Fields copied onto an appointment so emails and invoices don't depend on the catalog
+ */
+export const getServiceSnapshot = (service) => {
+  if (!service) return {};
+
+  return {
+    service_id: service.id,
+    service_name: service.name,
+    required_documents: service.required_documents || [],
+  };
+};
+
+/**
+ * Public view of a service (no timestamps or internal fields)
+ */
+export const toPublicService = (service) => ({
+  id: service.id,
+  name: service.name,
+  description: service.description || '',
+  durations: service.durations || [],
+  required_documents: service.required_documents || [],
+  ca_ids: service.ca_ids || [],
+  payment_mode: service.payment_mode || null,  // null = business-wide payment mode
+  deposit_value: service.deposit_value || 0,
+});
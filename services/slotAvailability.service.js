@@ -0,0 +1,236 @@
+// Backend/services/slotAvailability.service.js - SERVER-SIDE SLOT CALCULATION
+import { isCAWorking } from './caAvailability.service.js';
+import { getActiveHolds } from './slotHold.service.js';
+import {
+  getSchedulingRules,
+  overlapsWithBuffer,
+  isAtDailyCap,
+  hasMinimumNotice,
+  NO_BUFFERS,
+} from './schedulingRules.service.js';
+import { getDurationOptions, isCAEligible } from './serviceCatalog.service.js';
+import { isPaymentSecured } from './paymentPlan.service.js';
+import {
+  timeToMinutes,
+  minutesToTime,
+  getDayOfWeek,
+  getCurrentDateTime,
+} from '../utils/helpers.js';
+
+const DEFAULT_SLOT_INTERVAL = 30; // Minutes between slot start times
+const BOOKED_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Check whether a CA filter value from the query string is empty
+ */
+const isEmptyCA = (caId) => !caId || caId === 'null' || caId === '';
+
+/**
+ * Resolve working hours for a date
+ * @param {object} settings - System settings
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {{ off_day: boolean, message?: string, schedule?: object }}
+ */
+export const getDaySchedule = (settings, date) => {
+  const offDays = settings.off_days || [];
+  if (offDays.includes(date)) {
+    return { off_day: true, message: 'This date is marked as off day' };
+  }
+
+  const daySchedule = settings.weekly_schedule?.[getDayOfWeek(date)];
+  if (!daySchedule || !daySchedule.enabled) {
+    return { off_day: true, message: 'This day is not available' };
+  }
+
+  return { off_day: false, schedule: daySchedule };
+};
+
+/**
+ * Get the per-date reservation lock document
+ * Every order creation and payment confirmation for a date writes this
+ * document inside a transaction, so concurrent bookings are serialized.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} date - Date (YYYY-MM-DD)
+ */
+export const getReservationRef = (businessRef, date) => {
+  return businessRef.collection('slot_reservations').doc(date);
+};
+
+/**
+ * Load everything that occupies time on a date
+ * Booked = paid and pending/confirmed appointments,
+ * held = unexpired slot holds of drafts that are still awaiting payment
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {FirebaseFirestore.Transaction} [transaction] - Read inside this transaction
+ * @returns {Promise<{ booked: Array, held: Array }>}
+ */
+export const getDayBookings = async (businessRef, date, transaction = null) => {
+  const appointmentsQuery = businessRef
+    .collection('appointments')
+    .where('date', '==', date);
+
+  if (transaction) {
+    // Lock the date so concurrent bookings retry instead of both passing
+    await transaction.get(getReservationRef(businessRef, date));
+  }
+
+  const snapshot = transaction
+    ? await transaction.get(appointmentsQuery)
+    : await appointmentsQuery.get();
+  const holds = await getActiveHolds(businessRef, date, transaction);
+
+  const toEntry = (id, data) => {
+    const start = timeToMinutes(data.time_slot);
+    const duration = data.duration || 30;
+    return {
+      id,
+      time_slot: data.time_slot,
+      duration,
+      assigned_ca: data.assigned_ca || null,
+      customer_name: data.customer_name,
+      start,
+      end: start + duration,
+    };
+  };
+
+  const booked = [];
+  const drafts = new Set();
+
+  snapshot.forEach((doc) => {
+    const data = doc.data();
+
+    if (isPaymentSecured(data) && BOOKED_STATUSES.includes(data.status)) {
+      booked.push(toEntry(doc.id, data));
+    } else if (data.status === 'draft') {
+      drafts.add(doc.id);
+    }
+  });
+
+  const held = holds
+    .filter((hold) => drafts.has(hold.appointment_id))
+    .map((hold) => toEntry(hold.appointment_id, { ...hold, assigned_ca: hold.ca_id }));
+
+  return { booked, held };
+};
+
+/**
+ * Check whether a time range collides with existing bookings for a CA
+ * An appointment without a CA blocks every CA, and a request without a CA
+ * collides with every appointment (how unassigned bookings are reserved
+ * when auto-assignment is off).
+ * @param {Array} entries - Entries from getDayBookings
+ * @param {string|null} caId - Requested CA
+ * @param {number} start - Range start in minutes
+ * @param {number} end - Range end in minutes
+ * @param {object} [rules] - Scheduling rules (buffers)
+ * @returns {boolean}
+ */
+export const isRangeBlocked = (entries, caId, start, end, rules = NO_BUFFERS) => {
+  return entries.some((entry) => {
+    const isSameCA = isEmptyCA(caId) || !entry.assigned_ca || entry.assigned_ca === caId;
+    return isSameCA && overlapsWithBuffer(start, end, entry.start, entry.end, rules);
+  });
+};
+
+/**
+ * Compute bookable start times for every configured duration on a date
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {object} settings - System settings
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string|null} caId - Restrict to a single CA (optional)
+ * @param {object|null} service - Service being booked: its durations and eligible CAs (optional)
+ * Prices include the chosen CA's overrides.
+ * @returns {Promise<object>} - Day status, working hours, bookings and slot list
+ */
+export const getBookableSlots = async (businessRef, settings, date, caId = null, service = null) => {
+  const day = getDaySchedule(settings, date);
+  if (day.off_day) {
+    return { ...day, slots: [], booked: [], held: [] };
+  }
+
+  const { schedule } = day;
+  const now = getCurrentDateTime();
+
+  if (date < now.date) {
+    return { ...day, message: 'This date is in the past', slots: [], booked: [], held: [] };
+  }
+
+  const { booked, held } = await getDayBookings(businessRef, date);
+  const occupied = [...booked, ...held];
+  const rules = getSchedulingRules(settings);
+
+  // Load the CAs that could take the slot
+  let cas = [];
+  if (isEmptyCA(caId)) {
+    const casSnapshot = await businessRef
+      .collection('CA')
+      .where('status', '==', 'active')
+      .get();
+    cas = casSnapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter((ca) => isCAEligible(service, ca.id));
+  } else {
+    const caDoc = await businessRef.collection('CA').doc(caId).get();
+    if (caDoc.exists) {
+      cas = [{ id: caDoc.id, ...caDoc.data() }];
+    }
+  }
+
+  const isCAFree = (ca, start, end) =>
+    !isAtDailyCap(occupied, ca.id, rules) &&
+    isCAWorking(ca, date, start, end, rules) &&
+    !isRangeBlocked(occupied, ca.id, start, end, rules);
+
+  // With auto-assignment, "any CA" gets one free CA, so only that CA's time matters
+  const assignsCA = isEmptyCA(caId) && settings.auto_assign_ca;
+
+  // With a daily cap, "any CA" is only bookable while some CA has room left
+  const allCAsAtCap = rules.max_appointments_per_ca_per_day > 0 &&
+    cas.length > 0 &&
+    cas.every((ca) => isAtDailyCap(occupied, ca.id, rules));
+
+  const interval = settings.slot_interval || DEFAULT_SLOT_INTERVAL;
+  const dayStart = timeToMinutes(schedule.start);
+  const dayEnd = timeToMinutes(schedule.end);
+
+  // Prices of the chosen CA, if one was chosen
+  const pricingCA = isEmptyCA(caId) ? null : cas[0];
+
+  const slots = getDurationOptions(settings, service, pricingCA).map(({ duration, price }) => {
+    const times = [];
+
+    for (let start = dayStart; start + duration <= dayEnd; start += interval) {
+      const end = start + duration;
+
+      if (!hasMinimumNotice(date, minutesToTime(start), rules)) continue;
+
+      const hasFreeCA = cas.some((ca) => isCAFree(ca, start, end));
+
+      if (assignsCA) {
+        // Same check as autoAssignCA's getFreeCAs
+        if (!hasFreeCA) continue;
+      } else if (isEmptyCA(caId)) {
+        if (allCAsAtCap || isRangeBlocked(occupied, null, start, end, rules)) continue;
+      } else if (!cas[0] || !isCAFree(cas[0], start, end)) {
+        continue;
+      }
+
+      times.push({
+        time_slot: minutesToTime(start),
+        end_time: minutesToTime(end),
+        has_free_ca: hasFreeCA,
+      });
+    }
+
+    return { duration, price, times };
+  });
+
+  return {
+    off_day: false,
+    schedule,
+    slots,
+    booked,
+    held,
+  };
+};
@@ -0,0 +1,128 @@
+// Backend/services/slotHold.service.js - FIRESTORE-BACKED SLOT HOLDS
+import cron from 'node-cron';
+import admin from 'firebase-admin';
+
+const getDb = () => admin.firestore();
+
+const DEFAULT_HOLD_MINUTES = 15; // How long an unpaid draft keeps its slot
+
+/**
+ * Get the hold document for an appointment
+ * Holds are stored at businesses/{businessId}/slot_holds/{appointmentId}
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ */
+export const getHoldRef = (businessRef, appointmentId) => {
+  return businessRef.collection('slot_holds').doc(appointmentId);
+};
+
+/**
+ * Write a hold inside an existing transaction
+ * @param {FirebaseFirestore.Transaction} transaction - Active transaction
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {object} slot - { date, time_slot, duration, ca_id }
+ * @param {number} [holdMinutes] - Hold TTL in minutes
+ */
+export const createHold = (transaction, businessRef, appointmentId, slot, holdMinutes) => {
+  const minutes = holdMinutes || DEFAULT_HOLD_MINUTES;
+
+  transaction.set(getHoldRef(businessRef, appointmentId), {
+    appointment_id: appointmentId,
+    date: slot.date,
+    time_slot: slot.time_slot,
+    duration: slot.duration,
+    ca_id: slot.ca_id || '',
+    expires_at: admin.firestore.Timestamp.fromMillis(Date.now() + minutes * 60 * 1000),
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+/**
+ * Get unexpired holds for a date
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {FirebaseFirestore.Transaction} [transaction] - Read inside this transaction
+ * @returns {Promise<Array>} - Hold objects with id
+ */
+export const getActiveHolds = async (businessRef, date, transaction = null) => {
+  const holdsQuery = businessRef.collection('slot_holds').where('date', '==', date);
+  const snapshot = transaction
+    ? await transaction.get(holdsQuery)
+    : await holdsQuery.get();
+
+  const now = Date.now();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((hold) => hold.expires_at?.toMillis() > now);
+};
+
+/**
+ * Release the hold of an appointment
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {string} reason - Why the hold was released (for logs)
+ * @returns {Promise<boolean>} - True if a hold existed
+ */
+export const releaseHold = async (businessRef, appointmentId, reason) => {
+  const holdRef = getHoldRef(businessRef, appointmentId);
+  const holdDoc = await holdRef.get();
+
+  if (!holdDoc.exists) {
+    return false;
+  }
+
+  await holdRef.delete();
+  console.log(`🔓 Released slot hold for ${appointmentId} (${reason})`);
+  return true;
+};
+
+/**
+ * Delete expired holds for every business
+ * @returns {Promise<number>} - Number of holds removed
+ */
+export const cleanupExpiredHolds = async () => {
+  const db = getDb();
+  const now = admin.firestore.Timestamp.now();
+  let cleanedCount = 0;
+
+  const businessesSnapshot = await db.collection('businesses').get();
+
+  for (const businessDoc of businessesSnapshot.docs) {
+    const expiredSnapshot = await businessDoc.ref
+      .collection('slot_holds')
+      .where('expires_at', '<=', now)
+      .get();
+
+    if (expiredSnapshot.empty) continue;
+
+    const batch = db.batch();
+    expiredSnapshot.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+
+    cleanedCount += expiredSnapshot.size;
+  }
+
+  return cleanedCount;
+};
+
+/**
+ * Schedule expired hold cleanup (runs every minute)
+ */
+export const startHoldCleanup = () => {
+  cron.schedule('* * * * *', async () => {
+    try {
+      const cleaned = await cleanupExpiredHolds();
+      if (cleaned > 0) {
+        console.log(`🧹 Cleaned up ${cleaned} expired slot holds`);
+      }
+    } catch (error) {
+      console.error('❌ Error cleaning up slot holds:', error);
+    }
+  }, {
+    timezone: 'Asia/Kolkata'
+  });
+
+  console.log('✅ Slot hold cleanup scheduled');
+};
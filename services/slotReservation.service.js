@@ -0,0 +1,324 @@
+// Backend/services/slotReservation.service.js - ATOMIC SLOT RESERVATION
+import admin from 'firebase-admin';
+import {
+  getReservationRef,
+  getDayBookings,
+  isRangeBlocked,
+} from './slotAvailability.service.js';
+import { createHold, getHoldRef } from './slotHold.service.js';
+import { applyTransition, canTransition } from './appointmentStatus.service.js';
+import { isCAWorking } from './caAvailability.service.js';
+import { getSchedulingRules, isAtDailyCap } from './schedulingRules.service.js';
+import { isCAEligible } from './serviceCatalog.service.js';
+import { isPaymentSecured } from './paymentPlan.service.js';
+import { recordAssignment } from './caAssignment.service.js';
+import { timeToMinutes } from '../utils/helpers.js';
+
+const getDb = () => admin.firestore();
+
+// Appointments that occupy their slot
+const ACTIVE_STATUSES = ['draft', 'pending', 'confirmed'];
+
+// Statuses of a booking that went through (a repeat confirm call is a no-op for these)
+const BOOKED_STATUSES = ['pending', 'confirmed', 'completed', 'no_show'];
+
+const loadSchedulingRules = async (businessRef) => {
+  const settingsDoc = await businessRef.collection('system').doc('settings').get();
+  return getSchedulingRules(settingsDoc.exists ? settingsDoc.data() : {});
+};
+
+/**
+ * Check a slot against existing bookings with buffers and the CA's daily cap
+ * @returns {string|null} - Error message, or null if the slot is free
+ */
+const getSlotConflict = (entries, caId, start, end, rules) => {
+  if (isRangeBlocked(entries, caId, start, end, rules)) {
+    return 'This time slot is no longer available';
+  }
+
+  if (isAtDailyCap(entries, caId, rules)) {
+    return 'This consultant is fully booked on this date';
+  }
+
+  return null;
+};
+
+/**
+ * Reserve a slot and write the draft appointment in one transaction
+ * The overlap check and the write happen atomically, so two customers
+ * can never both reserve the same slot. An auto-assigned CA is recorded
+ * for round robin in the same transaction.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {object} options
+ * @param {string} options.appointmentId - Appointment (reference) ID
+ * @param {object} options.appointmentData - Draft appointment document
+ * @param {number} [options.holdMinutes] - How long the slot hold stays valid
+ * @param {object} [options.rules] - Scheduling rules (buffers, daily cap)
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export const reserveSlot = async (businessRef, { appointmentId, appointmentData, holdMinutes, rules = getSchedulingRules() }) => {
+  const { date, time_slot, duration, assigned_ca } = appointmentData;
+  const reservationRef = getReservationRef(businessRef, date);
+  const appointmentRef = businessRef.collection('appointments').doc(appointmentId);
+
+  return getDb().runTransaction(async (transaction) => {
+    const { booked, held } = await getDayBookings(businessRef, date, transaction);
+
+    const start = timeToMinutes(time_slot);
+    const conflict = getSlotConflict([...booked, ...held], assigned_ca, start, start + duration, rules);
+    if (conflict) {
+      return { success: false, error: conflict };
+    }
+
+    transaction.set(reservationRef, {
+      date,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    createHold(transaction, businessRef, appointmentId, {
+      date,
+      time_slot,
+      duration,
+      ca_id: assigned_ca,
+    }, holdMinutes);
+
+    transaction.set(appointmentRef, appointmentData);
+
+    if (appointmentData.ca_assigned_by === 'auto') {
+      recordAssignment(transaction, businessRef, assigned_ca);
+    }
+
+    return { success: true };
+  });
+};
+
+/**
+ * Re-validate a reservation and mark the appointment as paid
+ * paymentData.payment_status defaults to 'completed'; bookings that aren't paid
+ * online pass 'pending_offline' or 'not_required'.
+ * If the hold expired, the slot is only accepted when nobody else took it.
+ * On conflict the payment is still recorded and { conflict: true } is returned.
+ * A payment for a draft that already expired or was cancelled is recorded too
+ * (paid_after_close) and { closed: true } is returned; the slot is left alone.
+ * Calling it again for a confirmed appointment is a no-op ({ alreadyConfirmed: true }).
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {object} paymentData - Fields to store on the appointment (payment_id etc.)
+ * @returns {Promise<{ success: boolean, conflict?: boolean, closed?: boolean, alreadyConfirmed?: boolean, error?: string }>}
+ */
+export const confirmReservation = async (businessRef, appointmentId, paymentData) => {
+  const appointmentRef = businessRef.collection('appointments').doc(appointmentId);
+  const rules = await loadSchedulingRules(businessRef);
+
+  return getDb().runTransaction(async (transaction) => {
+    const appointmentDoc = await transaction.get(appointmentRef);
+    if (!appointmentDoc.exists) {
+      return { success: false, error: 'Appointment not found' };
+    }
+
+    const appointment = appointmentDoc.data();
+    const closed = {
+      success: false,
+      closed: true,
+      error: `This booking was ${appointment.status} before the payment completed. Our team will contact you shortly.`,
+    };
+
+    // Paid after it closed, already recorded by an earlier call
+    if (appointment.paid_after_close) {
+      return closed;
+    }
+
+    // Already confirmed by an earlier call (checkout retry or webhook)
+    if (isPaymentSecured(appointment) && BOOKED_STATUSES.includes(appointment.status)) {
+      return { success: true, alreadyConfirmed: true };
+    }
+
+    // Paid and later cancelled (e.g. a slot conflict the admin cancelled): nothing to confirm
+    if (isPaymentSecured(appointment) && appointment.status === 'cancelled') {
+      return closed;
+    }
+
+    // Expired or cancelled: keep the payment on record (for a refund or rebooking), nothing else
+    if (!canTransition(appointment.status, 'pending')) {
+      transaction.update(appointmentRef, {
+        payment_status: 'completed',
+        ...paymentData,
+        paid_after_close: true,
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return closed;
+    }
+
+    const reservationRef = getReservationRef(businessRef, appointment.date);
+    const { booked, held } = await getDayBookings(businessRef, appointment.date, transaction);
+
+    const others = [...booked, ...held].filter((entry) => entry.id !== appointmentId);
+    const start = timeToMinutes(appointment.time_slot);
+    const end = start + (appointment.duration || 30);
+
+    if (getSlotConflict(others, appointment.assigned_ca, start, end, rules)) {
+      transaction.update(appointmentRef, {
+        payment_status: 'completed',
+        ...paymentData,
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return {
+        success: false,
+        conflict: true,
+        error: 'This time slot was taken while your payment was processing. Our team will contact you shortly.',
+      };
+    }
+
+    transaction.set(reservationRef, {
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    transaction.delete(getHoldRef(businessRef, appointmentId));
+
+    return applyTransition(transaction, appointmentRef, appointment, 'pending', {
+      actor: 'system',
+      reason: `Payment confirmed (${paymentData.payment_source || 'checkout'})`,
+      fields: {
+        payment_status: 'completed',
+        ...paymentData,
+      },
+    });
+  });
+};
+
+/**
+ * Move a paid appointment to a new date/time
+ * The overlap check for the new slot and the update happen in one transaction
+ * (same per-date lock as reserveSlot). Reminder flags are reset for the new time.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {object} newSlot - { date, time_slot }
+ * @param {object} [rules] - Scheduling rules (buffers, daily cap)
+ * @returns {Promise<{ success: boolean, error?: string, notFound?: boolean, previous?: object }>}
+ */
+export const moveReservation = async (businessRef, appointmentId, { date, time_slot }, rules = getSchedulingRules()) => {
+  const appointmentRef = businessRef.collection('appointments').doc(appointmentId);
+
+  return getDb().runTransaction(async (transaction) => {
+    const appointmentDoc = await transaction.get(appointmentRef);
+    if (!appointmentDoc.exists) {
+      return { success: false, notFound: true, error: 'Booking not found' };
+    }
+
+    const appointment = appointmentDoc.data();
+
+    if (!isPaymentSecured(appointment) || !['pending', 'confirmed'].includes(appointment.status)) {
+      return { success: false, error: `A ${appointment.status} booking can't be rescheduled` };
+    }
+
+    const { booked, held } = await getDayBookings(businessRef, date, transaction);
+    const others = [...booked, ...held].filter((entry) => entry.id !== appointmentId);
+    const start = timeToMinutes(time_slot);
+    const conflict = getSlotConflict(others, appointment.assigned_ca, start, start + (appointment.duration || 30), rules);
+
+    if (conflict) {
+      return { success: false, error: conflict };
+    }
+
+    const previous = { date: appointment.date, time_slot: appointment.time_slot };
+
+    transaction.set(getReservationRef(businessRef, date), {
+      date,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    transaction.update(appointmentRef, {
+      date,
+      time_slot,
+      reschedule_history: admin.firestore.FieldValue.arrayUnion({
+        ...previous,
+        moved_at: admin.firestore.Timestamp.now(),
+      }),
+      reschedule_count: admin.firestore.FieldValue.increment(1),
+      reminder_12hr_sent: false,
+      reminder_1hr_sent: false,
+      reminder_1min_sent: false,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { success: true, previous };
+  });
+};
+
+/**
+ * Assign (or reassign) a CA to an appointment
+ * The CA must be qualified for the appointment's service. For appointments
+ * that still occupy their slot, the CA must also be free at that
+ * time (working hours, leave, blocked time and buffers included) and under their daily cap.
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} appointmentId - Appointment (reference) ID
+ * @param {string} caId - CA to assign
+ * @param {object} [rules] - Scheduling rules (buffers, daily cap)
+ * @returns {Promise<{ success: boolean, error?: string, notFound?: boolean }>}
+ */
+export const assignReservationCA = async (businessRef, appointmentId, caId, rules = getSchedulingRules()) => {
+  const appointmentRef = businessRef.collection('appointments').doc(appointmentId);
+  const caRef = businessRef.collection('CA').doc(caId);
+  const holdRef = getHoldRef(businessRef, appointmentId);
+
+  return getDb().runTransaction(async (transaction) => {
+    const appointmentDoc = await transaction.get(appointmentRef);
+    if (!appointmentDoc.exists) {
+      return { success: false, notFound: true, error: 'Appointment not found' };
+    }
+
+    const caDoc = await transaction.get(caRef);
+    if (!caDoc.exists) {
+      return { success: false, notFound: true, error: 'CA not found' };
+    }
+
+    const appointment = appointmentDoc.data();
+    const occupiesSlot = ACTIVE_STATUSES.includes(appointment.status);
+
+    if (appointment.service_id) {
+      const serviceDoc = await transaction.get(businessRef.collection('services').doc(appointment.service_id));
+
+      if (serviceDoc.exists && !isCAEligible(serviceDoc.data(), caId)) {
+        return { success: false, error: `CA is not qualified for ${appointment.service_name || 'this service'}` };
+      }
+    }
+
+    if (occupiesSlot) {
+      const { booked, held } = await getDayBookings(businessRef, appointment.date, transaction);
+      const holdDoc = await transaction.get(holdRef);
+
+      const others = [...booked, ...held].filter((entry) => entry.id !== appointmentId);
+      const start = timeToMinutes(appointment.time_slot);
+      const end = start + (appointment.duration || 30);
+
+      if (!isCAWorking(caDoc.data(), appointment.date, start, end, rules)) {
+        return { success: false, error: 'CA is not available at this time' };
+      }
+
+      if (isRangeBlocked(others, caId, start, end, rules)) {
+        return { success: false, error: 'CA has another appointment at this time' };
+      }
+
+      if (isAtDailyCap(others, caId, rules)) {
+        return { success: false, error: `CA already has ${rules.max_appointments_per_ca_per_day} appointments on this date` };
+      }
+
+      transaction.set(getReservationRef(businessRef, appointment.date), {
+        date: appointment.date,
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+
+      // Keep an unpaid draft's hold on the same CA
+      if (holdDoc.exists) {
+        transaction.update(holdRef, { ca_id: caId });
+      }
+    }
+
+    transaction.update(appointmentRef, {
+      assigned_ca: caId,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { success: true };
+  });
+};
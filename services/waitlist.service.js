@@ -0,0 +1,364 @@
+// Backend/services/waitlist.service.js - WAITLIST FOR FULLY BOOKED SLOTS
+import cron from 'node-cron';
+import admin from 'firebase-admin';
+import { getBookableSlots } from './slotAvailability.service.js';
+import { reserveSlot } from './slotReservation.service.js';
+import { releaseHold } from './slotHold.service.js';
+import { createRazorpayOrder } from './razorpay.service.js';
+import brevoService from './brevo.service.js';
+import { getSchedulingRules } from './schedulingRules.service.js';
+import { autoAssignCA } from './caAssignment.service.js';
+import { getService, getDurationOptions, getServiceSnapshot } from './serviceCatalog.service.js';
+import { getBookingRestrictions } from './customer.service.js';
+import {
+  getPaymentModeConfig,
+  getPaymentPlan,
+  getPaymentPlanFields,
+  isPaymentSecured,
+} from './paymentPlan.service.js';
+import { generateReferenceId } from '../utils/referenceIdHelper.js';
+import { getWaitlistClaimLink } from '../utils/manageToken.js';
+import { getCurrentDateTime, timeToMinutes } from '../utils/helpers.js';
+
+const getDb = () => admin.firestore();
+
+const DEFAULT_OFFER_MINUTES = 60; // How long a waitlisted customer has to pay for an offered slot
+const STALE_OFFERING_MINUTES = 10; // An entry still 'offering' after this long was left behind by a failed run
+
+/**
+ * Find the earliest bookable start time inside a waitlist entry's range
+ * @param {object|null} [service] - Service of the entry (its durations and eligible CAs)
+ * @returns {Promise<string|null>} - HH:MM or null
+ */
+export const findWaitlistSlot = async (businessRef, settings, entry, service = null) => {
+  const availability = await getBookableSlots(businessRef, settings, entry.date, entry.ca_id || null, service);
+  const slot = (availability.slots || []).find((s) => s.duration === entry.duration);
+
+  if (!slot) return null;
+
+  const from = timeToMinutes(entry.from_time);
+  const to = timeToMinutes(entry.to_time);
+
+  const match = slot.times.find(({ time_slot, has_free_ca }) => {
+    const start = timeToMinutes(time_slot);
+    return start >= from && start <= to && has_free_ca;
+  });
+
+  return match ? match.time_slot : null;
+};
+
+/**
+ * Offer a freed slot to one waitlist entry
+ * Claims the entry, reserves the slot as a draft with its own hold, creates the
+ * payment order and emails the customer a link to pay. Rolls back on failure.
+ * Priced like a direct booking: CA prices, deposit or pay at office, and the
+ * customer's no-show restrictions. Pay-at-office offers get no order; the
+ * customer accepts them from the same link.
+ * @returns {Promise<boolean>} - true if an offer was sent
+ */
+const offerSlot = async (businessRef, settings, entryDoc, time_slot, service) => {
+  const entryRef = entryDoc.ref;
+  const entry = entryDoc.data();
+
+  // Claim the entry so parallel runs don't offer it twice
+  const claimed = await getDb().runTransaction(async (transaction) => {
+    const current = await transaction.get(entryRef);
+    if (current.data()?.status !== 'waiting') return false;
+
+    transaction.update(entryRef, {
+      status: 'offering',
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return true;
+  });
+
+  if (!claimed) return false;
+
+  const revert = () => entryRef.update({
+    status: 'waiting',
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  // Same no-show rules as a direct booking
+  const restrictions = await getBookingRestrictions(businessRef, entry.customer_email, settings);
+
+  if (restrictions.blocked) {
+    await entryRef.update({
+      status: 'removed',
+      removed_reason: 'no_show_policy',
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.log(`⚠️  Waitlist entry ${entryRef.id} removed: ${entry.customer_email} can't book online (no-shows)`);
+    return false;
+  }
+
+  // A CA the customer chose may have their own price
+  const caDoc = entry.ca_id ? await businessRef.collection('CA').doc(entry.ca_id).get() : null;
+  const slotConfig = getDurationOptions(settings, service, caDoc?.data())
+    .find((s) => s.duration === entry.duration);
+  if (!slotConfig) {
+    await revert();
+    return false;
+  }
+
+  const paymentPlan = getPaymentPlan(
+    restrictions.prepay_only ? { payment_mode: 'full' } : getPaymentModeConfig(settings, service),
+    slotConfig.price,
+  );
+  const isPayLater = paymentPlan.payment_mode === 'pay_later';
+
+  const offerMinutes = settings.waitlist_offer_minutes || DEFAULT_OFFER_MINUTES;
+  const offerExpiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + offerMinutes * 60 * 1000);
+
+  // Same auto-assignment as a direct booking
+  let assignment = null;
+  if (!entry.ca_id && settings.auto_assign_ca) {
+    assignment = await autoAssignCA(businessRef, settings, { ...entry, time_slot, service });
+
+    if (!assignment) {
+      await revert();
+      return false;
+    }
+  }
+
+  let referenceId;
+  try {
+    referenceId = await generateReferenceId(businessRef);
+  } catch (error) {
+    console.error('❌ Waitlist offer: reference ID generation failed:', error.message);
+    await revert();
+    return false;
+  }
+
+  const appointmentData = {
+    customer_name: entry.customer_name,
+    customer_email: entry.customer_email,
+    customer_phone: entry.customer_phone,
+    consult_note: entry.consult_note || '',
+    assigned_ca: entry.ca_id || assignment?.ca.id || '',
+    ...(assignment && {
+      ca_assigned_by: 'auto',
+      ca_assignment_strategy: assignment.strategy,
+    }),
+    ...getServiceSnapshot(service),
+    date: entry.date,
+    time_slot,
+    duration: entry.duration,
+    amount: paymentPlan.online_amount,
+    ...getPaymentPlanFields(paymentPlan),
+    payment_status: 'pending',
+    status: 'draft',
+    waitlist_entry_id: entryRef.id,
+    draft_expires_at: offerExpiresAt,
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  const reservation = await reserveSlot(businessRef, {
+    appointmentId: referenceId,
+    appointmentData,
+    holdMinutes: offerMinutes,
+    rules: getSchedulingRules(settings),
+  });
+
+  if (!reservation.success) {
+    await revert();
+    return false;
+  }
+
+  const appointmentRef = businessRef.collection('appointments').doc(referenceId);
+
+  if (!isPayLater) {
+    let razorpayOrder;
+    try {
+      razorpayOrder = await createRazorpayOrder(paymentPlan.online_amount, 'INR', referenceId);
+    } catch (orderError) {
+      await appointmentRef.delete();
+      await releaseHold(businessRef, referenceId, 'waitlist order creation failed');
+      await revert();
+      return false;
+    }
+
+    await appointmentRef.update({
+      order_id: razorpayOrder.id,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  await entryRef.update({
+    status: 'offered',
+    appointment_id: referenceId,
+    offered_time_slot: time_slot,
+    offer_expires_at: offerExpiresAt,
+    offered_at: admin.firestore.FieldValue.serverTimestamp(),
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  // Offer email with the payment link
+  try {
+    const claimLink = getWaitlistClaimLink(businessRef.id, referenceId, offerExpiresAt.toMillis());
+
+    const emailResult = await brevoService.sendWaitlistOfferEmail({
+      ...appointmentData,
+      reference_id: referenceId,
+      claim_link: claimLink,
+      offer_minutes: offerMinutes,
+    });
+
+    if (!emailResult.success) {
+      console.error('❌ Failed to send waitlist offer email:', emailResult.error);
+    }
+  } catch (emailError) {
+    console.error('❌ Brevo waitlist email error:', emailError.message);
+  }
+
+  console.log(`📨 Waitlist offer ${referenceId} (${entry.date} ${time_slot}) sent to ${entry.customer_email}`);
+  return true;
+};
+
+/**
+ * Offer freed slots on a date to waitlisted customers, first come first served
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<number>} - Number of offers sent
+ */
+export const processWaitlist = async (businessRef, date) => {
+  const snapshot = await businessRef
+    .collection('waitlist')
+    .where('date', '==', date)
+    .where('status', '==', 'waiting')
+    .orderBy('created_at', 'asc')
+    .get();
+
+  if (snapshot.empty) return 0;
+
+  const settingsDoc = await businessRef.collection('system').doc('settings').get();
+  const settings = settingsDoc.exists ? settingsDoc.data() : {};
+
+  let offers = 0;
+
+  for (const entryDoc of snapshot.docs) {
+    const entry = entryDoc.data();
+    const service = entry.service_id ? await getService(businessRef, entry.service_id) : null;
+    if (entry.service_id && !service) continue;
+
+    const time_slot = await findWaitlistSlot(businessRef, settings, entry, service);
+    if (!time_slot) continue;
+
+    if (await offerSlot(businessRef, settings, entryDoc, time_slot, service)) {
+      offers++;
+    }
+  }
+
+  return offers;
+};
+
+/**
+ * Let the waitlist know a slot was freed (cancellation, reschedule, failed payment)
+ * Never throws; the caller's flow must not fail because of the waitlist.
+ */
+export const notifySlotFreed = async (businessRef, date) => {
+  try {
+    await processWaitlist(businessRef, date);
+  } catch (error) {
+    console.error(`❌ Error processing waitlist for ${date}:`, error);
+  }
+};
+
+/**
+ * Mark the waitlist entry behind a paid appointment as booked
+ */
+export const markWaitlistBooked = async (businessRef, appointment) => {
+  if (!appointment.waitlist_entry_id) return;
+
+  await businessRef.collection('waitlist').doc(appointment.waitlist_entry_id).update({
+    status: 'booked',
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+/**
+ * Close expired offers and retry waiting entries for upcoming dates
+ * Catches slots freed by hold expiry, which has no direct trigger.
+ */
+export const sweepWaitlist = async () => {
+  const db = getDb();
+  const now = admin.firestore.Timestamp.now();
+  const today = getCurrentDateTime().date;
+
+  const businessesSnapshot = await db.collection('businesses').get();
+
+  for (const businessDoc of businessesSnapshot.docs) {
+    const waitlistRef = businessDoc.ref.collection('waitlist');
+
+    // Offers that ran out without payment
+    const expiredOffers = await waitlistRef
+      .where('status', '==', 'offered')
+      .where('offer_expires_at', '<=', now)
+      .get();
+
+    for (const entryDoc of expiredOffers.docs) {
+      const { appointment_id } = entryDoc.data();
+      const appointmentDoc = await businessDoc.ref.collection('appointments').doc(appointment_id).get();
+      const paid = appointmentDoc.exists && isPaymentSecured(appointmentDoc.data());
+
+      await entryDoc.ref.update({
+        status: paid ? 'booked' : 'offer_expired',
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    // Claimed by a run that failed before the offer went out
+    const staleOffering = await waitlistRef
+      .where('status', '==', 'offering')
+      .where('updated_at', '<=', admin.firestore.Timestamp.fromMillis(now.toMillis() - STALE_OFFERING_MINUTES * 60 * 1000))
+      .get();
+
+    for (const entryDoc of staleOffering.docs) {
+      await entryDoc.ref.update({
+        status: 'waiting',
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    // Entries for past dates can never be served
+    const pastEntries = await waitlistRef
+      .where('status', '==', 'waiting')
+      .where('date', '<', today)
+      .get();
+
+    for (const entryDoc of pastEntries.docs) {
+      await entryDoc.ref.update({
+        status: 'lapsed',
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    const waitingEntries = await waitlistRef
+      .where('status', '==', 'waiting')
+      .where('date', '>=', today)
+      .get();
+
+    const dates = [...new Set(waitingEntries.docs.map((doc) => doc.data().date))];
+    for (const date of dates) {
+      await notifySlotFreed(businessDoc.ref, date);
+    }
+  }
+};
+
+/**
+ * Schedule the waitlist sweep (runs every 5 minutes)
+ */
+export const startWaitlistProcessor = () => {
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await sweepWaitlist();
+    } catch (error) {
+      console.error('❌ Error sweeping waitlist:', error);
+    }
+  }, {
+    timezone: 'Asia/Kolkata'
+  });
+
+  console.log('✅ Waitlist processor scheduled');
+};
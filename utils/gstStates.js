@@ -0,0 +1,73 @@
+// Backend/utils/gstStates.js - GST STATE CODES
+
+// State codes as used in GSTINs and for the place of supply
+export const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory',
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/**
+ * Validate a GSTIN (15 characters, starting with a known state code)
+ */
+export const isValidGSTIN = (gstin) => {
+  const value = String(gstin || '').trim().toUpperCase();
+  return GSTIN_PATTERN.test(value) && Boolean(GST_STATES[value.slice(0, 2)]);
+};
+
+/**
+ * Resolve a state name or GST state code to its two-digit code
+ * @param {string|number} value - e.g. "Uttar Pradesh", "uttar pradesh", "09" or 9
+ * @returns {string|null} - Two-digit code, or null if unknown
+ */
+export const resolveStateCode = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+
+  if (/^\d{1,2}$/.test(text)) {
+    const code = text.padStart(2, '0');
+    return GST_STATES[code] ? code : null;
+  }
+
+  const name = text.toLowerCase();
+  const match = Object.entries(GST_STATES).find(([, stateName]) => stateName.toLowerCase() === name);
+
+  return match ? match[0] : null;
+};
\ No newline at end of file
@@ -84,4 +84,61 @@ export const calculateEndTime = (startTime, durationMinutes) => {
   const endHour = Math.floor(totalMinutes / 60);
   const endMinute = totalMinutes % 60;
   return `${endHour.toString().padStart(2, '0')}:${endMinute.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Convert HH:MM time to minutes since midnight
+ */
+export const timeToMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+/**
+ * Convert minutes since midnight to HH:MM time
+ */
+export const minutesToTime = (totalMinutes) => {
+  const hour = Math.floor(totalMinutes / 60);
+  const minute = totalMinutes % 60;
+  return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Get lowercase weekday name for a YYYY-MM-DD date (e.g. "monday")
+ */
+export const getDayOfWeek = (dateStr) => {
+  return new Date(dateStr)
+    .toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })
+    .toLowerCase();
+};
+
+/**
+ * Get current date (YYYY-MM-DD) and minutes since midnight in the business timezone
+ */
+export const getCurrentDateTime = (timeZone = 'Asia/Kolkata') => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(new Date());
+
+  const get = (type) => parts.find((part) => part.type === type).value;
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    minutes: Number(get('hour')) * 60 + Number(get('minute')),
+  };
+};
+
+/**
+ * Minutes from now until a YYYY-MM-DD HH:MM start in the business timezone (negative once started)
+ */
+export const getMinutesUntil = (dateStr, time, timeZone = 'Asia/Kolkata') => {
+  const now = getCurrentDateTime(timeZone);
+  const dayDiff = (Date.parse(dateStr) - Date.parse(now.date)) / (24 * 60 * 60 * 1000);
+  return dayDiff * 24 * 60 + timeToMinutes(time) - now.minutes;
 };
\ No newline at end of file
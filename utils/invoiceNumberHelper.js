@@ -0,0 +1,71 @@
+// Backend/utils/invoiceNumberHelper.js
+import admin from 'firebase-admin';
+import { getCurrentDateTime } from './helpers.js';
+
+/**
+ * Get the Indian financial year (April - March) for a date
+ * @param {string} [date] - Date (YYYY-MM-DD), defaults to today in IST
+ * @returns {string} Financial year (e.g., "2025-26")
+ */
+export function getFinancialYear(date = getCurrentDateTime().date) {
+  const [year, month] = date.split('-').map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Get the invoice counter document
+ * Kept apart from system/counters so invoice numbers have no gaps from abandoned drafts
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ */
+export function getInvoiceCounterRef(businessRef) {
+  return businessRef
+    .collection('system')
+    .doc('invoice_counter');
+}
+
+/**
+ * Allocate the next invoice number inside a transaction
+ * Format: INV/2025-26/0001 (at most 16 characters, as GST rules require)
+ * The counter restarts every financial year. The caller must do all its reads
+ * before calling this, as it reads the counter.
+ * @param {FirebaseFirestore.Transaction} transaction - Running transaction
+ * @param {FirebaseFirestore.DocumentReference} businessRef - Business reference
+ * @param {string} [prefix] - Invoice number prefix (settings.invoice_prefix)
+ * @returns {Promise<{ invoiceNumber: string, financialYear: string }>}
+ */
+export async function allocateInvoiceNumber(transaction, businessRef, prefix = 'INV') {
+  const counterRef = getInvoiceCounterRef(businessRef);
+  const financialYear = getFinancialYear();
+
+  const counterDoc = await transaction.get(counterRef);
+  let currentCounter = 0;
+
+  if (counterDoc.exists) {
+    const counterData = counterDoc.data();
+
+    if (counterData.financial_year === financialYear) {
+      currentCounter = counterData.counter || 0;
+    } else {
+      // New financial year - reset counter
+      console.log(`🔄 New financial year detected. Resetting invoice counter from ${counterData.financial_year} to ${financialYear}`);
+    }
+  }
+
+  const newCounter = currentCounter + 1;
+
+  transaction.set(counterRef, {
+    financial_year: financialYear,
+    counter: newCounter,
+    last_updated: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  // Format counter with leading zeros (4 digits)
+  const paddedCounter = String(newCounter).padStart(4, '0');
+
+  return {
+    invoiceNumber: `${prefix}/${financialYear}/${paddedCounter}`,
+    financialYear
+  };
+}
\ No newline at end of file
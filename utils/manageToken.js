@@ -0,0 +1,165 @@
+// Backend/utils/manageToken.js - SIGNED BOOKING MANAGE LINKS
+import crypto from 'crypto';
+import { getMinutesUntil } from './helpers.js';
+
+const sign = (payload, secret) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+};
+
+/**
+ * Create a signed token that lets the customer (or the assigned CA) act on one appointment
+ * Format: base64url(JSON payload).signature, signed with MANAGE_TOKEN_SECRET
+ * @param {object} data - { businessId, appointmentId, expiresAt (ms), role ('customer' | 'ca') }
+ * @returns {string|null} - Token, or null if MANAGE_TOKEN_SECRET is not configured
+ */
+export const createManageToken = ({ businessId, appointmentId, expiresAt, role = 'customer' }) => {
+  const secret = process.env.MANAGE_TOKEN_SECRET;
+
+  if (!secret) {
+    console.error('❌ Cannot create manage link: MANAGE_TOKEN_SECRET is not configured');
+    return null;
+  }
+
+  const payload = Buffer.from(JSON.stringify({
+    b: businessId,
+    a: appointmentId,
+    r: role,
+    exp: expiresAt,
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload, secret)}`;
+};
+
+/**
+ * Verify a manage token
+ * @param {string} token - Token from the manage link
+ * @returns {{ businessId: string, appointmentId: string, role: string, expiresAt: number }|null} - null if invalid or expired
+ */
+export const verifyManageToken = (token) => {
+  const secret = process.env.MANAGE_TOKEN_SECRET;
+
+  if (!secret || !token || typeof token !== 'string') {
+    return null;
+  }
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload, secret));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const { b, a, r, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+
+    if (!exp || Date.now() > exp) {
+      return null;
+    }
+
+    return { businessId: b, appointmentId: a, role: r || 'customer', expiresAt: exp };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build a frontend link carrying a signed token
+ * @returns {string|null} - null if MANAGE_TOKEN_SECRET is not configured
+ */
+const buildLink = (path, { businessId, appointmentId, expiresAt, role }) => {
+  const token = createManageToken({ businessId, appointmentId, expiresAt, role });
+
+  if (!token) {
+    return null;
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${frontendUrl}/${path}/${appointmentId}?token=${token}`;
+};
+
+/**
+ * Build the manage link for an appointment; it expires when the appointment starts
+ * @returns {string|null}
+ */
+export const getManageLink = (businessId, appointment) => {
+  return buildLink('manage', {
+    businessId,
+    appointmentId: appointment.reference_id || appointment.id,
+    expiresAt: Date.now() + getMinutesUntil(appointment.date, appointment.time_slot) * 60 * 1000,
+    role: 'customer',
+  });
+};
+
+/**
+ * Build the CA outcome link (mark confirmed / completed / no-show)
+ * Valid until 7 days after the appointment so the CA can record the outcome afterwards.
+ * @returns {string|null}
+ */
+export const getCAOutcomeLink = (businessId, appointment) => {
+  const startsAt = Date.now() + getMinutesUntil(appointment.date, appointment.time_slot) * 60 * 1000;
+
+  return buildLink('ca/appointments', {
+    businessId,
+    appointmentId: appointment.reference_id || appointment.id,
+    expiresAt: startsAt + 7 * 24 * 60 * 60 * 1000,
+    role: 'ca',
+  });
+};
+
+/**
+ * Build the payment link for a waitlist offer; it expires with the offer
+ * @param {number} expiresAt - Offer expiry (ms)
+ * @returns {string|null}
+ */
+export const getWaitlistClaimLink = (businessId, appointmentId, expiresAt) => {
+  return buildLink('waitlist/claim', {
+    businessId,
+    appointmentId,
+    expiresAt,
+    role: 'customer',
+  });
+};
+
+// Credit booking links are short-lived: they stand in for a login
+const CREDIT_LINK_HOURS = 24;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Build the link that lets a customer book with their package credits
+ * The token proves the customer owns the email address the credits belong to.
+ * @returns {string|null}
+ */
+export const getCreditBookingLink = (businessId, email) => {
+  const token = createManageToken({
+    businessId,
+    appointmentId: normalizeEmail(email),
+    expiresAt: Date.now() + CREDIT_LINK_HOURS * 60 * 60 * 1000,
+    role: 'credits',
+  });
+
+  if (!token) {
+    return null;
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${frontendUrl}/book?credit_token=${token}`;
+};
+
+/**
+ * Check a credit booking token against the booking's business and email
+ * @returns {boolean}
+ */
+export const isValidCreditToken = (token, businessId, email) => {
+  const payload = verifyManageToken(token);
+
+  return Boolean(payload) &&
+    payload.role === 'credits' &&
+    payload.businessId === businessId &&
+    payload.appointmentId === normalizeEmail(email);
+};